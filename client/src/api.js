@@ -23,6 +23,60 @@ export async function startScan(orgId) {
   const res = await fetch(`${API_BASE}/api/orgs/${orgId}/scans`, {
     method: 'POST',
   });
+  if (!res.ok) throw new Error((await res.json()).error || 'Scan failed');
+  return res.json();
+}
+
+export async function getSchedules(orgId) {
+  const res = await fetch(`${API_BASE}/api/orgs/${orgId}/schedules`);
+  return res.json();
+}
+
+export async function createSchedule(orgId, data) {
+  const res = await fetch(`${API_BASE}/api/orgs/${orgId}/schedules`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data),
+  });
+  if (!res.ok) throw new Error((await res.json()).error || 'Could not save schedule');
+  return res.json();
+}
+
+export async function updateSchedule(orgId, scheduleId, data) {
+  const res = await fetch(`${API_BASE}/api/orgs/${orgId}/schedules/${scheduleId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data),
+  });
+  if (!res.ok) throw new Error((await res.json()).error || 'Could not save schedule');
+  return res.json();
+}
+
+export async function deleteSchedule(orgId, scheduleId) {
+  await fetch(`${API_BASE}/api/orgs/${orgId}/schedules/${scheduleId}`, { method: 'DELETE' });
+}
+
+// Creates a file-based org from an SFDX project or mdapi retrieve zip
+export async function importArchive(file, name, accountId = null) {
+  const params = new URLSearchParams({ name });
+  if (accountId) params.set('accountId', accountId);
+  const res = await fetch(`${API_BASE}/api/orgs/import?${params}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/zip' },
+    body: file,
+  });
+  if (!res.ok) throw new Error((await res.json()).error || 'Import failed');
+  return res.json();
+}
+
+// Adds a new snapshot (scan) to an existing file-based org
+export async function importOrgArchive(orgId, file) {
+  const res = await fetch(`${API_BASE}/api/orgs/${orgId}/imports`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/zip' },
+    body: file,
+  });
+  if (!res.ok) throw new Error((await res.json()).error || 'Import failed');
   return res.json();
 }
 
@@ -105,6 +159,16 @@ export async function updateRecommendationStatus(recommendationId, status) {
   return res.json();
 }
 
+export async function cancelScan(scanId) {
+  const res = await fetch(`${API_BASE}/api/scans/${scanId}/cancel`, { method: 'POST' });
+  return res.json();
+}
+
+export async function cancelAnalysisRun(scanId, runId) {
+  const res = await fetch(`${API_BASE}/api/scans/${scanId}/analysis-runs/${runId}/cancel`, { method: 'POST' });
+  return res.json();
+}
+
 export async function getAnalysisRuns(scanId) {
   const res = await fetch(`${API_BASE}/api/scans/${scanId}/analysis-runs`);
   return res.json();
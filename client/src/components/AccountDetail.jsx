@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { getAccount } from '../api';
 import ConnectOrgButton from './ConnectOrgButton';
+import ImportArchiveButton from './ImportArchiveButton';
 
 export default function AccountDetail({ account, onBack, onOrgSelect }) {
   const [orgs, setOrgs] = useState([]);
@@ -21,7 +22,13 @@ export default function AccountDetail({ account, onBack, onOrgSelect }) {
 
       <div className="scan-header">
         <h2>{account.name}</h2>
-        <ConnectOrgButton defaultAccountId={account.id} />
+        <div className="org-actions">
+          <ConnectOrgButton defaultAccountId={account.id} />
+          <ImportArchiveButton
+            accountId={account.id}
+            onComplete={(result) => onOrgSelect(result.org)}
+          />
+        </div>
       </div>
 
       <h3>Connected Orgs</h3>
@@ -42,7 +49,7 @@ export default function AccountDetail({ account, onBack, onOrgSelect }) {
             {orgs.map((org) => (
               <tr key={org.id} className="org-row" onClick={() => onOrgSelect(org)}>
                 <td>{org.name}</td>
-                <td>{org.instance_url}</td>
+                <td>{org.source === 'file' ? 'Imported from files' : org.instance_url}</td>
                 <td>{new Date(org.created_at).toLocaleDateString()}</td>
               </tr>
             ))}
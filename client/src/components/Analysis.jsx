@@ -172,6 +172,9 @@ export default function Analysis({ scan, runId, onBack, onRecommendationsSelect,
                             )}
                             {f.api_name && f.object_name && ' · '}
                             {f.object_name}
+                            {f.line_number != null && (
+                              ` · line ${f.line_number}${f.method_name ? ` in ${f.method_name}()` : ''}`
+                            )}
                           </div>
                         )}
                         <p className="finding-item-message">{f.rule?.description || f.message}</p>
@@ -0,0 +1,45 @@
+import { useState, useRef } from 'react';
+import { importArchive, importOrgArchive } from '../api';
+
+// Uploads an SFDX project or Metadata API retrieve zip. With an orgId the
+// archive becomes a new scan of that file-based org; otherwise a new org is
+// created, named after the zip file.
+export default function ImportArchiveButton({ orgId = null, accountId = null, onComplete }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const result = orgId
+        ? await importOrgArchive(orgId, file)
+        : await importArchive(file, file.name.replace(/\.zip$/i, ''), accountId);
+      onComplete(result);
+    } catch (err) {
+      setError(err.message || 'Import failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".zip,application/zip"
+        style={{ display: 'none' }}
+        onChange={handleFile}
+      />
+      <button onClick={() => inputRef.current.click()} disabled={loading}>
+        {loading ? 'Importing...' : orgId ? 'Import New Snapshot' : 'Import from Files'}
+      </button>
+      {error && <p className="error">{error}</p>}
+    </div>
+  );
+}
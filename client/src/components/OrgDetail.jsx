@@ -2,6 +2,8 @@ import { useState, useEffect, useRef } from 'react';
 import { getOrgScans, deleteScan } from '../api';
 import { updateOrg } from '../api';
 import ScanButton from './ScanButton';
+import ImportArchiveButton from './ImportArchiveButton';
+import ScanSchedules from './ScanSchedules';
 
 export default function OrgDetail({ org: initialOrg, onBack, onScanSelect, onProfileSelect, onOrgUpdate }) {
   const [org, setOrg] = useState(initialOrg);
@@ -105,14 +107,18 @@ export default function OrgDetail({ org: initialOrg, onBack, onScanSelect, onPro
 
       <p className="org-url">
         <span className={`env-badge env-badge--${org.env}`}>{envDisplay}</span>
-        {' '}{org.instance_url}
+        {' '}{org.source === 'file' ? 'Imported from files' : org.instance_url}
       </p>
 
       <div className="org-actions">
-        <ScanButton orgId={org.id} onComplete={handleScanComplete} />
+        {org.source === 'file'
+          ? <ImportArchiveButton orgId={org.id} onComplete={handleScanComplete} />
+          : <ScanButton orgId={org.id} onComplete={handleScanComplete} />}
         <button onClick={onProfileSelect}>Configure Profile</button>
       </div>
 
+      {org.source !== 'file' && <ScanSchedules orgId={org.id} />}
+
       <h3>Scan History</h3>
       {loading && <p>Loading scans…</p>}
       {!loading && scans.length === 0 && <p>No scans yet. Run a scan to get started.</p>}
@@ -139,7 +145,22 @@ export default function OrgDetail({ org: initialOrg, onBack, onScanSelect, onPro
                 <td>
                   <span className={`status-${scan.status}`}>{scan.status}</span>
                 </td>
-                <td>{scan.item_count?.toLocaleString()}</td>
+                <td>
+                  {scan.item_count?.toLocaleString()}
+                  {scan.reused_count > 0 && (
+                    <span
+                      className="scan-reused"
+                      title={`${scan.fetched_count} fetched, ${scan.reused_count} reused unchanged from scan #${scan.base_scan_id}`}
+                    >
+                      {' '}({scan.reused_count.toLocaleString()} reused)
+                    </span>
+                  )}
+                  {scan.api_call_count != null && (
+                    <span className="scan-reused" title="Salesforce API requests this scan used">
+                      {' '}· {scan.api_call_count.toLocaleString()} API calls
+                    </span>
+                  )}
+                </td>
                 <td>{new Date(scan.started_at).toLocaleString()}</td>
                 <td>{scan.completed_at ? new Date(scan.completed_at).toLocaleString() : '—'}</td>
                 <td>
@@ -26,7 +26,7 @@ export default function OrgList({ orgs, onOrgSelect }) {
                 {envDisplay(org)}
               </span>
             </td>
-            <td>{org.instance_url}</td>
+            <td>{org.source === 'file' ? 'Imported from files' : org.instance_url}</td>
             <td>{new Date(org.created_at).toLocaleDateString()}</td>
           </tr>
         ))}
@@ -3,6 +3,14 @@ import { getProfile, updateProfile, getRules } from '../api';
 
 const LAYERS = ['platform', 'quality', 'risk', 'housekeeping'];
 
+// Complexity thresholds for the CPLX rules — a metric at or above its threshold is reported
+const COMPLEXITY_THRESHOLDS = [
+  { key: 'method_complexity_threshold', label: 'Method cyclomatic complexity', rule: 'CPLX001' },
+  { key: 'method_length_threshold', label: 'Method length (lines)', rule: 'CPLX002' },
+  { key: 'class_length_threshold', label: 'Class length (lines)', rule: 'CPLX003' },
+  { key: 'nesting_depth_threshold', label: 'Block nesting depth', rule: 'CPLX004' },
+];
+
 const PREFERENCE_LABELS = {
   flow_first: 'Flow First',
   apex_first: 'Apex First',
@@ -47,6 +55,8 @@ export default function ProfileEditor({ org, onBack }) {
       active_rule_layers: profile.active_rule_layers,
       suppressed_rule_ids: profile.suppressed_rule_ids,
       naming_convention_pattern: profile.naming_convention_pattern || null,
+      ...Object.fromEntries(COMPLEXITY_THRESHOLDS.map(({ key }) => [key, profile[key]])),
+      api_version_releases_behind: profile.api_version_releases_behind,
     });
     setSaving(false);
     setSaved(true);
@@ -61,7 +71,7 @@ export default function ProfileEditor({ org, onBack }) {
         ← {org.name}
       </button>
       <h2>Customer Profile</h2>
-      <p className="org-url">{org.instance_url}</p>
+      <p className="org-url">{org.source === 'file' ? 'Imported from files' : org.instance_url}</p>
 
       <section className="profile-section">
         <h3>Automation Preference</h3>
@@ -105,6 +115,42 @@ export default function ProfileEditor({ org, onBack }) {
         />
       </section>
 
+      <section className="profile-section">
+        <h3>Apex Complexity Thresholds</h3>
+        <p className="section-hint">Apex methods and classes at or above a threshold trigger its rule.</p>
+        <div className="threshold-inputs">
+          {COMPLEXITY_THRESHOLDS.map(({ key, label, rule }) => (
+            <label key={key} className="threshold-label">
+              {label} ({rule})
+              <input
+                type="number"
+                min="1"
+                className="text-input"
+                value={profile[key] ?? ''}
+                onChange={(e) => setProfile((prev) => ({ ...prev, [key]: e.target.value === '' ? null : Number(e.target.value) }))}
+              />
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <section className="profile-section">
+        <h3>API Versions</h3>
+        <p className="section-hint">Flows and Apex more releases behind the org's current API version than this trigger APIV001/APIV002. Salesforce ships three releases a year.</p>
+        <div className="threshold-inputs">
+          <label className="threshold-label">
+            Releases behind
+            <input
+              type="number"
+              min="0"
+              className="text-input"
+              value={profile.api_version_releases_behind ?? ''}
+              onChange={(e) => setProfile((prev) => ({ ...prev, api_version_releases_behind: e.target.value === '' ? null : Number(e.target.value) }))}
+            />
+          </label>
+        </div>
+      </section>
+
       <section className="profile-section">
         <h3>Suppressed Rules</h3>
         <p className="section-hint">Suppressed rules are skipped during analysis.</p>
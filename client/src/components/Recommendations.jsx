@@ -11,7 +11,7 @@ function renderBold(text) {
 }
 const EFFORT_LABEL = { low: 'Low Effort', medium: 'Medium Effort', high: 'High Effort' };
 const EFFORT_POINTS = { low: 1, medium: 3, high: 8 };
-const GLOBAL_PATTERNS = new Set(['global_description', 'global_inactive']);
+const GLOBAL_PATTERNS = new Set(['global_description', 'global_inactive', 'global_flow_versions', 'global_fault_paths', 'global_api_versions']);
 
 function complexityScore(recs) {
   return recs.reduce((sum, r) => sum + (EFFORT_POINTS[r.effort_estimate] || 3), 0);
@@ -944,6 +944,7 @@ function RecCard({ rec, expandedSteps, expandedItems, toggleSteps, toggleItems,
               <th>Type</th>
               <th>Object</th>
               <th>Active</th>
+              <th>Last Modified By</th>
             </tr>
           </thead>
           <tbody>
@@ -953,6 +954,7 @@ function RecCard({ rec, expandedSteps, expandedItems, toggleSteps, toggleItems,
                 <td>{item.automation_type}</td>
                 <td>{item.object_name || '—'}</td>
                 <td>{item.is_active ? 'Yes' : 'No'}</td>
+                <td>{item.last_modified_by_name || '—'}</td>
               </tr>
             ))}
           </tbody>
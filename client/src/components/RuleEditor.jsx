@@ -4,8 +4,10 @@ import { createRule, updateRule } from '../api';
 const LAYERS = ['platform', 'quality', 'risk', 'housekeeping'];
 const SEVERITIES = ['error', 'warning', 'info'];
 const AUTOMATION_TYPES = [
-  'Apex Class', 'Apex Trigger', 'Autolaunched Flow', 'Process Builder',
-  'Record-Triggered Flow', 'Screen Flow', 'Workflow Rule',
+  'Apex Class', 'Apex Trigger', 'Approval Process', 'Assignment Rule',
+  'Auto-Response Rule', 'Autolaunched Flow', 'Change Event Trigger', 'Escalation Rule',
+  'Platform Event Trigger', 'Platform Event-Triggered Flow', 'Process Builder',
+  'Record-Triggered Flow', 'Screen Flow', 'Validation Rule', 'Workflow Rule',
 ];
 const CONDITION_FIELDS = [
   { value: 'automation_type', label: 'Automation Type', type: 'enum' },
@@ -13,9 +15,19 @@ const CONDITION_FIELDS = [
   { value: 'is_managed_package', label: 'Is Managed Package', type: 'boolean' },
   { value: 'has_description', label: 'Has Description', type: 'boolean' },
   { value: 'object_name', label: 'Object Name', type: 'string' },
+  { value: 'api_name', label: 'API Name', type: 'string' },
+];
+// Any other field is a dot-path into the item, e.g. parsed_data.timeTriggerCount
+const PATH_SUGGESTIONS = [
+  'parsed_data.apiVersion', 'parsed_data.timeTriggerCount', 'parsed_data.fieldUpdateCount',
+  'parsed_data.actionTypes', 'parsed_data.triggerType', 'parsed_data.elementCount',
+  'parsed_data.coveragePercent', 'parsed_data.maxMethodComplexity',
 ];
 const OPS_BY_TYPE = {
-  boolean: [{ value: 'eq', label: 'is' }],
+  boolean: [
+    { value: 'eq', label: 'is' },
+    { value: 'exists', label: 'exists' },
+  ],
   enum: [
     { value: 'eq', label: 'is' },
     { value: 'ne', label: 'is not' },
@@ -25,29 +37,77 @@ const OPS_BY_TYPE = {
   string: [
     { value: 'eq', label: 'equals' },
     { value: 'ne', label: 'does not equal' },
+    { value: 'contains', label: 'contains' },
+    { value: 'matches', label: 'matches pattern' },
+    { value: 'exists', label: 'exists' },
+  ],
+  path: [
+    { value: 'eq', label: 'equals' },
+    { value: 'ne', label: 'does not equal' },
+    { value: 'gt', label: '>' },
+    { value: 'gte', label: '≥' },
+    { value: 'lt', label: '<' },
+    { value: 'lte', label: '≤' },
+    { value: 'contains', label: 'contains' },
+    { value: 'matches', label: 'matches pattern' },
+    { value: 'exists', label: 'exists' },
+    { value: 'array_contains', label: 'list contains' },
   ],
 };
+const GROUP_LABELS = { all: 'All of (AND)', any: 'Any of (OR)' };
 
 function emptyCondition() {
   return { field: 'automation_type', op: 'eq', value: '' };
 }
 
-function ConditionRow({ condition, onChange, onRemove }) {
-  const fieldDef = CONDITION_FIELDS.find((f) => f.value === condition.field);
-  const ops = OPS_BY_TYPE[fieldDef?.type || 'string'];
+const fieldType = (field) => CONDITION_FIELDS.find((f) => f.value === field)?.type || 'path';
+const groupMode = (group) => ('any' in group ? 'any' : 'all');
+
+// Stored conditions → the root group the editor works on; a flat array is an AND group
+function toRootGroup(conditions) {
+  if (!conditions) return { all: [] };
+  if (Array.isArray(conditions)) return { all: conditions };
+  if (conditions.all || conditions.any) return conditions;
+  return { all: [conditions] };
+}
+
+// Path values are typed as text: "true", "false" and numbers are saved as such
+function parseLiteral(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if (text === 'true' || text === 'false') return text === 'true';
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : value;
+}
+
+function serializeCondition(node) {
+  if (node.not) return { not: serializeCondition(node.not) };
+  if (node.all || node.any) {
+    const mode = groupMode(node);
+    return { [mode]: node[mode].map(serializeCondition) };
+  }
+  return fieldType(node.field) === 'path' && node.op !== 'exists' ? { ...node, value: parseLiteral(node.value) } : node;
+}
+
+function NotToggle({ negated, onToggle }) {
+  return (
+    <button className={`not-toggle${negated ? ' active' : ''}`} onClick={onToggle} title="Negate">
+      NOT
+    </button>
+  );
+}
+
+function ConditionRow({ condition, onChange, onRemove, negated, onNegate }) {
+  const type = fieldType(condition.field);
+  const ops = OPS_BY_TYPE[type];
   const isMulti = condition.op === 'in' || condition.op === 'not_in';
 
   const handleFieldChange = (field) => {
-    const newFieldDef = CONDITION_FIELDS.find((f) => f.value === field);
-    const newOp = OPS_BY_TYPE[newFieldDef?.type || 'string'][0].value;
-    onChange({ field, op: newOp, value: newFieldDef?.type === 'boolean' ? true : '' });
+    const newType = fieldType(field);
+    onChange({ field, op: OPS_BY_TYPE[newType][0].value, value: newType === 'boolean' ? true : '' });
   };
 
-  const handleValueChange = (raw) => {
-    const type = fieldDef?.type;
-    if (type === 'boolean') onChange({ ...condition, value: raw === 'true' });
-    else onChange({ ...condition, value: raw });
-  };
+  const handleOpChange = (op) =>
+    onChange({ ...condition, op, value: op === 'exists' || type === 'boolean' ? true : '' });
 
   const handleMultiChange = (val, checked) => {
     const current = Array.isArray(condition.value) ? condition.value : [];
@@ -57,29 +117,47 @@ function ConditionRow({ condition, onChange, onRemove }) {
 
   return (
     <div className="condition-row">
-      <select value={condition.field} onChange={(e) => handleFieldChange(e.target.value)}>
+      <NotToggle negated={negated} onToggle={onNegate} />
+      <select
+        value={type === 'path' ? '' : condition.field}
+        onChange={(e) => handleFieldChange(e.target.value || 'parsed_data.')}
+      >
         {CONDITION_FIELDS.map((f) => (
           <option key={f.value} value={f.value}>{f.label}</option>
         ))}
+        <option value="">Parsed data path…</option>
       </select>
-      <select value={condition.op} onChange={(e) => onChange({ ...condition, op: e.target.value, value: '' })}>
+      {type === 'path' && (
+        <input
+          type="text"
+          className="text-input"
+          list="condition-path-suggestions"
+          value={condition.field}
+          onChange={(e) => onChange({ ...condition, field: e.target.value.trim() })}
+          placeholder="parsed_data.timeTriggerCount"
+        />
+      )}
+      <select value={condition.op} onChange={(e) => handleOpChange(e.target.value)}>
         {ops.map((o) => (
           <option key={o.value} value={o.value}>{o.label}</option>
         ))}
       </select>
-      {fieldDef?.type === 'boolean' && (
-        <select value={String(condition.value)} onChange={(e) => handleValueChange(e.target.value)}>
-          <option value="true">true</option>
-          <option value="false">false</option>
+      {(condition.op === 'exists' || type === 'boolean') && (
+        <select
+          value={String(condition.value)}
+          onChange={(e) => onChange({ ...condition, value: e.target.value === 'true' })}
+        >
+          <option value="true">{condition.op === 'exists' ? 'yes' : 'true'}</option>
+          <option value="false">{condition.op === 'exists' ? 'no' : 'false'}</option>
         </select>
       )}
-      {fieldDef?.type === 'enum' && !isMulti && (
+      {type === 'enum' && !isMulti && (
         <select value={condition.value} onChange={(e) => onChange({ ...condition, value: e.target.value })}>
           <option value="">— select —</option>
           {AUTOMATION_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
         </select>
       )}
-      {fieldDef?.type === 'enum' && isMulti && (
+      {type === 'enum' && isMulti && (
         <div className="condition-multi">
           {AUTOMATION_TYPES.map((t) => (
             <label key={t} className="checkbox-label">
@@ -93,13 +171,13 @@ function ConditionRow({ condition, onChange, onRemove }) {
           ))}
         </div>
       )}
-      {fieldDef?.type === 'string' && (
+      {(type === 'string' || type === 'path') && condition.op !== 'exists' && (
         <input
           type="text"
           className="text-input"
-          value={condition.value}
+          value={String(condition.value ?? '')}
           onChange={(e) => onChange({ ...condition, value: e.target.value })}
-          placeholder="value"
+          placeholder={condition.op === 'matches' ? 'pattern, e.g. Account_*' : 'value'}
         />
       )}
       <button className="delete-btn" onClick={onRemove}>✕</button>
@@ -107,6 +185,57 @@ function ConditionRow({ condition, onChange, onRemove }) {
   );
 }
 
+// A condition or group, unwrapping { not: ... } into the NOT toggle of what it negates
+function ConditionNode({ node, onChange, onRemove }) {
+  const negated = !!node.not;
+  const inner = negated ? node.not : node;
+  const handleChange = (updated) => onChange(negated ? { not: updated } : updated);
+  const handleNegate = () => onChange(negated ? inner : { not: inner });
+
+  if (inner.all || inner.any) {
+    return (
+      <ConditionGroup group={inner} onChange={handleChange} onRemove={onRemove}
+        negated={negated} onNegate={handleNegate} />
+    );
+  }
+  return (
+    <ConditionRow condition={inner} onChange={handleChange} onRemove={onRemove}
+      negated={negated} onNegate={handleNegate} />
+  );
+}
+
+// The root group has no NOT toggle and can't be removed
+function ConditionGroup({ group, onChange, onRemove, negated, onNegate }) {
+  const mode = groupMode(group);
+  const children = group[mode];
+  const setChildren = (next) => onChange({ [mode]: next });
+
+  return (
+    <div className="condition-group">
+      <div className="condition-group-header">
+        {onNegate && <NotToggle negated={negated} onToggle={onNegate} />}
+        <select value={mode} onChange={(e) => onChange({ [e.target.value]: children })}>
+          {Object.entries(GROUP_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button onClick={() => setChildren([...children, emptyCondition()])}>+ Condition</button>
+        <button onClick={() => setChildren([...children, { all: [] }])}>+ Group</button>
+        {onRemove && <button className="delete-btn" onClick={onRemove}>✕</button>}
+      </div>
+      {children.length === 0 && <p className="section-hint">Empty group — never matches.</p>}
+      {children.map((child, i) => (
+        <ConditionNode
+          key={i}
+          node={child}
+          onChange={(updated) => setChildren(children.map((c, idx) => (idx === i ? updated : c)))}
+          onRemove={() => setChildren(children.filter((_, idx) => idx !== i))}
+        />
+      ))}
+    </div>
+  );
+}
+
 export default function RuleEditor({ rule, onBack, onSave }) {
   const isNew = !rule;
   const isBuiltin = rule?.is_builtin ?? false;
@@ -119,7 +248,7 @@ export default function RuleEditor({ rule, onBack, onSave }) {
   const [checkType, setCheckType] = useState(rule?.check_type ?? 'per_item');
   const [appliesTo, setAppliesTo] = useState(rule?.applies_to ?? []);
   const [template, setTemplate] = useState(rule?.recommendation_template ?? '');
-  const [conditions, setConditions] = useState(rule?.conditions ?? []);
+  const [conditions, setConditions] = useState(() => toRootGroup(rule?.conditions));
   const [isActive, setIsActive] = useState(rule?.is_active ?? true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
@@ -130,11 +259,7 @@ export default function RuleEditor({ rule, onBack, onSave }) {
     );
   };
 
-  const addCondition = () => setConditions((prev) => [...prev, emptyCondition()]);
-  const updateCondition = (i, updated) =>
-    setConditions((prev) => prev.map((c, idx) => (idx === i ? updated : c)));
-  const removeCondition = (i) =>
-    setConditions((prev) => prev.filter((_, idx) => idx !== i));
+  const hasConditions = conditions[groupMode(conditions)].length > 0;
 
   const handleSave = async () => {
     setSaving(true);
@@ -144,7 +269,7 @@ export default function RuleEditor({ rule, onBack, onSave }) {
         layer, name, description, severity,
         check_type: checkType, applies_to: appliesTo,
         recommendation_template: template,
-        conditions: (!isBuiltin && checkType === 'per_item' && conditions.length > 0) ? conditions : null,
+        conditions: (!isBuiltin && checkType === 'per_item' && hasConditions) ? serializeCondition(conditions) : null,
         is_active: isActive,
       };
       let saved;
@@ -257,21 +382,17 @@ export default function RuleEditor({ rule, onBack, onSave }) {
 
         {!isBuiltin && checkType === 'per_item' && (
           <div className="rule-editor-field">
-            <div className="section-header">
-              <label>Conditions <span style={{ fontWeight: 'normal', color: '#666' }}>(all must match)</span></label>
-              <button onClick={addCondition}>+ Add Condition</button>
-            </div>
-            {conditions.length === 0 && (
+            <label>Conditions</label>
+            {!hasConditions && (
               <p className="section-hint">No conditions — rule will never fire. Add at least one condition.</p>
             )}
-            {conditions.map((cond, i) => (
-              <ConditionRow
-                key={i}
-                condition={cond}
-                onChange={(updated) => updateCondition(i, updated)}
-                onRemove={() => removeCondition(i)}
-              />
-            ))}
+            <ConditionGroup group={conditions} onChange={setConditions} />
+            <datalist id="condition-path-suggestions">
+              {PATH_SUGGESTIONS.map((p) => <option key={p} value={p} />)}
+            </datalist>
+            <p className="section-hint">
+              Parsed data paths reach into the parser output, e.g. parsed_data.timeTriggerCount. Values true, false and numbers are compared as such.
+            </p>
           </div>
         )}
 
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react';
+import { getSchedules, createSchedule, updateSchedule, deleteSchedule } from '../api';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function describe(schedule) {
+  const when = schedule.frequency === 'weekly'
+    ? `Weekly on ${DAYS[schedule.day_of_week]}`
+    : 'Daily';
+  return `${when} at ${schedule.time_of_day} UTC${schedule.run_analysis ? ' + analysis' : ''}`;
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+// Recurring scans for an org. The server runs them in-process and skips a run
+// when a manual scan is already in progress.
+export default function ScanSchedules({ orgId }) {
+  const [schedules, setSchedules] = useState([]);
+  const [frequency, setFrequency] = useState('weekly');
+  const [dayOfWeek, setDayOfWeek] = useState(0);
+  const [timeOfDay, setTimeOfDay] = useState('02:00');
+  const [runAnalysis, setRunAnalysis] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchSchedules = () => getSchedules(orgId).then(setSchedules);
+
+  useEffect(() => {
+    getSchedules(orgId).then(setSchedules);
+  }, [orgId]);
+
+  const handleAdd = async () => {
+    setError(null);
+    try {
+      await createSchedule(orgId, {
+        frequency,
+        day_of_week: frequency === 'weekly' ? dayOfWeek : null,
+        time_of_day: timeOfDay,
+        run_analysis: runAnalysis,
+      });
+      fetchSchedules();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    await updateSchedule(orgId, schedule.id, { enabled: !schedule.enabled });
+    fetchSchedules();
+  };
+
+  const handleDelete = async (scheduleId) => {
+    await deleteSchedule(orgId, scheduleId);
+    fetchSchedules();
+  };
+
+  return (
+    <div className="scan-schedules">
+      <h3>Scheduled Scans</h3>
+      {schedules.length > 0 && (
+        <table>
+          <thead>
+            <tr>
+              <th>Schedule</th>
+              <th>Next Run</th>
+              <th>Last Run</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.map((s) => (
+              <tr key={s.id}>
+                <td>{describe(s)}</td>
+                <td>{s.enabled ? formatTime(s.next_run_at) : 'Paused'}</td>
+                <td>
+                  {formatTime(s.last_run_at)}
+                  {s.last_status && (
+                    <span className={`scan-reused status-${s.last_status}`} title={s.last_error || ''}>
+                      {' '}({s.last_status})
+                    </span>
+                  )}
+                </td>
+                <td>
+                  <button onClick={() => handleToggle(s)}>{s.enabled ? 'Pause' : 'Resume'}</button>
+                  {' '}
+                  <button className="delete-btn" onClick={() => handleDelete(s.id)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="org-actions">
+        <select value={frequency} onChange={(e) => setFrequency(e.target.value)}>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+        </select>
+        {frequency === 'weekly' && (
+          <select value={dayOfWeek} onChange={(e) => setDayOfWeek(parseInt(e.target.value))}>
+            {DAYS.map((d, i) => <option key={d} value={i}>{d}</option>)}
+          </select>
+        )}
+        <input type="time" value={timeOfDay} onChange={(e) => setTimeOfDay(e.target.value)} />
+        <label>
+          <input
+            type="checkbox"
+            checked={runAnalysis}
+            onChange={(e) => setRunAnalysis(e.target.checked)}
+          />
+          {' '}Run analysis
+        </label>
+        <button onClick={handleAdd}>Add Schedule</button>
+      </div>
+      {error && <p className="error">{error}</p>}
+    </div>
+  );
+}
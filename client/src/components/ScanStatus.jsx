@@ -1,10 +1,13 @@
 import { useState, useEffect, useRef } from 'react';
-import { getScan, getInventory, getAnalysisRuns, runAnalysis, explainAutomation } from '../api';
+import {
+  getScan, getInventory, getAnalysisRuns, runAnalysis, explainAutomation,
+  cancelScan, cancelAnalysisRun,
+} from '../api';
 import ProgressTracker from './ProgressTracker';
 import Analysis from './Analysis';
 import Recommendations from './Recommendations';
 
-const TERMINAL_STATUSES = ['completed', 'failed'];
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
 
 
 export default function ScanStatus({ scan, org, onBack }) {
@@ -35,8 +38,10 @@ export default function ScanStatus({ scan, org, onBack }) {
     setRunsLoading(true);
     getAnalysisRuns(scan.id)
       .then((runs) => {
-        if (runs.length > 0) {
-          const latest = runs.reduce((best, r) => (r.id > best.id ? r : best), runs[0]);
+        // Cancelled/failed runs have no findings worth showing
+        const finished = runs.filter((r) => r.status === 'completed');
+        if (finished.length > 0) {
+          const latest = finished.reduce((best, r) => (r.id > best.id ? r : best), finished[0]);
           setSelectedRunId((prev) => prev ?? latest.id);
         }
       })
@@ -105,6 +110,14 @@ export default function ScanStatus({ scan, org, onBack }) {
     }
   };
 
+  const handleCancelScan = async () => {
+    await cancelScan(scan.id);
+  };
+
+  const handleCancelAnalysis = async () => {
+    if (pendingRunId) await cancelAnalysisRun(scan.id, pendingRunId);
+  };
+
   const handleAnalysisComplete = () => {
     setAnalysisProgressId(null);
     setRunning(false);
@@ -196,9 +209,14 @@ export default function ScanStatus({ scan, org, onBack }) {
         <p className="error">Error: {details.scan.error_message}</p>
       )}
 
-      {details.scan.status === 'running' && scan.progressId && (
+      {details.scan.status === 'cancelled' && (
+        <p className="status-cancelled">This scan was cancelled; its partial data was discarded.</p>
+      )}
+
+      {details.scan.status === 'running' && (
         <div className="scan-progress-section">
-          <ProgressTracker jobId={scan.progressId} />
+          {scan.progressId && <ProgressTracker jobId={scan.progressId} />}
+          <button onClick={handleCancelScan}>Cancel Scan</button>
         </div>
       )}
 
@@ -283,7 +301,11 @@ export default function ScanStatus({ scan, org, onBack }) {
                               ? <span className="inv-badge inv-badge--active">active</span>
                               : <span className="inv-badge inv-badge--inactive">inactive</span>}
                             {item.is_managed_package && (
-                              <span className="inv-badge inv-badge--managed">managed</span>
+                              <span className="inv-badge inv-badge--managed" title={item.package_name || ''}>
+                                {item.package_name
+                                  ? `${item.package_name}${item.package_version ? ` v${item.package_version}` : ''}`
+                                  : 'managed'}
+                              </span>
                             )}
                             <button className="explain-btn" onClick={() => handleExplain(item)}>
                               {item.llm_summary ? 'Summary' : 'Explain'}
@@ -295,6 +317,13 @@ export default function ScanStatus({ scan, org, onBack }) {
                             {[item.object_name, item.trigger_events].filter(Boolean).join(' · ')}
                           </div>
                         )}
+                        {(item.last_modified_by_name || item.last_modified_date) && (
+                          <div className="inventory-item-meta">
+                            Last modified
+                            {item.last_modified_by_name && ` by ${item.last_modified_by_name}`}
+                            {item.last_modified_date && ` on ${new Date(item.last_modified_date).toLocaleDateString()}`}
+                          </div>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -310,9 +339,14 @@ export default function ScanStatus({ scan, org, onBack }) {
         <div className="analysis-runs">
           <div className="section-header">
             <h3>Analysis</h3>
-            <button onClick={handleRunAnalysis} disabled={running} className="primary-btn">
-              {running ? 'Running...' : 'Run New Analysis'}
-            </button>
+            <div className="org-actions">
+              {running && analysisProgressId && (
+                <button onClick={handleCancelAnalysis}>Cancel</button>
+              )}
+              <button onClick={handleRunAnalysis} disabled={running} className="primary-btn">
+                {running ? 'Running...' : 'Run New Analysis'}
+              </button>
+            </div>
           </div>
 
           {analysisProgressId && (
@@ -322,7 +356,7 @@ export default function ScanStatus({ scan, org, onBack }) {
               onError={(msg) => {
                 setAnalysisProgressId(null);
                 setRunning(false);
-                setError('Analysis failed: ' + msg);
+                if (msg !== 'Cancelled by user') setError('Analysis failed: ' + msg);
               }}
             />
           )}
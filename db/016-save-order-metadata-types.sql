@@ -0,0 +1,11 @@
+-- Migration 016: Validation Rules, Approval Processes and Lead/Case routing rules
+-- The scanner now also retrieves ValidationRule, ApprovalProcess, AssignmentRule,
+-- AutoResponseRule and EscalationRule metadata, parsed into the automation types
+-- 'Validation Rule', 'Approval Process', 'Assignment Rule', 'Auto-Response Rule'
+-- and 'Escalation Rule'.
+
+-- Validation Rules and Approval Processes carry a description — hold them to the
+-- same documentation standard as other declarative automation.
+UPDATE rules
+SET applies_to = applies_to || ARRAY['Validation Rule', 'Approval Process']
+WHERE id = 'DESC001';
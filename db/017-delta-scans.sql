@@ -0,0 +1,17 @@
+-- Migration 017: incremental (delta) scans
+-- Each metadata item records the component's last-modified date from
+-- metadata.list() / Tooling so the next scan can copy unchanged components
+-- forward instead of re-reading them.
+
+ALTER TABLE metadata_items ADD COLUMN last_modified_date TIMESTAMPTZ;
+
+-- fetched_count: items read from the org; reused_count: items copied forward
+-- from base_scan_id (the previous completed scan). Null on full scans from
+-- before this migration. The copied rows don't depend on the base scan, so
+-- deleting it only clears the link.
+ALTER TABLE scans
+  ADD COLUMN fetched_count INTEGER,
+  ADD COLUMN reused_count  INTEGER,
+  ADD COLUMN base_scan_id  INTEGER REFERENCES scans(id) ON DELETE SET NULL;
+
+CREATE INDEX ON metadata_items (scan_id, type, api_name);
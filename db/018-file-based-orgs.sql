@@ -0,0 +1,12 @@
+-- Migration 018: file-based orgs
+-- An org can be imported from an SFDX project or Metadata API retrieve zip
+-- instead of connected via OAuth. File orgs have no instance URL or tokens,
+-- and each uploaded archive becomes a scan.
+
+ALTER TABLE orgs ADD COLUMN source TEXT NOT NULL DEFAULT 'salesforce'
+  CHECK (source IN ('salesforce', 'file'));
+
+ALTER TABLE orgs
+  ALTER COLUMN instance_url  DROP NOT NULL,
+  ALTER COLUMN access_token  DROP NOT NULL,
+  ALTER COLUMN refresh_token DROP NOT NULL;
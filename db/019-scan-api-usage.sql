@@ -0,0 +1,5 @@
+-- Migration 019: per-scan API usage
+-- Number of Salesforce API requests a scan made, including retries and limit
+-- checks. Zero for archive imports; null for scans from before this migration.
+
+ALTER TABLE scans ADD COLUMN api_call_count INTEGER;
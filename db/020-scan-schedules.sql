@@ -0,0 +1,34 @@
+-- Migration 020: scheduled scans
+-- Per-org recurring scan (+ optional analysis) run in-process by
+-- server/services/scheduler.js. Times are UTC.
+
+CREATE TABLE scan_schedules (
+  id                   SERIAL PRIMARY KEY,
+  org_id               INTEGER NOT NULL REFERENCES orgs(id),
+  frequency            TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  -- 0 = Sunday … 6 = Saturday; required for weekly schedules
+  day_of_week          SMALLINT CHECK (day_of_week BETWEEN 0 AND 6),
+  time_of_day          TEXT NOT NULL CHECK (time_of_day ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'),
+  run_analysis         BOOLEAN NOT NULL DEFAULT TRUE,
+  full_scan            BOOLEAN NOT NULL DEFAULT FALSE,
+  enabled              BOOLEAN NOT NULL DEFAULT TRUE,
+  next_run_at          TIMESTAMPTZ,
+  last_run_at          TIMESTAMPTZ,
+  last_status          TEXT CHECK (last_status IN ('completed', 'failed', 'skipped')),
+  last_error           TEXT,
+  last_scan_id         INTEGER REFERENCES scans(id) ON DELETE SET NULL,
+  last_analysis_run_id INTEGER REFERENCES analysis_runs(id) ON DELETE SET NULL,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (frequency <> 'weekly' OR day_of_week IS NOT NULL)
+);
+
+CREATE INDEX ON scan_schedules (org_id);
+CREATE INDEX ON scan_schedules (next_run_at) WHERE enabled;
+
+-- One running scan per org, so scheduled and manual scans never overlap.
+-- Scans left running by a stopped server would otherwise block the index.
+UPDATE scans
+SET status = 'failed', completed_at = NOW(), error_message = 'Interrupted by a server restart'
+WHERE status = 'running';
+
+CREATE UNIQUE INDEX scans_one_running_per_org ON scans (org_id) WHERE status = 'running';
@@ -0,0 +1,16 @@
+-- Migration 021: cancellable scans and analysis runs
+-- A cancelled scan keeps its row but its partial metadata/inventory is deleted;
+-- a cancelled analysis run keeps its row with its partial findings and
+-- recommendations deleted.
+
+ALTER TABLE scans DROP CONSTRAINT scans_status_check;
+ALTER TABLE scans ADD CONSTRAINT scans_status_check
+  CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled'));
+
+-- Runs before this migration all finished
+ALTER TABLE analysis_runs ADD COLUMN status TEXT NOT NULL DEFAULT 'completed'
+  CHECK (status IN ('running', 'completed', 'failed', 'cancelled'));
+
+ALTER TABLE scan_schedules DROP CONSTRAINT scan_schedules_last_status_check;
+ALTER TABLE scan_schedules ADD CONSTRAINT scan_schedules_last_status_check
+  CHECK (last_status IN ('completed', 'failed', 'skipped', 'cancelled'));
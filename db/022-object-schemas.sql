@@ -0,0 +1,41 @@
+-- Migration 022: object schema per scan
+-- Fields and record types of every object referenced by a scan's inventory,
+-- captured with describe() after the inventory is parsed. Used by the
+-- field-aware FIELD rules and by the remediation generators.
+-- fields: [{ name, label, type, isCustom, isFormula, formula, updateable,
+--            nillable, length, referenceTo, picklistValues? }]
+
+CREATE TABLE object_schemas (
+  id           SERIAL PRIMARY KEY,
+  scan_id      INTEGER NOT NULL REFERENCES scans(id),
+  org_id       INTEGER NOT NULL REFERENCES orgs(id),
+  object_name  TEXT NOT NULL,
+  -- false when the object no longer exists in the org
+  found        BOOLEAN NOT NULL,
+  label        TEXT,
+  is_custom    BOOLEAN,
+  fields       JSONB NOT NULL DEFAULT '[]',
+  record_types JSONB NOT NULL DEFAULT '[]',
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (scan_id, object_name)
+);
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- FIELD001: criteria, field updates or error display fields naming a field
+  -- the object's describe does not return (deleted or renamed).
+  ('FIELD001', 'risk',
+   'Reference to a Missing Field',
+   'This automation references a field that does not exist on its object in the scanned org. The field was most likely deleted or renamed after the automation was built. Depending on the automation type the reference either fails at runtime, silently never matches, or blocks deployment of the metadata to other orgs.',
+   'error', 'cross_item', ARRAY[]::TEXT[], '',
+   'low', true, 301),
+
+  -- FIELD002: field updates targeting a formula or otherwise read-only field
+  ('FIELD002', 'risk',
+   'Field Update Targets a Read-Only Field',
+   'This automation updates a field that is a formula field or is not updateable. The update can never take effect and typically raises an error on save or on deployment.',
+   'error', 'cross_item', ARRAY[]::TEXT[], '',
+   'low', true, 302);
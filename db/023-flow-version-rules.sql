@@ -0,0 +1,25 @@
+-- Migration 023: Flow version history rules
+-- After each scan the Tooling API FlowDefinition/Flow records are summarized into
+-- the flow's parsed_data: versionCount, activeVersionNumber, latestVersionNumber,
+-- obsoleteVersionCount, draftVersionCount, hasNewerDraft.
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- FLOWV001: 10+ obsolete versions (threshold in rules/checks.js)
+  ('FLOWV001', 'housekeeping',
+   'Excessive Obsolete Flow Versions',
+   'This flow keeps 10 or more obsolete versions. Salesforce caps each flow at 50 versions, after which new versions cannot be saved until old ones are deleted, and a long version list makes it hard to find the version worth rolling back to.',
+   'info', 'per_item', ARRAY['Record-Triggered Flow', 'Autolaunched Flow', 'Screen Flow', 'Process Builder'],
+   'Delete the obsolete versions of ''{{api_name}}'' in Setup, keeping the active version and at most one or two recent versions for rollback.',
+   'low', true, 310),
+
+  -- FLOWV002: latest version is a draft numbered above the active version
+  ('FLOWV002', 'housekeeping',
+   'Draft Newer Than Active Flow Version',
+   'The latest version of this flow is a draft saved after the active version. Either changes were built and never activated, or the team believes a fix is live when the older version is still running.',
+   'warning', 'per_item', ARRAY['Record-Triggered Flow', 'Autolaunched Flow', 'Screen Flow', 'Process Builder'],
+   'Review the draft version of ''{{api_name}}'': activate it if the changes are intended, otherwise delete it.',
+   'low', true, 311);
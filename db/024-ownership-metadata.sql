@@ -0,0 +1,17 @@
+-- Migration 024: ownership metadata
+-- Who created and last changed each component, from metadata.list()
+-- FileProperties (createdByName, lastModifiedByName, ...) or the Tooling
+-- CreatedBy/LastModifiedBy relationships. Copied onto the inventory row so
+-- rules and recommendation routing can use it without joining metadata_items.
+-- Null for imported file-based orgs and for child types that report no dates.
+
+ALTER TABLE metadata_items
+  ADD COLUMN created_by_name       TEXT,
+  ADD COLUMN created_date          TIMESTAMPTZ,
+  ADD COLUMN last_modified_by_name TEXT;
+
+ALTER TABLE automation_inventory
+  ADD COLUMN created_by_name       TEXT,
+  ADD COLUMN created_date          TIMESTAMPTZ,
+  ADD COLUMN last_modified_by_name TEXT,
+  ADD COLUMN last_modified_date    TIMESTAMPTZ;
@@ -0,0 +1,26 @@
+-- Migration 025: Apex test coverage rules
+-- After each scan the org's ApexCodeCoverageAggregate / ApexCodeCoverage records
+-- are merged into the parsed_data of Apex classes and triggers: coveragePercent,
+-- linesCovered, linesUncovered, isTestClass, coveringTestClasses.
+-- coveragePercent stays null when the org has no coverage data.
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- COV001: active trigger below 75% coverage (threshold in rules/checks.js)
+  ('COV001', 'risk',
+   'Apex Trigger With Low Test Coverage',
+   'This trigger is covered below 75% by the org''s tests. Triggers run on every save of their object, so changes to poorly tested trigger logic — including consolidating it with other automation — can break behavior no test will catch, and a trigger with no coverage blocks deployments.',
+   'warning', 'per_item', ARRAY['Apex Trigger'],
+   'Write or extend tests for ''{{api_name}}'' until coverage reaches at least 75%, asserting the current behavior before any refactor.',
+   'medium', true, 320),
+
+  -- COV002: class below 75% coverage (test classes excluded)
+  ('COV002', 'risk',
+   'Apex Class With Low Test Coverage',
+   'This class is covered below 75% by the org''s tests. Low coverage lowers the org-wide percentage every production deployment must meet and leaves changes to the class unverified.',
+   'info', 'per_item', ARRAY['Apex Class'],
+   'Add tests for ''{{api_name}}'' that exercise its untested paths and assert their results.',
+   'medium', true, 321);
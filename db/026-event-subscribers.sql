@@ -0,0 +1,61 @@
+-- Migration 026: platform event and Change Data Capture subscribers
+-- Apex triggers on platform events (__e, BatchApexErrorEvent, ...) and change
+-- events (AccountChangeEvent, Invoice__ChangeEvent), and flows started by a
+-- platform event, get their own automation types. They run asynchronously after
+-- the publisher commits, so they are left out of save-order conflict detection
+-- and audited per event channel instead.
+
+-- Reclassify inventory parsed before this migration; delta scans copy these
+-- rows forward unchanged.
+UPDATE automation_inventory
+SET automation_type = 'Platform Event Trigger',
+    parsed_data = parsed_data || '{"eventKind": "platform_event"}'::jsonb
+WHERE automation_type = 'Apex Trigger'
+  AND (object_name ILIKE '%\_\_e'
+       OR lower(object_name) IN ('batchapexerrorevent', 'flowexecutionerrorevent',
+                                 'assettokenevent', 'platformstatusalertevent'));
+
+UPDATE automation_inventory
+SET automation_type = 'Change Event Trigger',
+    parsed_data = parsed_data || '{"eventKind": "change_event"}'::jsonb
+WHERE automation_type = 'Apex Trigger' AND object_name ILIKE '%ChangeEvent';
+
+UPDATE automation_inventory
+SET automation_type = 'Platform Event-Triggered Flow',
+    trigger_events = 'event published',
+    parsed_data = parsed_data || jsonb_build_object(
+      'eventKind',
+      CASE WHEN object_name ILIKE '%ChangeEvent' THEN 'change_event' ELSE 'platform_event' END
+    )
+WHERE automation_type = 'Record-Triggered Flow'
+  AND parsed_data->>'triggerType' = 'PlatformEvent';
+
+-- Existing rules that also cover the new types
+UPDATE rules
+SET applies_to = applies_to || ARRAY['Platform Event Trigger', 'Change Event Trigger']
+WHERE id = 'COV001';
+
+UPDATE rules
+SET applies_to = applies_to || ARRAY['Platform Event-Triggered Flow']
+WHERE id IN ('FLOWV001', 'FLOWV002');
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- EVT001: 2+ active subscribers on one event channel
+  ('EVT001', 'risk',
+   'Multiple Subscribers on One Event',
+   'More than one Apex trigger or flow subscribes to the same platform event or change event. Each subscriber receives every event in its own transaction and Salesforce does not order subscribers, so logic that expects another subscriber to have run first fails intermittently.',
+   'warning', 'cross_item', ARRAY['Platform Event Trigger', 'Change Event Trigger', 'Platform Event-Triggered Flow'],
+   'Make ''{{api_name}}'' independent of the other subscribers on {{object_name}}, or merge the subscribers that depend on each other.',
+   'medium', true, 330),
+
+  -- EVT002: Apex subscriber without resume checkpoint or RetryableException
+  ('EVT002', 'risk',
+   'Event Trigger Without Failure Handling',
+   'This trigger processes events in batches of up to 2,000 but never sets a resume checkpoint or throws EventBus.RetryableException. An uncaught error skips every remaining event in the batch and those events are not redelivered.',
+   'warning', 'per_item', ARRAY['Platform Event Trigger', 'Change Event Trigger'],
+   'In ''{{api_name}}'', call EventBus.TriggerContext.currentContext().setResumeCheckpoint() after each processed event, or throw EventBus.RetryableException for transient failures.',
+   'low', true, 331);
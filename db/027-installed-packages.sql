@@ -0,0 +1,17 @@
+-- Migration 027: managed package ownership
+-- After each scan the org's InstalledSubscriberPackage records are read and each
+-- inventory item's namespace is resolved to the package that owns it.
+-- is_managed_package is then set from the installed namespaces rather than the
+-- parse-time "xx__" name guess. Null package columns: not packaged, or the
+-- org could not be queried (archive imports).
+
+ALTER TABLE automation_inventory
+  ADD COLUMN package_namespace TEXT,
+  ADD COLUMN package_name      TEXT,
+  ADD COLUMN package_version   TEXT;
+
+-- {{package_owner}} is "<Package> v<version>", or "a managed package" when unknown
+UPDATE rules
+SET recommendation_template =
+  'Verify that ''{{api_name}}'', owned by {{package_owner}}, is still required and that the package is on a current version. Changes must come from the package vendor.'
+WHERE id = 'PKG001';
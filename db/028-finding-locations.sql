@@ -0,0 +1,8 @@
+-- Migration 028: finding locations
+-- Apex parsers now record where each flag was found (parsed_data.locations).
+-- Findings from flag-based Apex rules keep the method and line of the first
+-- occurrence; null for other rules and for items parsed before this change.
+
+ALTER TABLE findings
+  ADD COLUMN method_name TEXT,
+  ADD COLUMN line_number INTEGER;
@@ -0,0 +1,33 @@
+-- Migration 029: data operations inside loops
+-- Flow parsing now records the element graph and, per loop, the elements run
+-- for each item; Apex parsing records the loop depth of every query and DML
+-- statement. Both list offending operations in parsed_data.dataOperationsInLoops.
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- LOOP001: Get/Create/Update/Delete Records element inside a flow loop body
+  ('LOOP001', 'risk',
+   'Flow Data Element Inside a Loop',
+   'A Get Records, Create Records, Update Records or Delete Records element runs on every iteration of a loop. Each iteration issues its own query or DML statement, so a loop over a bulk save of 200 records exhausts the 100 SOQL / 150 DML statements per transaction limit and the whole save fails.',
+   'error', 'cross_item', ARRAY['Record-Triggered Flow', 'Autolaunched Flow', 'Screen Flow', 'Platform Event-Triggered Flow'],
+   'Move the data elements out of the loops in ''{{api_name}}'': collect records in a collection variable inside the loop and query or save them once after it.',
+   'medium', true, 340),
+
+  -- LOOP002: SOQL query inside an Apex loop
+  ('LOOP002', 'risk',
+   'SOQL Query Inside an Apex Loop',
+   'A SOQL query (inline or Database.query) runs inside a for, while or do loop. Each iteration counts against the 100 queries per transaction limit, so the code fails once the loop sees enough records.',
+   'error', 'cross_item', ARRAY['Apex Class', 'Apex Trigger', 'Platform Event Trigger', 'Change Event Trigger'],
+   'In ''{{api_name}}'', query once before the loop for all the records it needs and look them up from a Map inside it.',
+   'medium', true, 341),
+
+  -- LOOP003: DML statement inside an Apex loop
+  ('LOOP003', 'risk',
+   'DML Statement Inside an Apex Loop',
+   'An insert, update, delete, upsert, undelete or merge (or the Database method equivalent) runs inside a loop. Each iteration counts against the 150 DML statements per transaction limit and repeats the save of every trigger and flow on the object.',
+   'error', 'cross_item', ARRAY['Apex Class', 'Apex Trigger', 'Platform Event Trigger', 'Change Event Trigger'],
+   'In ''{{api_name}}'', add the records to a list inside the loop and perform a single DML statement on the list after it.',
+   'medium', true, 342);
@@ -0,0 +1,17 @@
+-- Migration 030: flow fault path coverage
+-- Flow parsing lists the DML, action and subflow elements on the flow's normal
+-- path that have no faultConnector (parsed_data.elementsWithoutFaultPath), out
+-- of parsed_data.faultableElementCount such elements.
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- FAULT001: record-triggered flow elements that can fail without a fault path
+  ('FAULT001', 'risk',
+   'Flow Elements Without Fault Paths',
+   'Create/Update/Delete Records, action and subflow elements in this record-triggered flow have no fault connector. When one fails, the flow stops, the whole transaction rolls back and the user saving the record sees a generic "An unhandled fault has occurred" error with no indication of what went wrong.',
+   'warning', 'cross_item', ARRAY['Record-Triggered Flow'],
+   'Add a fault connector to each listed element in ''{{api_name}}'' that logs the error and, where the save can''t proceed, raises a readable Custom Error.',
+   'low', true, 350);
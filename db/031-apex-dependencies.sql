@@ -0,0 +1,14 @@
+-- Migration 031: Apex class dependency graph
+-- The Apex parsers record the types each class or trigger uses
+-- (parsed_data.classReferences). After parsing, references that name one of
+-- the scan's Apex classes become edges here; system and standard types drop out.
+-- reference_kinds: static_call, instantiation, type_reference, extends, implements
+
+CREATE TABLE apex_dependencies (
+  id              SERIAL PRIMARY KEY,
+  scan_id         INTEGER NOT NULL REFERENCES scans(id),
+  from_item_id    INTEGER NOT NULL REFERENCES automation_inventory(id) ON DELETE CASCADE,
+  to_item_id      INTEGER NOT NULL REFERENCES automation_inventory(id) ON DELETE CASCADE,
+  reference_kinds TEXT[] NOT NULL,
+  UNIQUE (scan_id, from_item_id, to_item_id)
+);
@@ -0,0 +1,35 @@
+-- Migration 032: invocation graph rules
+-- Flow parsing records the flows and Apex classes a flow calls
+-- (parsed_data.subflowNames, invokedFlows, invokedApexClasses); Apex parsing
+-- records the flows it starts through Flow.Interview (invokedFlows) and
+-- whether a class has an @InvocableMethod (isInvocable). The checks resolve
+-- these names, plus apex_dependencies, into one graph over the scan.
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- INV001: a flow that invokes itself, directly or through other flows/Apex
+  ('INV001', 'risk',
+   'Recursive Flow Invocation',
+   'This flow ends up invoking itself — through subflows, flow actions, Apex actions or Apex that starts flows with Flow.Interview. Unless every path through the cycle is guarded, each call starts the next one until the transaction hits the element, CPU time or SOQL limits and fails.',
+   'error', 'cross_item', ARRAY[]::TEXT[],
+   'Break the invocation cycle starting at ''{{api_name}}'', or add an explicit exit condition that every path through it checks.',
+   'medium', true, 360),
+
+  -- INV002: autolaunched flow that nothing in the scan invokes
+  ('INV002', 'housekeeping',
+   'Orphaned Autolaunched Flow',
+   'No flow, process or Apex class in this org invokes this active autolaunched flow. It may still be called from outside the scanned metadata (REST API, custom buttons, Lightning components, other orgs), but it is often left over from a removed feature.',
+   'info', 'cross_item', ARRAY['Autolaunched Flow'],
+   'Confirm whether anything outside the scanned metadata runs ''{{api_name}}''; if not, deactivate and delete it.',
+   'low', true, 361),
+
+  -- INV003: class with an @InvocableMethod that nothing calls
+  ('INV003', 'housekeeping',
+   'Unused Invocable Apex Class',
+   'This class exposes an @InvocableMethod, but no flow or process calls it as an Apex action and no other class references it outside of tests. It may be called from outside the scanned metadata (REST API, Einstein bots, other orgs), but otherwise it is dead code that still has to be covered and maintained.',
+   'info', 'cross_item', ARRAY['Apex Class'],
+   'Confirm whether anything outside the scanned metadata calls ''{{api_name}}''; if not, remove the class and its tests.',
+   'low', true, 362);
@@ -0,0 +1,7 @@
+-- Migration 033: parser version on inventory rows
+-- parseInventory stamps each row with the PARSER_VERSION it was parsed with
+-- (parsers/index.js); delta scans copy it forward with the row. Rows parsed
+-- before this migration stay NULL and count as outdated.
+-- POST /api/scans/:id/reparse rebuilds a scan's rows with the current parsers.
+
+ALTER TABLE automation_inventory ADD COLUMN parser_version INTEGER;
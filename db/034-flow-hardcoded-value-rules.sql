@@ -0,0 +1,28 @@
+-- Migration 034: hardcoded IDs and URLs in flows
+-- Flow parsing reduces formulas, text templates, assignments, decision
+-- conditions and record element filters/values to the resources they reference
+-- and the record IDs and URLs they hardcode (parsed_data.expressions, with
+-- hasHardcodedIds / hasHardcodedUrls summarizing them).
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- FLOW002: record IDs in flow expressions and values
+  ('FLOW002', 'quality',
+   'Hardcoded Record IDs in Flow',
+   'This flow compares against or assigns literal record IDs (record types, users, queues, records). IDs differ between production and every sandbox, so the flow silently misbehaves after deployment or a sandbox refresh, and breaks when the record is deleted.',
+   'warning', 'cross_item',
+   ARRAY['Record-Triggered Flow', 'Autolaunched Flow', 'Platform Event-Triggered Flow', 'Screen Flow', 'Process Builder'],
+   'Replace the record IDs in ''{{api_name}}'' with lookups by developer name (Get Records on RecordType, Group, ...) or values held in custom metadata.',
+   'low', true, 370),
+
+  -- FLOW003: URLs in flow expressions and values
+  ('FLOW003', 'quality',
+   'Hardcoded URLs in Flow',
+   'This flow builds links or callouts from literal URLs. Instance and My Domain URLs differ between sandboxes and production, so links in emails and screens point at the wrong org after deployment or a refresh.',
+   'info', 'cross_item',
+   ARRAY['Record-Triggered Flow', 'Autolaunched Flow', 'Platform Event-Triggered Flow', 'Screen Flow', 'Process Builder'],
+   'Hold the base URLs used in ''{{api_name}}'' in a custom label or custom metadata record set per org instead of a literal.',
+   'low', true, 371);
@@ -0,0 +1,48 @@
+-- Migration 035: Apex complexity metrics and thresholds
+-- Apex class parsing records per-method cyclomatic complexity, line count,
+-- block nesting depth and SOQL/DML counts (parsed_data.methods[]), plus the
+-- class's lineCount and totalComplexity. The CPLX rules report methods and
+-- classes at or above the thresholds set on the customer profile.
+
+ALTER TABLE customer_profiles
+  ADD COLUMN method_complexity_threshold INTEGER NOT NULL DEFAULT 10,
+  ADD COLUMN method_length_threshold     INTEGER NOT NULL DEFAULT 100,
+  ADD COLUMN class_length_threshold      INTEGER NOT NULL DEFAULT 1000,
+  ADD COLUMN nesting_depth_threshold     INTEGER NOT NULL DEFAULT 4;
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- CPLX001: cyclomatic complexity per method (PMD CyclomaticComplexity)
+  ('CPLX001', 'quality',
+   'High Cyclomatic Complexity',
+   'Methods in this class have more independent paths (branches, loops, catch blocks, boolean operators) than the profile''s threshold. Each path needs its own test, and changes to such methods are the likeliest to break behavior nobody remembered.',
+   'warning', 'cross_item', ARRAY['Apex Class'],
+   'Split the complex methods in ''{{api_name}}'' into smaller methods with one responsibility each, and cover every branch with tests first.',
+   'medium', true, 380),
+
+  -- CPLX002: method length (PMD ExcessiveMethodLength)
+  ('CPLX002', 'quality',
+   'Excessive Method Length',
+   'Methods in this class are longer than the profile''s threshold. Long methods mix several concerns and are hard to review, test and change safely.',
+   'info', 'cross_item', ARRAY['Apex Class'],
+   'Extract the steps of the long methods in ''{{api_name}}'' into well-named helper methods.',
+   'medium', true, 381),
+
+  -- CPLX003: class length (PMD ExcessiveClassLength)
+  ('CPLX003', 'quality',
+   'Excessive Class Length',
+   'This class is longer than the profile''s threshold. Classes this size usually hold several responsibilities, and every change risks side effects on the others.',
+   'info', 'cross_item', ARRAY['Apex Class'],
+   'Split ''{{api_name}}'' by responsibility (e.g. selector, domain and service classes).',
+   'high', true, 382),
+
+  -- CPLX004: block nesting depth (PMD AvoidDeeplyNestedIfStmts)
+  ('CPLX004', 'quality',
+   'Deeply Nested Code',
+   'Methods in this class nest blocks (if, loops, try) as deep as the profile''s threshold or deeper. Deep nesting hides which conditions apply to a line of code and often signals logic that belongs in separate methods.',
+   'info', 'cross_item', ARRAY['Apex Class'],
+   'Flatten the nested blocks in ''{{api_name}}'' with guard clauses and extracted methods.',
+   'low', true, 383);
@@ -0,0 +1,19 @@
+-- Migration 036: trigger recursion guards and bypass switches
+-- Apex parsing records the static run-once flags, counters and processed-ID
+-- sets a class or trigger checks (parsed_data.recursionGuards) and the Custom
+-- Setting, Custom Metadata, Custom Permission and trigger framework bypass
+-- switches it reads (parsed_data.bypassChecks). APEX015 looks for either on
+-- the trigger's whole code path (the trigger plus its apex_dependencies).
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- APEX015: active trigger with neither a recursion guard nor a bypass switch
+  ('APEX015', 'risk',
+   'Trigger Without Recursion Guard or Bypass',
+   'Neither this trigger nor any class it calls checks a static recursion guard or a bypass switch (Custom Setting, Custom Metadata or Custom Permission). Workflow field updates, processes and the trigger''s own DML re-save the record and run it again, and there is no way to switch it off for data loads and integrations.',
+   'warning', 'cross_item', ARRAY['Apex Trigger'],
+   'Add a static guard (e.g. a Set of processed record IDs) to the handler behind ''{{api_name}}'' and check a bypass Custom Permission or Custom Setting before it runs.',
+   'low', true, 144);
@@ -0,0 +1,29 @@
+-- Migration 037: API version staleness
+-- Flows now record the API version they were saved with (parsed_data.apiVersion),
+-- next to the version Apex classes and triggers are compiled against. The APIV
+-- rules report active components more than the profile's number of releases
+-- behind the newest version in the scan (Salesforce ships three a year).
+
+ALTER TABLE customer_profiles
+  ADD COLUMN api_version_releases_behind INTEGER NOT NULL DEFAULT 9;
+
+INSERT INTO rules
+  (id, layer, name, description, severity, check_type, applies_to,
+   recommendation_template, effort_estimate, is_builtin, sort_order)
+VALUES
+
+  -- APIV001: Apex compiled against an old API version
+  ('APIV001', 'housekeeping',
+   'Apex API Version Behind Current Release',
+   'This Apex code is compiled against an API version more releases behind the org''s current version than the profile allows. It keeps the old version''s behavior for SOQL, sharing and system methods, can''t use newer language features, and the gap — and the release notes to review — grows with every release.',
+   'warning', 'cross_item', ARRAY['Apex Class', 'Apex Trigger', 'Platform Event Trigger', 'Change Event Trigger'],
+   'Raise the API version of ''{{api_name}}'' to the current release, review the versioned behavior changes in the release notes since its version, and re-run its tests.',
+   'low', true, 390),
+
+  -- APIV002: flow saved with an old API version
+  ('APIV002', 'housekeeping',
+   'Flow API Version Behind Current Release',
+   'This flow is saved with an API version more releases behind the org''s current version than the profile allows. Flows run with the behavior of the version they were saved with, so fixes and runtime changes from later releases don''t apply until it is saved again with a newer one.',
+   'info', 'cross_item', ARRAY['Record-Triggered Flow', 'Autolaunched Flow', 'Platform Event-Triggered Flow', 'Screen Flow'],
+   'Open ''{{api_name}}'' in Flow Builder, raise its API version in the flow properties, test it and save it as a new version.',
+   'low', true, 391);
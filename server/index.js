@@ -9,7 +9,9 @@ const ruleRoutes = require('./routes/rules');
 const recommendationRoutes = require('./routes/recommendations');
 const automationRoutes = require('./routes/automations');
 const remediationJobRoutes = require('./routes/remediationJobs');
+const scheduleRoutes = require('./routes/schedules');
 const progressStore = require('./services/progressStore');
+const scheduler = require('./services/scheduler');
 
 const app = express();
 app.use(cors());
@@ -17,6 +19,7 @@ app.use(express.json());
 
 app.use('/auth', authRoutes);
 app.use('/api/accounts', accountRoutes);
+app.use('/api/orgs/:orgId/schedules', scheduleRoutes);
 app.use('/api/orgs', orgRoutes);
 app.use('/api/scans', scanRoutes);
 app.use('/api/rules', ruleRoutes);
@@ -31,4 +34,7 @@ app.get('/api/progress/:jobId', (req, res) => {
 });
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  scheduler.start();
+});
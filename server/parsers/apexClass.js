@@ -1,140 +1,76 @@
+const { parseApex, findTypeReferences } = require('./apexLexer');
+const { detectApex, addFlag } = require('./apexDetections');
+const { apexFieldLineage } = require('./fieldLineage');
+const { apexMetrics } = require('./apexMetrics');
+const { apiVersionNumber } = require('./apiVersions');
+
+const DISPATCH_METHODS = new Set(['run', 'execute', 'dispatch', 'handle', 'invoke']);
+
+const hasAnnotation = (decl, name) => decl.annotations.some((a) => a.name === name);
+const callsTo = (calls, qualifier, name) =>
+  calls.filter((c) => c.qualifier === qualifier && (name instanceof RegExp ? name.test(c.name) : c.name === name));
+
 function parseApexClass(raw) {
   const body = raw.Body || '';
   const name = raw.Name || '';
 
-  // Detect trigger handler class by name suffix or by static dispatch method signature
-  const isTriggerHandler =
-    /(?:Handler|TriggerHandler|TH)$/i.test(name) ||
-    /\bpublic\s+static\s+void\s+(?:run|execute|dispatch|handle|invoke)\s*\(/i.test(body);
+  const parsed = parseApex(body);
+  const detected = detectApex(parsed);
+  const { calls } = detected;
+  const topType = parsed.types[0] || null;
 
-  // Extract SObject names from SOQL queries: [SELECT ... FROM SObject ...]
-  const soqlMatches = [...body.matchAll(/\[\s*SELECT\b[^\]]*?\bFROM\s+(\w+)/gi)];
-  const soqlObjects = [...new Set(soqlMatches.map((m) => m[1]))];
-
-  // Extract SObject types from DML statements.
-  // Covers: insert x; insert new Account(); insert new List<Account>{}
-  //         Database.insert(x); Database.insert(new List<Contact>{...})
-  const dmlKeywordMatches = [
-    ...body.matchAll(
-      /\b(?:insert|update|delete|upsert|undelete)\s+(?:new\s+(?:List\s*<\s*(\w+)\s*>|(\w+)\s*[({])|(\w+)\s*[;,\)])/gi,
-    ),
-  ];
-  const dbMethodMatches = [
-    ...body.matchAll(
-      /\bDatabase\s*\.\s*(?:insert|update|delete|upsert|undelete)\s*\(\s*(?:new\s+(?:List\s*<\s*(\w+)\s*>|(\w+)\s*[({])|(\w+)\s*[,)])/gi,
-    ),
-  ];
-
-  // Exclude common non-SObject variable names that match patterns
-  const EXCLUDE = new Set(['null', 'true', 'false', 'this', 'new', 'List', 'Map', 'Set']);
-  const dmlObjects = [
-    ...new Set([
-      ...dmlKeywordMatches.flatMap((m) => [m[1], m[2], m[3]].filter(Boolean)),
-      ...dbMethodMatches.flatMap((m) => [m[1], m[2], m[3]].filter(Boolean)),
-    ]),
-  ].filter((o) => !EXCLUDE.has(o) && /^[A-Z]/.test(o));
+  // Detect trigger handler class by name suffix or by static dispatch method signature
+  const dispatchMethods = parsed.methods.filter((m) =>
+    DISPATCH_METHODS.has(m.name.toLowerCase()) &&
+    m.modifiers.includes('public') && m.modifiers.includes('static') &&
+    (m.returnType || '').toLowerCase() === 'void');
+  const isTriggerHandler = /(?:Handler|TriggerHandler|TH)$/i.test(name) || dispatchMethods.length > 0;
 
-  // Detect @future annotations — async methods have strict limits (50/tx, 200/24h)
+  // @future methods — async methods have strict limits (50/tx, 200/24h)
   // and must be called with collections, not per-record.
-  const hasFutureMethods = /@future\b/i.test(body);
+  addFlag(detected, 'hasFutureMethods',
+    parsed.methods.filter((m) => hasAnnotation(m, 'future')).map((m) => ({ method: m.name, line: m.line })));
 
-  // Detect hardcoded Salesforce record IDs (15- or 18-char, always starting with '0').
-  // These are org-specific and break across environments.
-  const hasHardcodedIds = /['"]0[0-9A-Za-z]{14}(?:[0-9A-Za-z]{3})?['"]/.test(body);
-
-  // Detect @isTest(seeAllData=true) — exposes the test to real org data, making it
+  // @isTest(seeAllData=true) — exposes the test to real org data, making it
   // fragile, environment-specific, and potentially destructive in production orgs.
-  const hasSeeAllDataTrue = /@isTest\s*\(\s*seeAllData\s*=\s*true/i.test(body);
-
-  // Detect deprecated testMethod keyword — replaced by @isTest annotation since API v28.
-  const hasTestMethodKeyword = /\btestMethod\b/i.test(body);
-
-  // Detect global class/interface/enum modifier — global access is permanent and cannot
-  // be removed after deployment without breaking API consumers.
-  const hasGlobalModifier = /\bglobal\s+(?:class|interface|enum|virtual|abstract)\b/i.test(body);
-
-  // Detect System.debug() calls without a LoggingLevel parameter — these default to
-  // DEBUG level and pollute production logs, making diagnosis harder.
-  const hasDebugWithoutLevel = /System\.debug\s*\(\s*(?!LoggingLevel\.)/i.test(body);
-
-  // Detect Queueable implementations without System.attachFinalizer — missing a finalizer
-  // means failed async jobs have no error-recovery or monitoring hook.
-  const isQueueableWithoutFinalizer =
-    /\bimplements\b[^{]*\bQueueable\b/i.test(body) &&
-    !/System\.attachFinalizer\b/i.test(body);
-
-  // Detect @isTest classes with no assertion calls — such tests exercise code paths
-  // but never verify that behaviour is correct, providing false confidence.
-  const isTestClassWithoutAsserts =
-    /@isTest\b/i.test(body) && !/(System\.assert|Assert\.)/i.test(body);
-
-  // Detect @isTest classes that never call System.runAs — running as system context
-  // bypasses sharing rules and profile-based permissions, hiding real access issues.
-  const isTestClassWithoutRunAs =
-    /@isTest\b/i.test(body) && !/System\.runAs\s*\(/i.test(body);
-
-  // --- Security checks ---
-
-  // Detect HTTP (non-HTTPS) endpoint — unencrypted callouts expose data in transit
-  // and will fail Salesforce security review for managed packages.
-  const hasInsecureEndpoint = /\.setEndpoint\s*\(\s*['"]http:\/\//i.test(body);
-
-  // Detect addError(message, false) — the false flag disables HTML escaping, allowing
-  // attacker-controlled HTML/JS to render in the user's browser (XSS).
-  const hasXssFromEscapeFalse = /\.addError\s*\([^)]+,\s*false\s*\)/i.test(body);
-
-  // Detect Configuration.disableTriggerCRUDSecurity() — a FinancialForce/fflib method
-  // that globally disables CRUD/FLS enforcement, opening the org to privilege escalation.
-  const hasDangerousMethodCall =
-    /Configuration\s*\.\s*disableTriggerCRUDSecurity\s*\(\s*\)/i.test(body);
-
-  // Detect classes that perform DML or SOQL without a sharing declaration.
-  // Without 'with sharing', 'without sharing', or 'inherited sharing', the class
-  // silently runs in the caller's sharing context — usually system (no enforcement).
-  const hasSharingDeclaration = /\b(?:with|without|inherited)\s+sharing\b/i.test(body);
-  const hasDmlOrSoql =
-    dmlObjects.length > 0 ||
-    soqlObjects.length > 0 ||
-    /\b(?:insert|update|delete|upsert|undelete)\s+/i.test(body) ||
-    /\[\s*SELECT\b/i.test(body);
-  const missesShareDeclaration = hasDmlOrSoql && !hasSharingDeclaration;
-
-  // Detect Database.query() (dynamic SOQL) without String.escapeSingleQuotes().
-  // Concatenating unsanitized user input into a SOQL query enables injection —
-  // allowing an attacker to exfiltrate or modify arbitrary records.
-  const hasDynamicSoql = /Database\s*\.\s*query\s*\(/i.test(body);
-  const hasSoqlInjectionRisk =
-    hasDynamicSoql && !/String\s*\.\s*escapeSingleQuotes\s*\(/i.test(body);
-
-  // Detect DML or SOQL without CRUD/FLS permission checks. Code that performs data
-  // operations without checking isAccessible(), isCreateable(), isUpdateable(),
-  // isDeletable(), WITH SECURITY_ENFORCED, WITH USER_MODE, or Security.stripInaccessible()
-  // may bypass org-level access controls and expose records to unauthorised users.
-  const hasCrudChecks =
-    /\b(?:isAccessible|isCreateable|isUpdateable|isDeletable|isUndeletable)\s*\(\s*\)/i.test(body) ||
-    /\bWITH\s+(?:SECURITY_ENFORCED|USER_MODE)\b/i.test(body) ||
-    /Security\s*\.\s*stripInaccessible\s*\(/i.test(body);
-  const hasCrudViolationRisk = hasDmlOrSoql && !hasCrudChecks;
-
-  // Detect Crypto API calls using a Blob.valueOf('literal') as IV or key material.
-  // Hardcoded cryptographic values completely undermine encryption — anyone with
-  // source code access can decrypt all data protected by the hardcoded key or IV.
-  const hasHardcodedCrypto =
-    /Crypto\s*\.\s*\w+\s*\(/i.test(body) && /Blob\s*\.\s*valueOf\s*\(\s*['"]/i.test(body);
-
-  // Detect manual Authorization header construction instead of Named Credentials.
-  // Hardcoded auth values embedded in source code are exposed to all code reviewers,
-  // version control history, and anyone with org access — and are hard to rotate.
-  const hasHardcodedCredentials =
-    /\.setHeader\s*\(\s*['"]\s*Authorization\s*['"]/i.test(body);
-
-  // Detect PageReference constructed from getCurrentPage().getParameters() — an open
-  // redirect vulnerability. Attackers craft URLs that redirect users to malicious
-  // sites via the trusted Salesforce domain, facilitating phishing.
-  const hasOpenRedirectRisk =
-    /new\s+PageReference\s*\(/i.test(body) &&
-    /getCurrentPage\s*\(\s*\)\s*\.getParameters/i.test(body);
-
+  const seeAllData = (decl) => decl.annotations.some((a) =>
+    a.name === 'istest' && /seeAllData\s*=\s*true/i.test(a.args || ''));
+  addFlag(detected, 'hasSeeAllDataTrue', [
+    ...parsed.types.filter(seeAllData).map((t) => ({ method: null, line: t.line })),
+    ...parsed.methods.filter(seeAllData).map((m) => ({ method: m.name, line: m.line })),
+  ]);
+
+  // Deprecated testMethod keyword — replaced by @isTest annotation since API v28.
+  addFlag(detected, 'hasTestMethodKeyword',
+    parsed.methods.filter((m) => m.modifiers.includes('testmethod')).map((m) => ({ method: m.name, line: m.line })));
+
+  // global class/interface/enum — global access is permanent and cannot be
+  // removed after deployment without breaking API consumers.
+  addFlag(detected, 'hasGlobalModifier',
+    parsed.types.filter((t) => t.modifiers.includes('global')).map((t) => ({ method: null, line: t.line })));
+
+  // Queueable without System.attachFinalizer — failed async jobs have no
+  // error-recovery or monitoring hook.
+  const isQueueable = topType && topType.implements.some((i) => i.toLowerCase() === 'queueable');
+  const attachesFinalizer = callsTo(calls, 'system', 'attachfinalizer').length > 0;
+  addFlag(detected, 'isQueueableWithoutFinalizer',
+    isQueueable && !attachesFinalizer ? [{ method: null, line: topType.line }] : []);
+
+  // @isTest classes with no assertions exercise code paths without verifying
+  // behaviour; without System.runAs they only ever run in system context,
+  // hiding sharing and permission issues.
+  const isTestClass = !!topType && hasAnnotation(topType, 'istest');
+  // Test code: an @isTest class, or test methods in a class without the annotation
+  const containsTests = isTestClass ||
+    parsed.methods.some((m) => hasAnnotation(m, 'istest') || m.modifiers.includes('testmethod'));
+  const hasAsserts = callsTo(calls, 'system', /^assert/).length > 0 || calls.some((c) => c.qualifier === 'assert');
+  const runsAs = callsTo(calls, 'system', 'runas').length > 0;
+  const testClassAt = [{ method: null, line: topType?.line }];
+  addFlag(detected, 'isTestClassWithoutAsserts', isTestClass && !hasAsserts ? testClassAt : []);
+  addFlag(detected, 'isTestClassWithoutRunAs', isTestClass && !runsAs ? testClassAt : []);
+
+  const { flags } = detected;
+  const metrics = apexMetrics(parsed);
   return {
     automation_type: 'Apex Class',
     object_name: null,
@@ -143,28 +79,58 @@ function parseApexClass(raw) {
     has_description: false,
     is_managed_package: !!(raw.NamespacePrefix && raw.NamespacePrefix.trim()),
     parsed_data: {
-      apiVersion: raw.ApiVersion || null,
+      apiVersion: apiVersionNumber(raw.ApiVersion),
       isTriggerHandler,
-      dmlObjects,
-      soqlObjects,
-      hasFutureMethods,
-      hasHardcodedIds,
-      hasSeeAllDataTrue,
-      hasTestMethodKeyword,
-      hasGlobalModifier,
-      hasDebugWithoutLevel,
-      isQueueableWithoutFinalizer,
-      isTestClassWithoutAsserts,
-      isTestClassWithoutRunAs,
-      hasInsecureEndpoint,
-      hasXssFromEscapeFalse,
-      hasDangerousMethodCall,
-      missesShareDeclaration,
-      hasSoqlInjectionRisk,
-      hasCrudViolationRisk,
-      hasHardcodedCrypto,
-      hasHardcodedCredentials,
-      hasOpenRedirectRisk,
+      isTestClass: containsTests,
+      // @InvocableMethod — callable as an Apex action from flows and processes
+      isInvocable: parsed.methods.some((m) => hasAnnotation(m, 'invocablemethod')),
+      dmlObjects: detected.dmlObjects,
+      soqlObjects: detected.soqlObjects,
+      hasFutureMethods: flags.hasFutureMethods,
+      hasHardcodedIds: flags.hasHardcodedIds,
+      hasSeeAllDataTrue: flags.hasSeeAllDataTrue,
+      hasTestMethodKeyword: flags.hasTestMethodKeyword,
+      hasGlobalModifier: flags.hasGlobalModifier,
+      hasDebugWithoutLevel: flags.hasDebugWithoutLevel,
+      isQueueableWithoutFinalizer: flags.isQueueableWithoutFinalizer,
+      isTestClassWithoutAsserts: flags.isTestClassWithoutAsserts,
+      isTestClassWithoutRunAs: flags.isTestClassWithoutRunAs,
+      hasInsecureEndpoint: flags.hasInsecureEndpoint,
+      hasXssFromEscapeFalse: flags.hasXssFromEscapeFalse,
+      hasDangerousMethodCall: flags.hasDangerousMethodCall,
+      missesShareDeclaration: flags.missesShareDeclaration,
+      hasSoqlInjectionRisk: flags.hasSoqlInjectionRisk,
+      hasCrudViolationRisk: flags.hasCrudViolationRisk,
+      hasHardcodedCrypto: flags.hasHardcodedCrypto,
+      hasHardcodedCredentials: flags.hasHardcodedCredentials,
+      hasOpenRedirectRisk: flags.hasOpenRedirectRisk,
+      hasSoqlInLoop: flags.hasSoqlInLoop,
+      hasDmlInLoop: flags.hasDmlInLoop,
+      dataOperationsInLoops: detected.dataOperationsInLoops,
+      fieldLineage: apexFieldLineage(parsed, detected.dmlObjects),
+      // Types used by the class, resolved to the org's classes after parsing
+      classReferences: findTypeReferences(parsed),
+      // Flows started through Flow.Interview, resolved to the org's flows at analysis
+      invokedFlows: [...new Set(detected.flowInvocations.map((f) => f.flow))],
+      // Static run-once flags/sets it checks and the bypass switches it reads
+      recursionGuards: detected.recursionGuards,
+      bypassChecks: detected.bypassChecks,
+      // Where each flag was found: { <flag>: [{ method, line }] }
+      locations: detected.locations,
+      // Size and complexity, per class and per method (see apexMetrics)
+      lineCount: metrics.lineCount,
+      totalComplexity: metrics.totalComplexity,
+      maxMethodComplexity: Math.max(0, ...metrics.methods.map((m) => m.complexity)),
+      maxNestingDepth: Math.max(0, ...metrics.methods.map((m) => m.nestingDepth)),
+      methods: parsed.methods.map((m, i) => ({
+        name: m.name,
+        line: m.line,
+        endLine: m.endLine,
+        annotations: m.annotations.map((a) => a.name),
+        modifiers: m.modifiers,
+        isStatic: m.modifiers.includes('static'),
+        ...metrics.methods[i],
+      })),
     },
   };
 }
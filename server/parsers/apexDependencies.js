@@ -0,0 +1,100 @@
+const pool = require('../db');
+
+const APEX_TYPES = ['Apex Class', 'Apex Trigger', 'Platform Event Trigger', 'Change Event Trigger'];
+
+/**
+ * Resolves the classReferences recorded by the Apex parsers against the scan's
+ * Apex classes and stores one apex_dependencies row per referencing item and
+ * referenced class, with the kinds of reference seen (static_call,
+ * instantiation, type_reference, extends, implements). Rebuilt in full on
+ * every scan so delta scans pick up items copied forward.
+ * Returns the number of dependencies stored.
+ */
+async function buildApexDependencies(scanId) {
+  const items = await pool.query(
+    `SELECT ai.id, ai.automation_type, ai.api_name, ai.parsed_data->'classReferences' AS class_references
+     FROM automation_inventory ai
+     JOIN metadata_items mi ON mi.id = ai.metadata_item_id
+     WHERE mi.scan_id = $1 AND ai.automation_type = ANY($2)`,
+    [scanId, APEX_TYPES],
+  );
+
+  const classIds = new Map(
+    items.rows.filter((i) => i.automation_type === 'Apex Class').map((i) => [i.api_name.toLowerCase(), i.id]),
+  );
+
+  await pool.query('DELETE FROM apex_dependencies WHERE scan_id = $1', [scanId]);
+  let count = 0;
+  for (const item of items.rows) {
+    const kindsByTarget = new Map();
+    for (const ref of item.class_references || []) {
+      const target = classIds.get(ref.name.toLowerCase());
+      if (!target || target === item.id) continue;
+      if (!kindsByTarget.has(target)) kindsByTarget.set(target, new Set());
+      kindsByTarget.get(target).add(ref.kind);
+    }
+    for (const [target, kinds] of kindsByTarget) {
+      await pool.query(
+        `INSERT INTO apex_dependencies (scan_id, from_item_id, to_item_id, reference_kinds)
+         VALUES ($1, $2, $3, $4)`,
+        [scanId, item.id, target, [...kinds].sort()],
+      );
+      count++;
+    }
+  }
+  return count;
+}
+
+async function loadApexDependencies(scanId, db = pool) {
+  const result = await db.query(
+    'SELECT from_item_id, to_item_id, reference_kinds FROM apex_dependencies WHERE scan_id = $1',
+    [scanId],
+  );
+  return result.rows;
+}
+
+/**
+ * Every class reachable from rootId through the dependency edges, breadth
+ * first: [{ id, depth, from, referenceKinds }] where from is the item that
+ * first referenced it (depth 1 = referenced by the root directly).
+ */
+function dependencyClosure(edges, rootId) {
+  const outgoing = new Map();
+  for (const edge of edges) {
+    if (!outgoing.has(edge.from_item_id)) outgoing.set(edge.from_item_id, []);
+    outgoing.get(edge.from_item_id).push(edge);
+  }
+
+  const reached = [];
+  const seen = new Set([rootId]);
+  let frontier = [rootId];
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const edge of outgoing.get(id) || []) {
+        if (seen.has(edge.to_item_id)) continue;
+        seen.add(edge.to_item_id);
+        reached.push({ id: edge.to_item_id, depth, from: id, referenceKinds: edge.reference_kinds });
+        next.push(edge.to_item_id);
+      }
+    }
+    frontier = next;
+  }
+  return reached;
+}
+
+/**
+ * Where the code an Apex item runs defends against re-entry and can be
+ * switched off: { guardedBy, bypassedBy } listing the api_names of the item
+ * and reachable classes whose parsed_data has recursionGuards / bypassChecks.
+ * Without edges only the item itself is looked at.
+ */
+function codePathSafeguards(item, edges, itemsById) {
+  const code = [item, ...dependencyClosure(edges || [], item.id).map((c) => itemsById.get(c.id)).filter(Boolean)];
+  return {
+    guardedBy: code.filter((i) => i.parsed_data?.recursionGuards?.length > 0).map((i) => i.api_name),
+    bypassedBy: code.filter((i) => i.parsed_data?.bypassChecks?.length > 0).map((i) => i.api_name),
+  };
+}
+
+module.exports = { buildApexDependencies, loadApexDependencies, dependencyClosure, codePathSafeguards };
@@ -0,0 +1,299 @@
+const {
+  findCalls,
+  findDml,
+  findQueries,
+  findStrings,
+  declaredTypes,
+} = require('./apexLexer');
+
+// Locations kept per flag — enough to point at the code without bloating parsed_data
+const MAX_LOCATIONS = 5;
+
+const HARDCODED_ID = /^0[0-9A-Za-z]{14}(?:[0-9A-Za-z]{3})?$/;
+const CRUD_CHECK_METHODS = new Set(['isaccessible', 'iscreateable', 'isupdateable', 'isdeletable', 'isundeletable']);
+const NOT_SOBJECT_TYPES = new Set(['sobject', 'object', 'string', 'id', 'integer', 'boolean', 'list', 'map', 'set']);
+
+const isWord = (token, value) => !!token && token.type === 'word' && token.value.toLowerCase() === value;
+
+function at(entry) {
+  return { method: entry.method ?? null, line: entry.line };
+}
+
+function firstArgToken(call) {
+  return call.args[0] && call.args[0][0];
+}
+
+/**
+ * Resolves the SObject a DML statement works on from its target:
+ * `new Account(...)`, `new List<Account>{...}`, or a variable declared with an
+ * SObject (collection) type. Returns null when it can't be told.
+ */
+function dmlObjectOf(target, types) {
+  const [first, second] = target;
+  if (!first || first.type !== 'word') return null;
+  let name = null;
+  if (isWord(first, 'new')) {
+    const generic = target.findIndex((t) => t.type === 'punct' && t.value === '<');
+    name = generic !== -1 && ['list', 'set'].includes(second?.value.toLowerCase())
+      ? target[generic + 1]?.value
+      : second?.value;
+  } else {
+    name = types.get(first.value.toLowerCase()) || null;
+  }
+  return name && !NOT_SOBJECT_TYPES.has(name.toLowerCase()) ? name : null;
+}
+
+// ── Recursion guards and bypass switches ──────────────────────────────────────
+
+const GUARD_FIELD_TYPES = new Set(['boolean', 'integer', 'set']);
+const FIELD_MODIFIERS = new Set(['public', 'private', 'protected', 'global', 'final', 'transient']);
+// Names of static flags declared in other classes that read as run-once guards
+const GUARD_NAME = /first|once|run|recurs|execut|processed|already|fired|handled/i;
+// Words that make a setting read a trigger on/off switch rather than other config
+const SWITCH_NAME = /bypass|disable|skip|deactivat|enable|active/i;
+const SETTING_METHODS = new Set(['getinstance', 'getorgdefaults', 'getvalues', 'getall']);
+
+/**
+ * Static Boolean, Integer and Set fields: the shapes a recursion guard takes
+ * (run-once flag, run counter, processed-ID set). Returns lower-cased name → type.
+ */
+function staticGuardFields(tokens) {
+  const fields = new Map();
+  for (let j = 0; j < tokens.length; j++) {
+    if (!isWord(tokens[j], 'static')) continue;
+    let k = j + 1;
+    while (tokens[k]?.type === 'word' && FIELD_MODIFIERS.has(tokens[k].value.toLowerCase())) k++;
+    const type = tokens[k]?.type === 'word' ? tokens[k].value.toLowerCase() : null;
+    if (!GUARD_FIELD_TYPES.has(type)) continue;
+    k++;
+    if (tokens[k]?.value === '<') {
+      while (k < tokens.length && tokens[k].value !== '>') k++;
+      k++;
+    }
+    const name = tokens[k];
+    const after = tokens[k + 1];
+    if (name?.type === 'word' && after && (after.value === '=' || after.value === ';')) {
+      fields.set(name.value.toLowerCase(), type);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Recursion guards a class or trigger checks: [{ field, method, line }] for
+ *   - its own static Boolean/Integer flags read in an if/while condition, and
+ *     static Sets it calls contains() on
+ *   - another class's static flag with a guard-like name read in a condition
+ *     (TriggerHelper.firstRun) or passed through contains()
+ *   - trigger framework loop limits (setMaxLoopCount)
+ */
+function findRecursionGuards(parsed, calls) {
+  const own = staticGuardFields(parsed.tokens);
+  const guards = [];
+  for (const statement of parsed.statements) {
+    const st = statement.tokens;
+    const isCondition = ['if', 'while'].includes(st[0]?.value.toLowerCase()) ||
+      (isWord(st[0], 'else') && isWord(st[1], 'if'));
+    st.forEach((t, j) => {
+      if (t.type !== 'word' || st[j - 1]?.value === '.') return;
+      const qualified = st[j + 1]?.value === '.' && st[j + 2]?.type === 'word' ? `${t.value}.${st[j + 2].value}` : null;
+      const callsContains = (at) => st[at + 1]?.value === '.' && isWord(st[at + 2], 'contains');
+      const type = own.get(t.value.toLowerCase());
+      if (type && ((type !== 'set' && isCondition) || (type === 'set' && callsContains(j)))) {
+        guards.push({ field: t.value, method: statement.method, line: t.line });
+      } else if (qualified && /^[A-Z]/.test(t.value) && GUARD_NAME.test(st[j + 2].value) &&
+        (isCondition || callsContains(j + 2))) {
+        guards.push({ field: qualified, method: statement.method, line: t.line });
+      }
+    });
+  }
+  for (const call of calls.filter((c) => c.name === 'setmaxloopcount')) {
+    guards.push({ field: 'setMaxLoopCount', method: call.method ?? null, line: call.line });
+  }
+  return guards;
+}
+
+/**
+ * Checks that let admins switch automation off for data loads and
+ * integrations: [{ kind, source, method, line }] where kind is
+ *   custom_setting    — X__c.getInstance()/getOrgDefaults()/getValues() read
+ *                       for a bypass/disable/active-style field
+ *   custom_metadata   — X__mdt.getInstance()/getAll() or a query on X__mdt, same
+ *   custom_permission — FeatureManagement.checkPermission(...)
+ *   framework         — a trigger framework's bypass()/isBypassed()
+ */
+function findBypassChecks(parsed, calls, queries) {
+  const checks = [];
+  const statementAt = (line, method) => parsed.statements.find((s) => s.line <= line && s.method === method &&
+    s.tokens.some((t) => t.line === line));
+  const mentionsSwitch = (entry, source) => SWITCH_NAME.test(source) ||
+    (statementAt(entry.line, entry.method)?.tokens || []).some((t) => t.type === 'word' && SWITCH_NAME.test(t.value));
+
+  for (const call of calls) {
+    const source = call.receiver;
+    if (SETTING_METHODS.has(call.name) && /__c$/i.test(source) && mentionsSwitch(call, source)) {
+      checks.push({ kind: 'custom_setting', source, method: call.method ?? null, line: call.line });
+    } else if (SETTING_METHODS.has(call.name) && /__mdt$/i.test(source) && mentionsSwitch(call, source)) {
+      checks.push({ kind: 'custom_metadata', source, method: call.method ?? null, line: call.line });
+    } else if (call.qualifier === 'featuremanagement' && call.name === 'checkpermission') {
+      const arg = firstArgToken(call);
+      checks.push({ kind: 'custom_permission', source: arg?.type === 'string' ? arg.value : source, method: call.method ?? null, line: call.line });
+    } else if ((call.name === 'bypass' || call.name === 'isbypassed') && source) {
+      checks.push({ kind: 'framework', source: `${source}.${call.name === 'bypass' ? 'bypass' : 'isBypassed'}`, method: call.method ?? null, line: call.line });
+    }
+  }
+  for (const query of queries) {
+    if (/__mdt$/i.test(query.objectName || '') && mentionsSwitch(query, query.text)) {
+      checks.push({ kind: 'custom_metadata', source: query.objectName, method: query.method ?? null, line: query.line });
+    }
+  }
+  return checks.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Runs the token-level detections shared by the Apex class and trigger parsers
+ * over parseApex() output. Returns
+ *   flags     — { hasHardcodedIds, hasDebugWithoutLevel, ... } booleans
+ *   locations — { <flag>: [{ method, line }] } for every flag that is set
+ *   dmlObjects / soqlObjects — SObjects written and queried
+ *   dataOperationsInLoops    — [{ operation, target, method, line }] for each
+ *                              query ('soql') or DML statement inside a loop
+ *   flowInvocations          — [{ flow, method, line }] for each flow the code
+ *                              starts through Flow.Interview
+ *   recursionGuards / bypassChecks — see findRecursionGuards / findBypassChecks
+ *   dml / queries / calls    — the raw occurrences, for parser-specific checks
+ */
+function detectApex(parsed) {
+  const calls = findCalls(parsed);
+  const dml = findDml(parsed);
+  const queries = findQueries(parsed);
+  const strings = findStrings(parsed);
+  const types = declaredTypes(parsed);
+  const topType = parsed.types[0] || null;
+
+  const callsTo = (qualifier, name) =>
+    calls.filter((c) => c.name === name && (qualifier === null || c.qualifier === qualifier));
+  // Statements containing a run of tokens, e.g. ['accesslevel', '.', 'user_mode']
+  const statementsWith = (...sequence) =>
+    parsed.statements.filter((s) => s.tokens.some((_, j) =>
+      sequence.every((value, k) => {
+        const t = s.tokens[j + k];
+        return t && (t.type === 'word' ? t.value.toLowerCase() === value : t.value === value);
+      })));
+
+  const found = {};
+
+  // String literals, including the quoted values inside inline SOQL
+  found.hasHardcodedIds = [
+    ...strings.filter((s) => HARDCODED_ID.test(s.value)),
+    ...queries.filter((q) => [...q.text.matchAll(/'([^']*)'/g)].some((m) => HARDCODED_ID.test(m[1]))),
+  ];
+
+  found.hasDebugWithoutLevel = callsTo('system', 'debug').filter((c) => !isWord(firstArgToken(c), 'logginglevel'));
+
+  // addError(message, false) disables HTML escaping of the message
+  found.hasXssFromEscapeFalse = callsTo(null, 'adderror').filter((c) => {
+    const last = c.args[c.args.length - 1];
+    return c.args.length >= 2 && last.length === 1 && isWord(last[0], 'false');
+  });
+
+  const hasEscaping = callsTo(null, 'escapesinglequotes').length > 0;
+  found.hasSoqlInjectionRisk = hasEscaping ? [] : callsTo('database', 'query');
+
+  found.hasDangerousMethodCall = callsTo('configuration', 'disabletriggercrudsecurity');
+
+  found.hasInsecureEndpoint = callsTo(null, 'setendpoint').filter((c) => {
+    const arg = firstArgToken(c);
+    return arg?.type === 'string' && /^http:\/\//i.test(arg.value);
+  });
+
+  found.hasHardcodedCredentials = callsTo(null, 'setheader').filter((c) => {
+    const arg = firstArgToken(c);
+    return arg?.type === 'string' && arg.value.trim().toLowerCase() === 'authorization';
+  });
+
+  // Crypto calls fed from Blob.valueOf('literal') key or IV material
+  const literalBlobs = callsTo('blob', 'valueof').filter((c) => c.args.length === 1 && c.args[0].length === 1 && c.args[0][0].type === 'string');
+  found.hasHardcodedCrypto = calls.some((c) => c.qualifier === 'crypto') ? literalBlobs : [];
+
+  // new PageReference(...) built from the current page's URL parameters
+  const readsPageParams = callsTo(null, 'getparameters').length > 0 && callsTo(null, 'getcurrentpage').length > 0;
+  found.hasOpenRedirectRisk = readsPageParams ? statementsWith('new', 'pagereference') : [];
+
+  const hasDmlOrSoql = dml.length > 0 || queries.length > 0;
+  const hasCrudChecks =
+    calls.some((c) => CRUD_CHECK_METHODS.has(c.name) && c.args.length === 0) ||
+    queries.some((q) => /\bWITH\s+(?:SECURITY_ENFORCED|USER_MODE)\b/i.test(q.text)) ||
+    callsTo('security', 'stripinaccessible').length > 0 ||
+    statementsWith('accesslevel', '.', 'user_mode').length > 0;
+  found.hasCrudViolationRisk = hasDmlOrSoql && !hasCrudChecks ? [...dml, ...queries] : [];
+
+  found.missesShareDeclaration = topType && topType.kind === 'class' && hasDmlOrSoql && !topType.sharing
+    ? [{ method: null, line: topType.line }]
+    : [];
+
+  // Queries and DML run once per iteration — the 100 SOQL / 150 DML per
+  // transaction limits are hit as soon as the loop sees enough records
+  const dynamicQueries = calls.filter((c) => c.qualifier === 'database' && ['query', 'countquery'].includes(c.name));
+  found.hasSoqlInLoop = [...queries, ...dynamicQueries].filter((q) => q.loopDepth > 0);
+  found.hasDmlInLoop = dml.filter((d) => d.loopDepth > 0);
+  const dataOperationsInLoops = [
+    ...found.hasSoqlInLoop.map((q) => ({
+      operation: 'soql',
+      target: q.text !== undefined ? q.objectName : (q.name === 'countquery' ? 'Database.countQuery' : 'Database.query'),
+      method: q.method ?? null,
+      line: q.line,
+    })),
+    // Target is the SObject when it can be resolved, else the variable written
+    ...found.hasDmlInLoop.map((d) => ({
+      operation: d.operation,
+      target: dmlObjectOf(d.target, types) || (d.target[0]?.type === 'word' ? d.target[0].value : null),
+      method: d.method ?? null,
+      line: d.line,
+    })),
+  ].sort((a, b) => a.line - b.line);
+
+  // Flows started from Apex: Flow.Interview.createInterview('Name', inputs)
+  // (or its namespace, name, inputs form) and new Flow.Interview.Name(inputs)
+  const flowInvocations = [
+    ...callsTo('flow.interview', 'createinterview').map((c) => {
+      const arg = c.args.length >= 3 ? c.args[1] : c.args[0];
+      return arg && arg.length === 1 && arg[0].type === 'string' ? { flow: arg[0].value, method: c.method ?? null, line: c.line } : null;
+    }).filter(Boolean),
+    ...parsed.statements.flatMap((s) => s.tokens.flatMap((t, j) => {
+      const [flow, dot1, interview, dot2, name] = s.tokens.slice(j + 1, j + 6);
+      return isWord(t, 'new') && isWord(flow, 'flow') && dot1?.value === '.' && isWord(interview, 'interview') &&
+        dot2?.value === '.' && name?.type === 'word'
+        ? [{ flow: name.value, method: s.method ?? null, line: t.line }]
+        : [];
+    })),
+  ];
+
+  const result = { flags: {}, locations: {} };
+  for (const [flag, entries] of Object.entries(found)) addFlag(result, flag, entries);
+
+  return {
+    ...result,
+    dmlObjects: [...new Set(dml.map((d) => dmlObjectOf(d.target, types)).filter(Boolean))],
+    soqlObjects: [...new Set(queries.map((q) => q.objectName).filter(Boolean))],
+    dataOperationsInLoops,
+    flowInvocations,
+    recursionGuards: findRecursionGuards(parsed, calls),
+    bypassChecks: findBypassChecks(parsed, calls, queries),
+    dml,
+    queries,
+    calls,
+  };
+}
+
+/**
+ * Adds a flag computed by a parser to detectApex() results.
+ */
+function addFlag(result, flag, entries) {
+  result.flags[flag] = entries.length > 0;
+  if (entries.length > 0) {
+    result.locations[flag] = entries.map(at).sort((a, b) => a.line - b.line).slice(0, MAX_LOCATIONS);
+  }
+}
+
+module.exports = { detectApex, addFlag, HARDCODED_ID };
@@ -0,0 +1,687 @@
+// Token-level reader for Apex source. Comments are dropped, string literals
+// and inline SOQL/SOSL become single tokens, and the token stream is split
+// into types (class/interface/enum/trigger), methods and statements so that
+// detections ignore commented-out code and text inside strings and can report
+// the method and line they were found at.
+//
+// This is not a compiler: it tolerates code it doesn't understand and only
+// models the structure the detections need.
+
+const DML_KEYWORDS = new Set(['insert', 'update', 'delete', 'upsert', 'undelete', 'merge']);
+const LOOP_KEYWORDS = new Set(['for', 'while']);
+const TYPE_KEYWORDS = new Set(['class', 'interface', 'enum']);
+const HEADER_KEYWORDS = new Set(['implements', 'extends']);
+const NOT_METHOD_NAMES = new Set(['if', 'for', 'while', 'switch', 'catch', 'new', 'return', 'when']);
+const MODIFIERS = new Set([
+  'public', 'private', 'protected', 'global', 'static', 'virtual', 'override', 'abstract',
+  'final', 'transient', 'testmethod', 'webservice', 'with', 'without', 'inherited', 'sharing',
+]);
+
+// ── Tokenizer ─────────────────────────────────────────────────────────────────
+
+// Sticky, so checking for inline SOQL after a `[` doesn't copy the rest of the source
+const QUERY_START = /(?:select|find)\b/iy;
+
+/**
+ * Splits Apex source into tokens of { type, value, line }:
+ *   word       — identifiers and keywords (value as written)
+ *   string     — single-quoted literal (value without quotes, escapes resolved)
+ *   number     — numeric literal
+ *   soql       — inline [SELECT ...] / [FIND ...] query (value is the text inside the brackets)
+ *   annotation — @Name; `args` holds the raw text of an argument list, if any
+ *   punct      — any other single character
+ * Comments and whitespace produce no tokens.
+ */
+function tokenize(source) {
+  const src = source || '';
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+
+  const skipSpaceAndComments = (from) => {
+    let j = from;
+    for (;;) {
+      while (j < src.length && /\s/.test(src[j])) j++;
+      if (src.startsWith('//', j)) {
+        while (j < src.length && src[j] !== '\n') j++;
+      } else if (src.startsWith('/*', j)) {
+        const end = src.indexOf('*/', j + 2);
+        j = end === -1 ? src.length : end + 2;
+      } else {
+        return j;
+      }
+    }
+  };
+
+  const readString = (from) => {
+    let j = from + 1;
+    let value = '';
+    while (j < src.length && src[j] !== '\'') {
+      if (src[j] === '\\' && j + 1 < src.length) {
+        value += src[j + 1];
+        j += 2;
+      } else {
+        value += src[j];
+        j++;
+      }
+    }
+    return { value, end: j + 1 };
+  };
+
+  const startsQuery = (from) => {
+    QUERY_START.lastIndex = from;
+    return QUERY_START.test(src);
+  };
+
+  const countLines = (from, to) => {
+    let n = 0;
+    for (let j = from; j < to && j < src.length; j++) if (src[j] === '\n') n++;
+    return n;
+  };
+
+  while (i < src.length) {
+    const next = skipSpaceAndComments(i);
+    line += countLines(i, next);
+    i = next;
+    if (i >= src.length) break;
+
+    const ch = src[i];
+    const start = i;
+
+    if (ch === '\'') {
+      const { value, end } = readString(i);
+      tokens.push({ type: 'string', value, line });
+      i = end;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      while (i < src.length && /[A-Za-z0-9_]/.test(src[i])) i++;
+      tokens.push({ type: 'word', value: src.slice(start, i), line });
+    } else if (/[0-9]/.test(ch)) {
+      while (i < src.length && /[0-9.A-Za-z]/.test(src[i])) i++;
+      tokens.push({ type: 'number', value: src.slice(start, i), line });
+    } else if (ch === '@' && /[A-Za-z_]/.test(src[i + 1] || '')) {
+      i++;
+      while (i < src.length && /[A-Za-z0-9_]/.test(src[i])) i++;
+      const token = { type: 'annotation', value: src.slice(start + 1, i), line };
+      const afterName = skipSpaceAndComments(i);
+      if (src[afterName] === '(') {
+        const close = src.indexOf(')', afterName);
+        const end = close === -1 ? src.length : close + 1;
+        token.args = src.slice(afterName + 1, end - 1);
+        i = end;
+      }
+      tokens.push(token);
+    } else if (ch === '[' && startsQuery(skipSpaceAndComments(i + 1))) {
+      // Inline query: read to the matching bracket, skipping strings
+      let depth = 0;
+      let j = i;
+      while (j < src.length) {
+        if (src[j] === '\'') {
+          j = readString(j).end;
+          continue;
+        }
+        if (src[j] === '[') depth++;
+        else if (src[j] === ']' && --depth === 0) break;
+        j++;
+      }
+      tokens.push({ type: 'soql', value: src.slice(i + 1, j).trim(), line });
+      i = j + 1;
+    } else {
+      tokens.push({ type: 'punct', value: ch, line });
+      i++;
+    }
+    line += countLines(start, i);
+  }
+
+  return tokens;
+}
+
+// ── Structure ─────────────────────────────────────────────────────────────────
+
+const lower = (token) => (token && token.type === 'word' ? token.value.toLowerCase() : null);
+const isPunct = (token, value) => !!token && token.type === 'punct' && token.value === value;
+
+function leadingAnnotations(tokens) {
+  return tokens
+    .filter((t) => t.type === 'annotation')
+    .map((t) => ({ name: t.value.toLowerCase(), args: t.args || null }));
+}
+
+function modifiersOf(tokens) {
+  return tokens.map(lower).filter((w) => w && MODIFIERS.has(w));
+}
+
+function sharingOf(words) {
+  for (const mode of ['with', 'without', 'inherited']) {
+    const at = words.indexOf(mode);
+    if (at !== -1 && words[at + 1] === 'sharing') return mode;
+  }
+  return null;
+}
+
+function describeType(header) {
+  const words = header.map(lower);
+  const kindAt = words.findIndex((w, idx) => TYPE_KEYWORDS.has(w) && !isPunct(header[idx - 1], '.'));
+  const nameToken = header[kindAt + 1];
+  const extendsAt = words.indexOf('extends');
+  const implementsAt = words.indexOf('implements');
+  const implementsNames = [];
+  if (implementsAt !== -1) {
+    // Interface names, skipping generic arguments (Database.Batchable<SObject>)
+    let depth = 0;
+    for (let j = implementsAt + 1; j < header.length; j++) {
+      const t = header[j];
+      if (isPunct(t, '<')) depth++;
+      else if (isPunct(t, '>')) depth--;
+      else if (depth === 0 && t.type === 'word' && lower(t) !== 'extends') {
+        const qualified = isPunct(header[j - 1], '.') ? null : t.value;
+        if (qualified) implementsNames.push(t.value);
+        else implementsNames[implementsNames.length - 1] += `.${t.value}`;
+      }
+    }
+  }
+  return {
+    kind: words[kindAt],
+    name: nameToken ? nameToken.value : null,
+    line: (nameToken || header[0]).line,
+    annotations: leadingAnnotations(header.slice(0, kindAt)),
+    modifiers: modifiersOf(header.slice(0, kindAt)),
+    sharing: sharingOf(words),
+    extends: extendsAt !== -1 && header[extendsAt + 1] ? header[extendsAt + 1].value : null,
+    implements: implementsNames,
+  };
+}
+
+function describeTrigger(header) {
+  // trigger Name on Object (before insert, after update)
+  const words = header.map(lower);
+  const onAt = words.indexOf('on');
+  const open = header.findIndex((t) => isPunct(t, '('));
+  const close = header.findIndex((t) => isPunct(t, ')'));
+  const eventWords = open !== -1 && close > open ? header.slice(open + 1, close) : [];
+  const events = [];
+  let current = [];
+  for (const t of eventWords) {
+    if (isPunct(t, ',')) {
+      if (current.length) events.push(current.join(' '));
+      current = [];
+    } else if (t.type === 'word') {
+      current.push(t.value.toLowerCase());
+    }
+  }
+  if (current.length) events.push(current.join(' '));
+  return {
+    kind: 'trigger',
+    name: header[1] ? header[1].value : null,
+    line: header[0].line,
+    object: onAt !== -1 && header[onAt + 1] ? header[onAt + 1].value : null,
+    events,
+    annotations: [],
+    modifiers: [],
+    sharing: null,
+    extends: null,
+    implements: [],
+  };
+}
+
+/**
+ * Recognizes a method or constructor declaration from the tokens preceding
+ * its body: [annotations] [modifiers] [ReturnType] name ( params ).
+ */
+function describeMethod(header, className) {
+  const open = header.findIndex((t) => isPunct(t, '('));
+  if (open < 1) return null;
+  const nameToken = header[open - 1];
+  if (nameToken.type !== 'word' || NOT_METHOD_NAMES.has(lower(nameToken))) return null;
+  // An assignment or a call on a receiver (foo.bar(...)) isn't a declaration;
+  // a qualified return type (Database.QueryLocator start(...)) is
+  if (header.slice(0, open).some((t) => isPunct(t, '=')) || isPunct(header[open - 2], '.')) return null;
+
+  const before = header.slice(0, open - 1).filter((t) => t.type !== 'annotation');
+  const typeTokens = before.filter((t) => !MODIFIERS.has(lower(t)));
+  return {
+    name: nameToken.value,
+    className,
+    line: nameToken.line,
+    endLine: nameToken.line,
+    annotations: leadingAnnotations(header.slice(0, open)),
+    modifiers: modifiersOf(before),
+    returnType: typeTokens.map((t) => t.value).join('') || null,
+    isConstructor: typeTokens.length === 0,
+    paramCount: countParams(header.slice(open)),
+    paramTokens: header.slice(open),
+  };
+}
+
+function countParams(parenTokens) {
+  let depth = 0;
+  let count = 0;
+  let sawToken = false;
+  for (const t of parenTokens) {
+    if (isPunct(t, '(') || isPunct(t, '<')) depth++;
+    else if (isPunct(t, ')') || isPunct(t, '>')) {
+      depth--;
+      if (depth === 0) break;
+    } else if (depth === 1 && isPunct(t, ',')) count++;
+    else if (depth >= 1) sawToken = true;
+  }
+  return sawToken ? count + 1 : 0;
+}
+
+/**
+ * Tokenizes Apex source and recovers its structure.
+ * Returns { tokens, types, methods, statements } where each statement is
+ *   { tokens, line, method, className, loopDepth, blockDepth }
+ * method/className name the enclosing method and type (method is null for
+ * field initializers and trigger bodies). loopDepth counts the for/while/do
+ * loops around the statement and blockDepth all braced blocks (if, else, try,
+ * loops, ...) within its method. Block headers such as `if (...)` and
+ * `for (...)` are statements too; a loop header counts as outside its loop.
+ */
+function parseApex(source) {
+  const tokens = tokenize(source);
+  const types = [];
+  const methods = [];
+  const statements = [];
+
+  // Scope stack entries: { kind: 'type'|'method'|'block', type, method, loop }
+  const stack = [];
+  let pending = [];
+  let parenDepth = 0;
+
+  const current = () => stack[stack.length - 1] || null;
+  const enclosing = (kind) => {
+    for (let j = stack.length - 1; j >= 0; j--) if (stack[j].kind === kind) return stack[j];
+    return null;
+  };
+  const loopDepth = () => stack.filter((s) => s.loop).length;
+
+  const flushStatement = (isBlockHeader) => {
+    if (pending.length === 0) return;
+    const first = lower(pending[0]);
+    const typeScope = enclosing('type');
+    const methodScope = enclosing('method');
+    // A braceless loop body (`for (...) insert x;`) runs inside the loop
+    const inlineLoop = !isBlockHeader && LOOP_KEYWORDS.has(first) && hasBodyAfterHeader(pending);
+    statements.push({
+      tokens: pending,
+      line: pending[0].line,
+      method: methodScope && methodScope.method ? methodScope.method.name : null,
+      className: typeScope ? typeScope.type.name : null,
+      loopDepth: loopDepth() + (inlineLoop ? 1 : 0),
+      blockDepth: stack.filter((s) => s.kind === 'block').length,
+    });
+    pending = [];
+  };
+
+  for (let idx = 0; idx < tokens.length; idx++) {
+    const token = tokens[idx];
+
+    if (isPunct(token, '(')) parenDepth++;
+    if (isPunct(token, ')')) parenDepth = Math.max(0, parenDepth - 1);
+
+    if (isPunct(token, '{') && parenDepth === 0) {
+      const prev = tokens[idx - 1];
+      // Collection initializer: new List<Account>{ ... } / new String[]{ ... } —
+      // but not a header ending in a generic type (implements Comparable<Foo> {)
+      if ((isPunct(prev, '>') || isPunct(prev, ']')) && isInitializer(pending)) {
+        let depth = 0;
+        for (; idx < tokens.length; idx++) {
+          if (isPunct(tokens[idx], '{')) depth++;
+          if (isPunct(tokens[idx], '}')) depth--;
+          pending.push(tokens[idx]);
+          if (depth === 0) break;
+        }
+        continue;
+      }
+
+      const scope = current();
+      const header = pending;
+      const words = header.map(lower);
+      const declaresType = words.some((w, j) => TYPE_KEYWORDS.has(w) && !isPunct(header[j - 1], '.'));
+
+      if (words[0] === 'trigger' && stack.length === 0) {
+        const type = describeTrigger(header);
+        types.push(type);
+        pending = [];
+        stack.push({ kind: 'type', type, method: null, loop: false, isTrigger: true });
+        continue;
+      }
+      if (declaresType && (!scope || scope.kind === 'type')) {
+        const type = describeType(header);
+        types.push(type);
+        pending = [];
+        stack.push({ kind: 'type', type, method: null, loop: false });
+        continue;
+      }
+      if (scope && scope.kind === 'type' && !scope.isTrigger) {
+        // Member body: method/constructor, static or instance initializer, or property accessor
+        const method = describeMethod(header, scope.type.name) || {
+          name: words[0] === 'static' && header.length === 1 ? '<static>' : header.length === 0 ? '<init>' : null,
+          className: scope.type.name,
+          line: token.line,
+          endLine: token.line,
+          annotations: [],
+          modifiers: [],
+          returnType: null,
+          isConstructor: false,
+          paramCount: 0,
+          paramTokens: [],
+        };
+        pending = [];
+        if (method.name) methods.push(method);
+        stack.push({ kind: 'method', type: scope.type, method: method.name ? method : null, loop: false });
+        continue;
+      }
+
+      // Block inside a method or trigger body
+      const isLoop = LOOP_KEYWORDS.has(words[0]) || words[0] === 'do';
+      flushStatement(true);
+      stack.push({ kind: 'block', loop: isLoop });
+      continue;
+    }
+
+    if (isPunct(token, '}') && parenDepth === 0) {
+      flushStatement(false);
+      const closed = stack.pop();
+      if (closed && closed.kind === 'method' && closed.method) closed.method.endLine = token.line;
+      continue;
+    }
+
+    if (isPunct(token, ';') && parenDepth === 0) {
+      pending.push(token);
+      const scope = current();
+      if (scope && scope.kind === 'type' && !scope.isTrigger) {
+        // Field declaration or abstract/interface method — keep initializers as statements
+        if (pending.some((t) => isPunct(t, '='))) flushStatement(false);
+        else pending = [];
+      } else {
+        flushStatement(false);
+      }
+      continue;
+    }
+
+    pending.push(token);
+  }
+  flushStatement(false);
+
+  return { tokens, types, methods, statements };
+}
+
+// Pending tokens of an expression with `new`, as opposed to a type or property header
+function isInitializer(pendingTokens) {
+  const words = pendingTokens.map(lower);
+  return words.includes('new') && !words.some((w) => TYPE_KEYWORDS.has(w) || HEADER_KEYWORDS.has(w));
+}
+
+// A `for (...)`/`while (...)` statement with tokens after its closing paren
+function hasBodyAfterHeader(statementTokens) {
+  let depth = 0;
+  for (let j = 1; j < statementTokens.length; j++) {
+    if (isPunct(statementTokens[j], '(')) depth++;
+    if (isPunct(statementTokens[j], ')') && --depth === 0) {
+      return statementTokens.slice(j + 1).some((t) => !isPunct(t, ';'));
+    }
+  }
+  return false;
+}
+
+// ── Queries over parsed source ────────────────────────────────────────────────
+
+function location(statement) {
+  return { method: statement.method, line: statement.line };
+}
+
+function splitArgs(argTokens) {
+  const args = [];
+  let currentArg = [];
+  let depth = 0;
+  for (const t of argTokens) {
+    if (isPunct(t, '(') || isPunct(t, '{') || isPunct(t, '<')) depth++;
+    if (isPunct(t, ')') || isPunct(t, '}') || isPunct(t, '>')) depth--;
+    if (depth === 0 && isPunct(t, ',')) {
+      args.push(currentArg);
+      currentArg = [];
+    } else {
+      currentArg.push(t);
+    }
+  }
+  if (currentArg.length) args.push(currentArg);
+  return args;
+}
+
+/**
+ * Every method call in the source: { name, qualifier, receiver, args, line,
+ * method, className, loopDepth }. receiver is the dotted chain of plain
+ * identifiers before the name as written ("System" for System.debug(...), ""
+ * when the receiver is an expression such as foo().bar()); name and qualifier
+ * are the lower-cased name and receiver.
+ */
+function findCalls(parsed) {
+  const calls = [];
+  for (const statement of parsed.statements) {
+    const st = statement.tokens;
+    for (let j = 0; j < st.length - 1; j++) {
+      if (st[j].type !== 'word' || !isPunct(st[j + 1], '(')) continue;
+      const name = lower(st[j]);
+      if (NOT_METHOD_NAMES.has(name)) continue;
+      if (lower(st[j - 1]) === 'new') continue;
+
+      const receiver = [];
+      let k = j - 1;
+      while (isPunct(st[k], '.') && st[k - 1] && st[k - 1].type === 'word') {
+        receiver.unshift(st[k - 1].value);
+        k -= 2;
+      }
+      if (isPunct(st[k], '.')) receiver.length = 0; // receiver is an expression
+      // A bare DML keyword is a statement (see findDml); Database.insert(...) is a call
+      if (DML_KEYWORDS.has(name) && receiver.join('.').toLowerCase() !== 'database') continue;
+
+      let depth = 0;
+      let end = j + 1;
+      for (; end < st.length; end++) {
+        if (isPunct(st[end], '(')) depth++;
+        if (isPunct(st[end], ')') && --depth === 0) break;
+      }
+      calls.push({
+        name,
+        qualifier: receiver.join('.').toLowerCase(),
+        receiver: receiver.join('.'),
+        args: splitArgs(st.slice(j + 2, end)),
+        line: st[j].line,
+        method: statement.method,
+        className: statement.className,
+        loopDepth: statement.loopDepth,
+      });
+    }
+  }
+  return calls;
+}
+
+/**
+ * DML statements and Database.<dml>() calls: { operation, target, line,
+ * method, loopDepth } where target is the first argument's tokens.
+ */
+function findDml(parsed) {
+  const dml = [];
+  for (const statement of parsed.statements) {
+    const st = statement.tokens;
+    for (let j = 0; j < st.length; j++) {
+      const operation = lower(st[j]);
+      if (!DML_KEYWORDS.has(operation)) continue;
+      // A DML keyword starts a statement, possibly after a braceless if/for/else header
+      const prev = st[j - 1];
+      if (prev && !isPunct(prev, ')') && lower(prev) !== 'else') continue;
+      const next = st[j + 1];
+      if (!next || isPunct(next, '.') || isPunct(next, '=') || isPunct(next, '(') || isPunct(next, ';')) continue;
+      dml.push({
+        operation,
+        target: st.slice(j + 1).filter((t) => !isPunct(t, ';')),
+        ...location({ method: statement.method, line: st[j].line }),
+        loopDepth: statement.loopDepth,
+      });
+      break;
+    }
+  }
+  for (const call of findCalls(parsed)) {
+    if (call.qualifier === 'database' && DML_KEYWORDS.has(call.name)) {
+      dml.push({
+        operation: call.name,
+        target: call.args[0] || [],
+        method: call.method,
+        line: call.line,
+        loopDepth: call.loopDepth,
+      });
+    }
+  }
+  return dml;
+}
+
+/**
+ * Inline SOQL/SOSL queries: { text, objectName, line, method, loopDepth }.
+ * objectName is the FROM object (null for SOSL).
+ */
+function findQueries(parsed) {
+  const queries = [];
+  for (const statement of parsed.statements) {
+    for (const t of statement.tokens) {
+      if (t.type !== 'soql') continue;
+      // Drop subqueries so "(SELECT Id FROM Contacts) FROM Account" reads Account
+      let outer = t.value;
+      while (/\([^()]*\)/.test(outer)) outer = outer.replace(/\([^()]*\)/g, '');
+      const from = outer.match(/\bFROM\s+(\w+)/i);
+      queries.push({
+        text: t.value,
+        objectName: /^select\b/i.test(t.value) && from ? from[1] : null,
+        line: t.line,
+        method: statement.method,
+        loopDepth: statement.loopDepth,
+      });
+    }
+  }
+  return queries;
+}
+
+/**
+ * String literals with their location: { value, line, method }.
+ */
+function findStrings(parsed) {
+  const strings = [];
+  for (const statement of parsed.statements) {
+    for (const t of statement.tokens) {
+      if (t.type === 'string') strings.push({ value: t.value, line: t.line, method: statement.method });
+    }
+  }
+  return strings;
+}
+
+const NOT_TYPE_WORDS = new Set([...DML_KEYWORDS, 'return', 'new', 'else', 'throw', 'final', 'in', 'on']);
+
+/**
+ * Local variable, parameter and field types by lower-cased name, for resolving
+ * `insert accounts;` to its SObject. Collections resolve to their element type
+ * (List<Account>, Account[], Map<Id, Account> → Account).
+ */
+function declaredTypes(parsed) {
+  const types = new Map();
+  const scan = (st) => {
+    for (let j = 1; j < st.length - 1; j++) {
+      const name = st[j];
+      const next = st[j + 1];
+      if (name.type !== 'word' || !['=', ';', ',', ')', ':'].some((v) => isPunct(next, v))) continue;
+
+      let k = j - 1;
+      let element = null;
+      if (isPunct(st[k], ']') && isPunct(st[k - 1], '[') && st[k - 2]?.type === 'word') {
+        element = st[k - 2].value;
+        k -= 3;
+      } else if (isPunct(st[k], '>')) {
+        let depth = 0;
+        for (; k >= 0; k--) {
+          if (isPunct(st[k], '>')) depth++;
+          else if (isPunct(st[k], '<') && --depth === 0) break;
+          else if (!element && st[k].type === 'word') element = st[k].value;
+        }
+        k -= 2; // the collection type before '<'
+      } else if (st[k]?.type === 'word') {
+        element = st[k].value;
+        k -= 1;
+      }
+      if (!element || NOT_TYPE_WORDS.has(element.toLowerCase())) continue;
+
+      // Skip qualifiers (Schema.Account) and require a declaration context before the type
+      while (isPunct(st[k], '.') && st[k - 1]?.type === 'word') k -= 2;
+      const before = st[k];
+      if (before && !isPunct(before, '(') && !isPunct(before, ',') && !MODIFIERS.has(lower(before)) && lower(before) !== 'final') continue;
+      types.set(name.value.toLowerCase(), element);
+    }
+  };
+  for (const method of parsed.methods) scan(method.paramTokens);
+  for (const statement of parsed.statements) scan(statement.tokens);
+  return types;
+}
+
+/**
+ * Names the source uses as types: [{ name, kind }] where kind is
+ *   static_call   — Name.method(...) on something that isn't a variable
+ *   instantiation — new Name(...)
+ *   type_reference — declared variable, parameter, return and generic types
+ *   extends / implements — from the type declarations
+ * Qualified names are reduced to their first segment (Outer.Inner → Outer);
+ * the source's own types are left out. Names aren't resolved here — most
+ * are system or standard types, which a caller drops by matching against
+ * the org's classes.
+ */
+function findTypeReferences(parsed) {
+  const own = new Set(parsed.types.map((t) => (t.name || '').toLowerCase()));
+  const variables = declaredTypes(parsed);
+  const seen = new Map();
+  const add = (name, kind) => {
+    const first = name && name.split('.')[0];
+    if (!first || !/^[A-Za-z]\w*$/.test(first) || first.toLowerCase() === 'void' || own.has(first.toLowerCase())) return;
+    const key = `${first.toLowerCase()}|${kind}`;
+    if (!seen.has(key)) seen.set(key, { name: first, kind });
+  };
+
+  for (const call of findCalls(parsed)) {
+    const first = call.receiver.split('.')[0];
+    if (first && !variables.has(first.toLowerCase()) && !['this', 'super'].includes(first.toLowerCase())) {
+      add(first, 'static_call');
+    }
+  }
+  for (const statement of parsed.statements) {
+    const st = statement.tokens;
+    for (let j = 0; j < st.length - 1; j++) {
+      if (lower(st[j]) !== 'new' || st[j + 1].type !== 'word') continue;
+      // new Foo(...) / new Foo.Bar(...); new List<Foo>{...} references Foo as a type
+      if (isPunct(st[j + 2], '<')) {
+        for (let k = j + 3; k < st.length && !isPunct(st[k], '>'); k++) {
+          if (st[k].type === 'word' && !isPunct(st[k - 1], '.')) add(st[k].value, 'type_reference');
+        }
+      } else {
+        add(st[j + 1].value, 'instantiation');
+      }
+    }
+  }
+  for (const type of variables.values()) add(type, 'type_reference');
+  for (const method of parsed.methods) {
+    for (const word of (method.returnType || '').split(/[^\w.]+/)) add(word, 'type_reference');
+  }
+  for (const type of parsed.types) {
+    add(type.extends, 'extends');
+    for (const name of type.implements) add(name, 'implements');
+  }
+
+  return [...seen.values()];
+}
+
+module.exports = {
+  tokenize,
+  parseApex,
+  findCalls,
+  findDml,
+  findQueries,
+  findStrings,
+  declaredTypes,
+  findTypeReferences,
+  location,
+};
@@ -0,0 +1,70 @@
+// Size and complexity metrics for Apex classes and their methods, along the
+// lines of PMD's CyclomaticComplexity, ExcessiveMethodLength,
+// ExcessiveClassLength and AvoidDeeplyNestedIfStmts.
+
+const { findCalls, findDml, findQueries } = require('./apexLexer');
+
+const BRANCH_KEYWORDS = new Set(['if', 'for', 'while', 'catch', 'when']);
+
+const isWord = (token, value) => !!token && token.type === 'word' && token.value.toLowerCase() === value;
+const isPunct = (token, value) => !!token && token.type === 'punct' && token.value === value;
+
+/**
+ * Decision points a statement adds to its method's cyclomatic complexity:
+ * each if, for, while, catch and switch `when` branch (but `when else`), each
+ * ternary or `??`, and each && and ||.
+ */
+function decisionPoints(tokens) {
+  let count = 0;
+  tokens.forEach((t, j) => {
+    const next = tokens[j + 1];
+    if (t.type === 'word') {
+      if (BRANCH_KEYWORDS.has(t.value.toLowerCase()) && !(isWord(t, 'when') && isWord(next, 'else'))) count++;
+    } else if (t.value === '?') {
+      // `?.` is safe navigation; `??` counts once
+      if (!isPunct(next, '.') && !isPunct(tokens[j - 1], '?')) count++;
+    } else if ((t.value === '&' || t.value === '|') && isPunct(next, t.value)) {
+      count++;
+    }
+  });
+  return count;
+}
+
+/**
+ * Metrics of parseApex() output:
+ *   lineCount       — lines from the top-level type's declaration to the end
+ *   totalComplexity — sum of the methods' cyclomatic complexity
+ *   methods         — per entry of parsed.methods, in the same order:
+ *                     { complexity, nestingDepth, lineCount, soqlCount, dmlCount }
+ * nestingDepth counts braced blocks (if, loops, try, ...) inside the method;
+ * soqlCount includes Database.query calls.
+ */
+function apexMetrics(parsed) {
+  const queries = [
+    ...findQueries(parsed),
+    ...findCalls(parsed).filter((c) => c.qualifier === 'database' && ['query', 'countquery'].includes(c.name)),
+  ];
+  const dml = findDml(parsed);
+  const within = (m) => (entry) => entry.method === m.name && entry.line >= m.line && entry.line <= m.endLine;
+
+  const methods = parsed.methods.map((m) => {
+    const statements = parsed.statements.filter((s) => s.className === m.className && within(m)(s));
+    return {
+      complexity: 1 + statements.reduce((sum, s) => sum + decisionPoints(s.tokens), 0),
+      nestingDepth: statements.reduce((max, s) => Math.max(max, s.blockDepth), 0),
+      lineCount: m.endLine - m.line + 1,
+      soqlCount: queries.filter(within(m)).length,
+      dmlCount: dml.filter(within(m)).length,
+    };
+  });
+
+  const topType = parsed.types[0];
+  const lastToken = parsed.tokens[parsed.tokens.length - 1];
+  return {
+    lineCount: topType && lastToken ? lastToken.line - topType.line + 1 : 0,
+    totalComplexity: methods.reduce((sum, m) => sum + m.complexity, 0),
+    methods,
+  };
+}
+
+module.exports = { apexMetrics };
@@ -1,67 +1,96 @@
+const { parseApex, findTypeReferences } = require('./apexLexer');
+const { detectApex, addFlag } = require('./apexDetections');
+const { apexFieldLineage } = require('./fieldLineage');
+const { eventChannelKind } = require('./eventChannels');
+const { apiVersionNumber } = require('./apiVersions');
+
+const EVENT_TRIGGER_TYPE = {
+  platform_event: 'Platform Event Trigger',
+  change_event: 'Change Event Trigger',
+};
+
+const DISPATCH_METHODS = new Set(['run', 'execute', 'dispatch', 'handle', 'invoke', 'getinstance']);
+// Flags a trigger reports; detectApex() also computes class-only ones
+const TRIGGER_FLAGS = [
+  'hasDmlInBody', 'hasSoqlInBody', 'hasHardcodedIds',
+  'hasDebugWithoutLevel', 'hasXssFromEscapeFalse', 'hasSoqlInjectionRisk',
+  'hasSoqlInLoop', 'hasDmlInLoop',
+];
+// Common non-handler Salesforce classes
+const NON_HANDLER = new Set(['system', 'test', 'database', 'schema', 'limits', 'trigger']);
+
 function parseApexTrigger(raw) {
   const body = raw.Body || '';
 
-  // Extract object and trigger events from the trigger declaration
+  // Object and trigger events come from the trigger declaration
   // e.g. "trigger MyTrigger on Account (before insert, after update)"
-  const match = body.match(/trigger\s+\w+\s+on\s+(\w+)\s*\(([^)]+)\)/i);
-  const objectName = match ? match[1] : null;
-  const events = match
-    ? match[2].split(',').map((e) => e.trim().toLowerCase())
-    : [];
+  const parsed = parseApex(body);
+  const declaration = parsed.types.find((t) => t.kind === 'trigger');
+  const objectName = declaration ? declaration.object : null;
+  const events = declaration ? declaration.events : [];
+
+  const detected = detectApex(parsed);
+  const { calls, dml, queries } = detected;
 
   // Detect the trigger handler pattern: a single class static dispatch call
   // e.g. AccountTriggerHandler.run(trigger); or TriggerDispatcher.execute(new AccountHandler());
-  // Match ClassName.methodName( at the start of a statement (ignoring Test/System classes)
-  const handlerMatch = body.match(
-    /\b([A-Z][A-Za-z0-9_]*)\s*\.\s*(?:run|execute|dispatch|handle|invoke|getInstance)\s*\(/,
-  );
-  // Exclude common non-handler Salesforce classes
-  const NON_HANDLER = new Set(['System', 'Test', 'Database', 'Schema', 'Limits', 'Trigger']);
-  const handlerClass =
-    handlerMatch && !NON_HANDLER.has(handlerMatch[1]) ? handlerMatch[1] : null;
-
-  // Detect DML directly in the trigger body (anti-pattern: logic in trigger)
-  const hasDmlInBody = /\b(?:insert|update|delete|upsert|undelete)\s+/i.test(body);
-
-  // Detect SOQL queries in the trigger body (should live in a handler/service class)
-  const hasSoqlInBody = /\[\s*SELECT\b/i.test(body);
-
-  // Detect hardcoded Salesforce record IDs (15- or 18-char, always starting with '0')
-  // These break across environments — dynamic queries should be used instead.
-  const hasHardcodedIds = /['"]0[0-9A-Za-z]{14}(?:[0-9A-Za-z]{3})?['"]/.test(body);
-
-  // Detect System.debug() calls without a LoggingLevel parameter — these default to
-  // DEBUG level and pollute production logs.
-  const hasDebugWithoutLevel = /System\.debug\s*\(\s*(?!LoggingLevel\.)/i.test(body);
+  const handlerCall = calls.find((c) =>
+    DISPATCH_METHODS.has(c.name) &&
+    /^[A-Z][A-Za-z0-9_]*$/.test(c.receiver) &&
+    !NON_HANDLER.has(c.qualifier));
+  const handlerClass = handlerCall ? handlerCall.receiver : null;
 
-  // Detect addError(message, false) — disables HTML escaping on trigger error messages,
-  // allowing attacker-controlled content to render as HTML/JS to users (XSS).
-  const hasXssFromEscapeFalse = /\.addError\s*\([^)]+,\s*false\s*\)/i.test(body);
+  // DML and SOQL directly in the trigger body (anti-pattern: logic belongs in
+  // a handler/service class)
+  addFlag(detected, 'hasDmlInBody', dml);
+  addFlag(detected, 'hasSoqlInBody', queries);
 
-  // Detect Database.query() (dynamic SOQL) without String.escapeSingleQuotes().
-  // Concatenating unsanitized user input into a SOQL query enables injection.
-  const hasDynamicSoql = /Database\s*\.\s*query\s*\(/i.test(body);
-  const hasSoqlInjectionRisk =
-    hasDynamicSoql && !/String\s*\.\s*escapeSingleQuotes\s*\(/i.test(body);
+  // Triggers on platform events / change events are event subscribers: they
+  // process batches of up to 2,000 events after the publisher commits. Without a
+  // resume checkpoint or RetryableException an uncaught error drops the rest of
+  // the batch.
+  const eventKind = eventChannelKind(objectName);
+  const usesResumeCheckpoint = calls.some((c) => c.name === 'setresumecheckpoint');
+  const throwsRetryableException = parsed.tokens.some((t, j) =>
+    t.type === 'word' && t.value.toLowerCase() === 'eventbus' &&
+    parsed.tokens[j + 1]?.value === '.' &&
+    parsed.tokens[j + 2]?.value.toLowerCase() === 'retryableexception');
 
+  const { flags } = detected;
+  const locations = Object.fromEntries(
+    Object.entries(detected.locations).filter(([flag]) => TRIGGER_FLAGS.includes(flag)));
   return {
-    automation_type: 'Apex Trigger',
+    automation_type: EVENT_TRIGGER_TYPE[eventKind] || 'Apex Trigger',
     object_name: objectName,
     trigger_events: events.length > 0 ? events.join(', ') : null,
     is_active: raw.Status === 'Active',
     has_description: false,
     is_managed_package: !!(raw.NamespacePrefix && raw.NamespacePrefix.trim()),
     parsed_data: {
-      apiVersion: raw.ApiVersion || null,
+      apiVersion: apiVersionNumber(raw.ApiVersion),
       events,
       tableEnumOrId: raw.TableEnumOrId || null,
       handlerClass,
-      hasDmlInBody,
-      hasSoqlInBody,
-      hasHardcodedIds,
-      hasDebugWithoutLevel,
-      hasXssFromEscapeFalse,
-      hasSoqlInjectionRisk,
+      hasDmlInBody: flags.hasDmlInBody,
+      hasSoqlInBody: flags.hasSoqlInBody,
+      hasHardcodedIds: flags.hasHardcodedIds,
+      hasDebugWithoutLevel: flags.hasDebugWithoutLevel,
+      hasXssFromEscapeFalse: flags.hasXssFromEscapeFalse,
+      hasSoqlInjectionRisk: flags.hasSoqlInjectionRisk,
+      hasSoqlInLoop: flags.hasSoqlInLoop,
+      hasDmlInLoop: flags.hasDmlInLoop,
+      dataOperationsInLoops: detected.dataOperationsInLoops,
+      fieldLineage: apexFieldLineage(parsed, [objectName, ...detected.dmlObjects]),
+      // Types used by the trigger, resolved to the org's classes after parsing
+      classReferences: findTypeReferences(parsed),
+      // Flows started through Flow.Interview, resolved to the org's flows at analysis
+      invokedFlows: [...new Set(detected.flowInvocations.map((f) => f.flow))],
+      // Static run-once flags/sets it checks and the bypass switches it reads
+      recursionGuards: detected.recursionGuards,
+      bypassChecks: detected.bypassChecks,
+      // Where each flag was found: { <flag>: [{ method, line }] }
+      locations,
+      ...(eventKind && { eventKind, usesResumeCheckpoint, throwsRetryableException }),
     },
   };
 }
@@ -0,0 +1,43 @@
+// Salesforce API versions. Every release (Spring, Summer, Winter) adds one, so
+// the gap between two versions is the number of releases between them. Flows
+// and Apex run with the behavior of the version they were saved or compiled
+// against until they are saved against a newer one.
+
+const { API_VERSION } = require('../salesforce/connection');
+
+// The version scans read the org with — a floor for the current version when
+// every component in a scan is old
+const SCANNER_API_VERSION = apiVersionNumber(API_VERSION);
+
+const SEASONS = ['Spring', 'Summer', 'Winter'];
+
+// '58.0', 58 → 58; missing or unparseable → null
+function apiVersionNumber(value) {
+  const version = Math.floor(Number(value));
+  return Number.isFinite(version) && version > 0 ? version : null;
+}
+
+/**
+ * Release a version shipped with: 45 → "Spring '19", 47 → "Winter '20".
+ * Winter releases are named after the following year.
+ */
+function releaseName(version) {
+  const offset = version - 45; // API 45.0 = Spring '19
+  const season = ((offset % 3) + 3) % 3;
+  const year = 2019 + Math.floor(offset / 3) + (season === 2 ? 1 : 0);
+  return `${SEASONS[season]} '${String(year % 100).padStart(2, '0')}`;
+}
+
+/**
+ * The version components in a scan are measured against: the newest one any
+ * of them (managed packages included) is saved with, but never older than
+ * SCANNER_API_VERSION.
+ */
+function currentApiVersion(items) {
+  return Math.max(
+    SCANNER_API_VERSION,
+    ...items.map((i) => apiVersionNumber(i.parsed_data?.apiVersion)).filter((v) => v !== null),
+  );
+}
+
+module.exports = { apiVersionNumber, releaseName, currentApiVersion };
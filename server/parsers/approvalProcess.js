@@ -0,0 +1,92 @@
+const { createLineage, addCriteriaReads } = require('./fieldLineage');
+const { normalizeToArray, hasNamespacePrefix } = require('./shared');
+
+const ACTION_TYPE_LABELS = {
+  FieldUpdate: 'Field Update',
+  Alert: 'Email Alert',
+  Task: 'Task',
+  OutboundMessage: 'Outbound Message',
+  FlowAction: 'Flow Action',
+};
+
+// Each phase of an approval process can carry its own workflow actions
+const ACTION_PHASES = [
+  'initialSubmissionActions',
+  'finalApprovalActions',
+  'finalRejectionActions',
+  'recallActions',
+];
+
+function collectActions(container) {
+  return normalizeToArray(container?.action).map((a) => ({
+    name: a.name || null,
+    type: a.type || null,
+  }));
+}
+
+function parseApprovalProcess(raw) {
+  // fullName format: "ObjectName.ProcessName"
+  const dotIndex = raw.fullName ? raw.fullName.indexOf('.') : -1;
+  const objectName = dotIndex >= 0 ? raw.fullName.slice(0, dotIndex) : null;
+
+  const steps = normalizeToArray(raw.approvalStep);
+
+  // Gather actions from every phase plus the per-step approve/reject actions
+  const actions = [
+    ...ACTION_PHASES.flatMap((phase) => collectActions(raw[phase])),
+    ...steps.flatMap((s) => [
+      ...collectActions(s.approvalActions),
+      ...collectActions(s.rejectionActions),
+    ]),
+  ];
+  const actionTypes = [
+    ...new Set(actions.map((a) => ACTION_TYPE_LABELS[a.type] || a.type).filter(Boolean)),
+  ];
+  // Field update actions are referenced by name — the target field lives on the
+  // WorkflowFieldUpdate component, not on the approval process itself.
+  const fieldUpdateActionNames = [
+    ...new Set(actions.filter((a) => a.type === 'FieldUpdate').map((a) => a.name).filter(Boolean)),
+  ];
+
+  const entryCriteria = raw.entryCriteria || {};
+  const criteriaItems = normalizeToArray(entryCriteria.criteriaItems);
+  let criteriaType = 'none';
+  if (entryCriteria.formula) criteriaType = 'formula';
+  else if (criteriaItems.length > 0) criteriaType = 'criteriaItems';
+
+  const lineage = createLineage();
+  addCriteriaReads(lineage, objectName, criteriaItems, entryCriteria.formula, 'entry criteria');
+
+  const isManagedPackage =
+    dotIndex >= 0 && hasNamespacePrefix(raw.fullName.slice(dotIndex + 1));
+
+  return {
+    automation_type: 'Approval Process',
+    object_name: objectName,
+    trigger_events: null,
+    is_active: raw.active === 'true' || raw.active === true,
+    has_description: !!(raw.description && raw.description.trim()),
+    is_managed_package: isManagedPackage,
+    parsed_data: {
+      apiVersion: null,
+      active: raw.active,
+      stepCount: steps.length,
+      actionTypes,
+      fieldUpdateActionNames,
+      fieldUpdateCount: fieldUpdateActionNames.length,
+      criteriaType,
+      criteriaFormula: entryCriteria.formula || null,
+      criteriaItems: criteriaItems.map((c) => ({
+        field: c.field || null,
+        operator: c.operator || null,
+        value: c.value || null,
+      })),
+      recordEditability: raw.recordEditability || null,
+      finalApprovalRecordLock: raw.finalApprovalRecordLock ?? null,
+      finalRejectionRecordLock: raw.finalRejectionRecordLock ?? null,
+      fieldLineage: lineage.result(),
+    },
+  };
+}
+
+module.exports = { parseApprovalProcess };
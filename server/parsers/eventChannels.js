@@ -0,0 +1,33 @@
+// Platform event and Change Data Capture channels. Automation subscribed to
+// an event runs asynchronously after the publishing transaction commits, in
+// its own transaction — outside the record save order.
+
+const EVENT_SUBSCRIBER_TYPES = [
+  'Platform Event Trigger',
+  'Change Event Trigger',
+  'Platform Event-Triggered Flow',
+];
+
+// Standard platform events an Apex trigger can subscribe to. Custom platform
+// events always end in __e.
+const STANDARD_PLATFORM_EVENTS = new Set([
+  'batchapexerrorevent',
+  'flowexecutionerrorevent',
+  'assettokenevent',
+  'platformstatusalertevent',
+]);
+
+/**
+ * Returns 'platform_event', 'change_event' (CDC: AccountChangeEvent,
+ * Invoice__ChangeEvent) or null for a regular SObject.
+ */
+function eventChannelKind(objectName) {
+  if (!objectName) return null;
+  if (/__e$/i.test(objectName) || STANDARD_PLATFORM_EVENTS.has(objectName.toLowerCase())) {
+    return 'platform_event';
+  }
+  if (/ChangeEvent$/i.test(objectName)) return 'change_event';
+  return null;
+}
+
+module.exports = { EVENT_SUBSCRIBER_TYPES, eventChannelKind };
@@ -0,0 +1,286 @@
+// Field-level lineage: which fields an automation reads (entry criteria,
+// formulas, decision conditions, $Record references, SOQL) and writes (field
+// updates, record updates, DML assignments). Every parser stores the result as
+//   parsed_data.fieldLineage = { reads: [{ object, field, via }], writes: [...] }
+// where field is the API name as written (a relationship path such as
+// "Account.Name" for cross-object references) and via says where it was seen.
+
+const { findQueries, declaredTypes } = require('./apexLexer');
+const { normalizeToArray } = require('./shared');
+
+// Formula words that look like field names but aren't
+const FORMULA_KEYWORDS = new Set(['true', 'false', 'null', 'and', 'or', 'not']);
+
+// Standard objects recognized as SObject types in Apex without further context;
+// custom objects are recognized by their suffix
+const STANDARD_OBJECTS = new Set([
+  'account', 'asset', 'campaign', 'campaignmember', 'case', 'casecomment', 'contact',
+  'contentdocumentlink', 'contentversion', 'contract', 'emailmessage', 'entitlement',
+  'event', 'feeditem', 'lead', 'opportunity', 'opportunitylineitem', 'order',
+  'orderitem', 'pricebook2', 'pricebookentry', 'product2', 'quote', 'quotelineitem',
+  'serviceappointment', 'task', 'user', 'workorder',
+]);
+const CUSTOM_OBJECT_SUFFIX = /__(?:c|mdt|e|b|x)$/i;
+
+/**
+ * Collects reads and writes, dropping repeats of the same object/field/via.
+ */
+function createLineage() {
+  const reads = new Map();
+  const writes = new Map();
+  const add = (entries, object, field, via) => {
+    if (!object || !field) return;
+    const key = `${object}|${field}|${via}`.toLowerCase();
+    if (!entries.has(key)) entries.set(key, { object, field, via });
+  };
+  return {
+    read: (object, field, via) => add(reads, object, field, via),
+    write: (object, field, via) => add(writes, object, field, via),
+    result: () => ({ reads: [...reads.values()], writes: [...writes.values()] }),
+  };
+}
+
+/**
+ * Field paths referenced by a formula or merge-field text, as written:
+ * "Status__c", "Owner.Email", "$Record.Amount". Functions, string literals
+ * and keywords are skipped.
+ */
+function formulaReferences(formula) {
+  if (!formula) return [];
+  const text = formula
+    .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, ' ')
+    .replace(/\{!|\}/g, ' ');
+  const refs = [];
+  for (const match of text.matchAll(/(\$?[A-Za-z][\w]*(?:\.[A-Za-z][\w]*)*)(\s*\()?/g)) {
+    const [, path, call] = match;
+    if (call || FORMULA_KEYWORDS.has(path.toLowerCase())) continue;
+    refs.push(path);
+  }
+  return [...new Set(refs)];
+}
+
+/**
+ * Resolves a criteria item or formula reference against the item's own object:
+ * "Account.Industry" on Account → "Industry"; other paths are kept as written.
+ * Returns null for global variables ($User.Id, $Label.X).
+ */
+function ownField(ref, objectName) {
+  if (!ref || ref.startsWith('$')) return null;
+  const parts = ref.split('.');
+  if (parts.length > 1 && objectName && parts[0].toLowerCase() === objectName.toLowerCase()) {
+    return parts.slice(1).join('.');
+  }
+  return ref;
+}
+
+/**
+ * Reads of entry criteria: criteriaItems name fields as "Object.Field"; a
+ * formula names them directly.
+ */
+function addCriteriaReads(lineage, objectName, criteriaItems, formula, via) {
+  for (const item of criteriaItems || []) lineage.read(objectName, ownField(item.field, objectName), via);
+  for (const ref of formulaReferences(formula)) lineage.read(objectName, ownField(ref, objectName), `${via} formula`);
+}
+
+// ── Flows and Process Builder ─────────────────────────────────────────────────
+
+// References to the triggering record: $Record (flows) and myVariable_current /
+// myVariable_old (Process Builder). $Record__Prior reads the old values.
+const RECORD_VARIABLES = /^(?:\$Record|\$Record__Prior|myVariable_current|myVariable_old)\.(.+)$/;
+
+const RECORD_VARIABLE_NAMES = new Set(['$Record', 'myVariable_current']);
+
+// Element kinds whose inputs may reference the triggering record
+const REFERENCING_ELEMENT_KINDS = [
+  'actionCalls', 'apexPluginCalls', 'subflows', 'recordCreates', 'recordUpdates',
+  'recordLookups', 'recordDeletes', 'loops', 'screens', 'waits',
+];
+
+function recordField(ref) {
+  const match = typeof ref === 'string' ? ref.match(RECORD_VARIABLES) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Lineage of a flow or process. objectName is the triggering object (start
+ * object, or the ObjectType of a process); $Record references resolve to it.
+ */
+function flowFieldLineage(raw, objectName) {
+  const lineage = createLineage();
+
+  const start = raw.start || {};
+  for (const filter of normalizeToArray(start.filters)) lineage.read(objectName, filter.field, 'entry conditions');
+  for (const ref of formulaReferences(start.filterFormula)) {
+    lineage.read(objectName, recordField(ref), 'entry conditions formula');
+  }
+
+  // Every element reference to the triggering record is a read, wherever it
+  // appears (decision conditions, assignment values, action inputs, ...)
+  const collectRecordReads = (value, via) => {
+    if (Array.isArray(value)) {
+      for (const entry of value) collectRecordReads(entry, via);
+    } else if (value && typeof value === 'object') {
+      for (const [key, nested] of Object.entries(value)) {
+        if (key === 'elementReference' || key === 'leftValueReference') {
+          lineage.read(objectName, recordField(nested), via);
+        } else {
+          collectRecordReads(nested, via);
+        }
+      }
+    }
+  };
+  for (const decision of normalizeToArray(raw.decisions)) collectRecordReads(decision.rules, `decision ${decision.name}`);
+  for (const element of normalizeToArray(raw.assignments)) {
+    for (const item of normalizeToArray(element.assignmentItems)) collectRecordReads(item.value, element.name);
+  }
+  for (const kind of REFERENCING_ELEMENT_KINDS) {
+    for (const element of normalizeToArray(raw[kind])) collectRecordReads(element, element.name);
+  }
+
+  // Process Builder formulas name the triggering record as [Account]
+  const recordFormula = (text) => (text || '').replace(/\[\w+\]\./g, '$Record.');
+  for (const formula of normalizeToArray(raw.formulas)) {
+    for (const ref of formulaReferences(recordFormula(formula.expression))) {
+      lineage.read(objectName, recordField(ref), `formula ${formula.name}`);
+    }
+  }
+  for (const template of normalizeToArray(raw.textTemplates)) {
+    for (const ref of formulaReferences(template.text)) {
+      lineage.read(objectName, recordField(ref), `text template ${template.name}`);
+    }
+  }
+
+  // Before-save flows write the triggering record through assignments
+  for (const element of normalizeToArray(raw.assignments)) {
+    for (const item of normalizeToArray(element.assignmentItems)) {
+      lineage.write(objectName, recordField(item.assignToReference), element.name);
+    }
+  }
+
+  for (const update of normalizeToArray(raw.recordUpdates)) {
+    const target = update.object || (RECORD_VARIABLE_NAMES.has(update.inputReference) ? objectName : null);
+    for (const assignment of normalizeToArray(update.inputAssignments)) lineage.write(target, assignment.field, update.name);
+    for (const filter of normalizeToArray(update.filters)) lineage.read(target, filter.field, update.name);
+  }
+  for (const create of normalizeToArray(raw.recordCreates)) {
+    for (const assignment of normalizeToArray(create.inputAssignments)) lineage.write(create.object, assignment.field, create.name);
+  }
+  for (const lookup of normalizeToArray(raw.recordLookups)) {
+    for (const field of normalizeToArray(lookup.queriedFields)) lineage.read(lookup.object, field, lookup.name);
+    for (const filter of normalizeToArray(lookup.filters)) lineage.read(lookup.object, filter.field, lookup.name);
+  }
+  for (const del of normalizeToArray(raw.recordDeletes)) {
+    for (const filter of normalizeToArray(del.filters)) lineage.read(del.object, filter.field, del.name);
+  }
+
+  return lineage.result();
+}
+
+// ── Apex ──────────────────────────────────────────────────────────────────────
+
+const SOQL_COMPARISON = /([A-Za-z][\w.]*)\s*(?:=|!=|<>|<=|>=|<|>|\bLIKE\b|\bNOT\s+IN\b|\bIN\b|\bINCLUDES\b|\bEXCLUDES\b)/gi;
+const SOQL_CLAUSE_WORDS = new Set(['and', 'or', 'not', 'where', 'null', 'true', 'false']);
+
+/**
+ * Fields a SOQL query reads from its FROM object: the select list (without
+ * subqueries and aggregate wrappers) and the fields compared in its filters.
+ */
+function soqlFields(text) {
+  let outer = text;
+  while (/\([^()]*\bSELECT\b[^()]*\)/i.test(outer)) outer = outer.replace(/\([^()]*\bSELECT\b[^()]*\)/gi, '');
+  const select = outer.match(/^\s*SELECT\s+([\s\S]*?)\s+FROM\s/i);
+  const fields = [];
+  if (select) {
+    for (const part of select[1].split(',')) {
+      const field = part.trim().replace(/^\w+\s*\(\s*([\w.]+)\s*\).*$/, '$1').split(/\s+/)[0];
+      if (/^[A-Za-z][\w.]*$/.test(field)) fields.push(field);
+    }
+  }
+  const filters = outer.slice(outer.search(/\bFROM\s/i));
+  for (const match of filters.matchAll(SOQL_COMPARISON)) {
+    const field = match[1];
+    if (!SOQL_CLAUSE_WORDS.has(field.toLowerCase())) fields.push(field);
+  }
+  return [...new Set(fields)];
+}
+
+const isPunct = (token, value) => !!token && token.type === 'punct' && token.value === value;
+
+/**
+ * Lineage of Apex source (parseApex() output). SObject variables are told apart
+ * from other classes by their declared type: a custom object suffix, a common
+ * standard object, a queried/DML'd object or the trigger's own object.
+ */
+function apexFieldLineage(parsed, knownObjects = []) {
+  const lineage = createLineage();
+  const body = parsed.types[0]?.kind === 'trigger' ? 'trigger body' : 'class body';
+  const where = (entry) => (entry.method ? `${entry.method}()` : body);
+
+  const queries = findQueries(parsed);
+  for (const query of queries) {
+    for (const field of query.objectName ? soqlFields(query.text) : []) {
+      lineage.read(query.objectName, field, `SOQL in ${where(query)}`);
+    }
+  }
+
+  const localTypes = new Set(parsed.types.map((t) => (t.name || '').toLowerCase()));
+  const sobjects = new Set([
+    ...knownObjects.filter(Boolean).map((o) => o.toLowerCase()),
+    ...queries.map((q) => (q.objectName || '').toLowerCase()),
+  ]);
+  const isSObject = (type) => {
+    const name = (type || '').toLowerCase();
+    return !localTypes.has(name) && (CUSTOM_OBJECT_SUFFIX.test(name) || STANDARD_OBJECTS.has(name) || sobjects.has(name));
+  };
+  const types = declaredTypes(parsed);
+
+  for (const statement of parsed.statements) {
+    const st = statement.tokens;
+    for (let j = 0; j < st.length; j++) {
+      const t = st[j];
+      if (t.type !== 'word') continue;
+
+      // new Account(Name = 'x', Industry = y)
+      if (t.value.toLowerCase() === 'new' && st[j + 1]?.type === 'word' && isPunct(st[j + 2], '(') && isSObject(st[j + 1].value)) {
+        let depth = 0;
+        for (let k = j + 2; k < st.length; k++) {
+          if (isPunct(st[k], '(')) depth++;
+          else if (isPunct(st[k], ')') && --depth === 0) break;
+          else if (depth === 1 && st[k].type === 'word' && isPunct(st[k + 1], '=') && !isPunct(st[k + 2], '=') &&
+                   (isPunct(st[k - 1], '(') || isPunct(st[k - 1], ','))) {
+            lineage.write(st[j + 1].value, st[k].value, `new ${st[j + 1].value}() in ${where(statement)}`);
+          }
+        }
+        continue;
+      }
+
+      // record.Field (and record.Relationship.Field) on a variable of SObject type
+      const type = types.get(t.value.toLowerCase());
+      if (!isSObject(type) || !isPunct(st[j + 1], '.') || isPunct(st[j - 1], '.')) continue;
+      const path = [];
+      let k = j + 1;
+      while (isPunct(st[k], '.') && st[k + 1]?.type === 'word') {
+        path.push(st[k + 1].value);
+        k += 2;
+      }
+      // A trailing method call (acc.clone(), acc.Name.length()) isn't a field
+      if (isPunct(st[k], '(')) path.pop();
+      if (path.length === 0) continue;
+      const field = path.join('.');
+      const assigned = isPunct(st[k], '=') && !isPunct(st[k + 1], '=');
+      if (assigned) lineage.write(type, field, `assignment in ${where(statement)}`);
+      else lineage.read(type, field, `field access in ${where(statement)}`);
+      j = k - 1;
+    }
+  }
+
+  return lineage.result();
+}
+
+module.exports = {
+  createLineage,
+  formulaReferences,
+  addCriteriaReads,
+  flowFieldLineage,
+  apexFieldLineage,
+};
@@ -1,3 +1,10 @@
+const { eventChannelKind } = require('./eventChannels');
+const { buildFlowGraph, analyzeFlowGraph } = require('./flowGraph');
+const { flowFieldLineage } = require('./fieldLineage');
+const { flowExpressions } = require('./flowExpressions');
+const { apiVersionNumber } = require('./apiVersions');
+const { normalizeToArray, hasNamespacePrefix } = require('./shared');
+
 const PROCESS_TYPE_MAP = {
   Flow: 'Screen Flow',
   Workflow: 'Process Builder',
@@ -9,12 +16,26 @@ const TRIGGER_TYPE_MAP = {
   RecordAfterSave: 'after save',
   RecordBeforeDelete: 'before delete',
   Scheduled: 'scheduled',
+  PlatformEvent: 'event published',
 };
 
-function normalizeToArray(val) {
-  if (!val) return [];
-  return Array.isArray(val) ? val : [val];
-}
+// Elements that each issue a query or DML statement when they run
+const DATA_ELEMENT_OPERATIONS = {
+  recordLookups: 'soql',
+  recordCreates: 'create',
+  recordUpdates: 'update',
+  recordDeletes: 'delete',
+};
+
+// Elements that can fail at runtime and accept a faultConnector
+const FAULTABLE_ELEMENT_LABELS = {
+  recordCreates: 'Create Records',
+  recordUpdates: 'Update Records',
+  recordDeletes: 'Delete Records',
+  actionCalls: 'Action',
+  apexPluginCalls: 'Apex Plugin',
+  subflows: 'Subflow',
+};
 
 /**
  * Collects all field API names written by recordUpdates.
@@ -30,6 +51,24 @@ function extractFieldUpdateFields(raw) {
   return [...new Set(fields)];
 }
 
+/**
+ * Names of the Apex classes and flows a flow calls through its elements:
+ * Apex actions and legacy Apex plugins name a class, and flow actions (how
+ * processes launch flows) name a flow. Subflows are listed in subflowNames.
+ */
+function extractInvocations(raw) {
+  const apexClasses = new Set();
+  const flows = new Set();
+  for (const call of normalizeToArray(raw.actionCalls)) {
+    if (call.actionType === 'apex' && call.actionName) apexClasses.add(call.actionName);
+    else if (call.actionType === 'flow' && call.actionName) flows.add(call.actionName);
+  }
+  for (const call of normalizeToArray(raw.apexPluginCalls)) {
+    if (call.apexClass) apexClasses.add(call.apexClass);
+  }
+  return { apexClasses: [...apexClasses], flows: [...flows] };
+}
+
 /**
  * Derives a human-readable list of action categories from a flow's elements.
  */
@@ -56,6 +95,58 @@ function extractSubflowNames(raw) {
     .filter(Boolean);
 }
 
+/**
+ * Data elements inside a loop body run once per item — a Get Records or
+ * Update Records in the body of a loop over a triggering batch issues a
+ * query/DML per record. Returns [{ operation, element, loop }].
+ */
+function findDataOperationsInLoops(graph, loopBodies) {
+  const operations = [];
+  const seen = new Set();
+  // Innermost loops have the smallest bodies; an element of nested loops is
+  // reported against the innermost one
+  const innermostFirst = [...loopBodies].sort((a, b) => a.elements.length - b.elements.length);
+  for (const { loop, elements } of innermostFirst) {
+    for (const element of elements) {
+      const operation = DATA_ELEMENT_OPERATIONS[graph.nodes[element].type];
+      if (!operation || seen.has(element)) continue;
+      seen.add(element);
+      operations.push({ operation, element, loop });
+    }
+  }
+  return operations;
+}
+
+/**
+ * DML, action and subflow elements on the flow's normal path that have no
+ * faultConnector. A failure in one of them rolls back the transaction and
+ * shows the user a generic "unhandled fault" error. Elements only reached
+ * through fault connectors are the error handling itself and are skipped.
+ * Returns [{ element, type }] where type reads e.g. 'Update Records' or
+ * 'Action (emailAlert)'.
+ */
+function findElementsWithoutFaultPath(raw, graph) {
+  const actionTypes = new Map(normalizeToArray(raw.actionCalls).map((a) => [a.name, a.actionType]));
+  const handled = new Set(graph.edges.filter((e) => e.kind === 'fault').map((e) => e.from));
+
+  const normalPath = new Set();
+  const pending = [...graph.entries];
+  while (pending.length > 0) {
+    const name = pending.pop();
+    if (normalPath.has(name)) continue;
+    normalPath.add(name);
+    for (const e of graph.edges) if (e.from === name && e.kind !== 'fault') pending.push(e.to);
+  }
+
+  return Object.keys(graph.nodes)
+    .filter((name) => normalPath.has(name) && FAULTABLE_ELEMENT_LABELS[graph.nodes[name].type] && !handled.has(name))
+    .map((name) => {
+      const label = FAULTABLE_ELEMENT_LABELS[graph.nodes[name].type];
+      const actionType = graph.nodes[name].type === 'actionCalls' && actionTypes.get(name);
+      return { element: name, type: actionType ? `${label} (${actionType})` : label };
+    });
+}
+
 function parseFlow(raw) {
   const processType = raw.processType || '';
   const start = raw.start || {};
@@ -63,6 +154,9 @@ function parseFlow(raw) {
   let automationType;
   if (PROCESS_TYPE_MAP[processType]) {
     automationType = PROCESS_TYPE_MAP[processType];
+  } else if (processType === 'AutoLaunchedFlow' && start.triggerType === 'PlatformEvent') {
+    // Subscribes to a platform event or change event — runs outside the save order
+    automationType = 'Platform Event-Triggered Flow';
   } else if (processType === 'AutoLaunchedFlow') {
     automationType = start.triggerType ? 'Record-Triggered Flow' : 'Autolaunched Flow';
   } else {
@@ -70,20 +164,40 @@ function parseFlow(raw) {
   }
 
   const isProcessBuilder = processType === 'Workflow' || processType === 'InvocableProcess';
-  const isRecordTriggeredFlow = processType === 'AutoLaunchedFlow' && !!start.triggerType;
+  const isRecordTriggeredFlow = automationType === 'Record-Triggered Flow';
 
   const fieldUpdateFields = extractFieldUpdateFields(raw);
   const actionTypes = extractActionTypes(raw);
   const subflowNames = extractSubflowNames(raw);
+  const invocations = extractInvocations(raw);
+  const elementGraph = buildFlowGraph(raw);
+  // Processes name their object in processMetadataValues rather than start
+  const objectTypeMeta = normalizeToArray(raw.processMetadataValues).find((v) => v.name === 'ObjectType');
+  const triggeringObject = start.object || objectTypeMeta?.value?.stringValue || null;
+  const graphMetrics = analyzeFlowGraph(elementGraph);
+  const expressions = flowExpressions(raw);
 
   const parsedData = {
     processType,
     triggerType: start.triggerType || null,
     status: raw.status,
+    // Version the flow was saved with — it keeps that version's runtime behavior
+    apiVersion: apiVersionNumber(raw.apiVersion),
     fieldUpdateFields,
     actionTypes,
     callsSubflows: subflowNames.length > 0,
     ...(subflowNames.length > 0 && { subflowNames }),
+    ...(invocations.apexClasses.length > 0 && { invokedApexClasses: invocations.apexClasses }),
+    ...(invocations.flows.length > 0 && { invokedFlows: invocations.flows }),
+    elementGraph,
+    ...graphMetrics,
+    dataOperationsInLoops: findDataOperationsInLoops(elementGraph, graphMetrics.loopBodies),
+    faultableElementCount: Object.values(elementGraph.nodes).filter((n) => FAULTABLE_ELEMENT_LABELS[n.type]).length,
+    elementsWithoutFaultPath: findElementsWithoutFaultPath(raw, elementGraph),
+    fieldLineage: flowFieldLineage(raw, triggeringObject),
+    expressions,
+    hasHardcodedIds: expressions.some((e) => e.hardcodedIds),
+    hasHardcodedUrls: expressions.some((e) => e.urls),
   };
 
   if (isProcessBuilder) {
@@ -92,6 +206,10 @@ function parseFlow(raw) {
     parsedData.recordUpdateCount = normalizeToArray(raw.recordUpdates).length;
   }
 
+  if (automationType === 'Platform Event-Triggered Flow') {
+    parsedData.eventKind = eventChannelKind(start.object) || 'platform_event';
+  }
+
   if (isRecordTriggeredFlow) {
     parsedData.entryFilterLogic = start.filterLogic || null;
     parsedData.hasScheduledPaths = normalizeToArray(start.scheduledPaths).length > 0;
@@ -103,7 +221,7 @@ function parseFlow(raw) {
     trigger_events: TRIGGER_TYPE_MAP[start.triggerType] || null,
     is_active: raw.status === 'Active',
     has_description: !!(raw.description && raw.description.trim()),
-    is_managed_package: /^[a-zA-Z0-9]+__/.test(raw.fullName || ''),
+    is_managed_package: hasNamespacePrefix(raw.fullName),
     parsed_data: parsedData,
   };
 }
@@ -0,0 +1,142 @@
+// Expressions in a flow: formulas, text templates, assignments, decision
+// conditions and record element filters/inputs. Each is reduced to the
+// resources it references ($Record.Status, $Record__Prior.Amount, variables,
+// other elements' outputs) and the record IDs and URLs it hardcodes.
+
+const { HARDCODED_ID } = require('./apexDetections');
+const { normalizeToArray } = require('./shared');
+
+// ID-shaped words in free text; requiring a letter keeps plain numbers out
+const ID_IN_TEXT = /\b0(?=[0-9A-Za-z]*[A-Za-z])[0-9A-Za-z]{14}(?:[0-9A-Za-z]{3})?\b/g;
+const URL = /https?:\/\/[^\s"'<>{}()]+/gi;
+const STRING_LITERAL = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'/g;
+const FORMULA_KEYWORDS = new Set(['true', 'false', 'null', 'and', 'or', 'not']);
+
+// Record elements whose filters and field inputs hold values
+const RECORD_ELEMENT_KINDS = ['recordLookups', 'recordUpdates', 'recordDeletes', 'recordCreates'];
+
+/**
+ * "$Record.Account.Name" → { resource: '$Record', field: 'Account.Name' };
+ * "varTotal" → { resource: 'varTotal', field: null }.
+ */
+function toReference(path) {
+  const dot = path.indexOf('.');
+  return dot === -1
+    ? { resource: path, field: null }
+    : { resource: path.slice(0, dot), field: path.slice(dot + 1) };
+}
+
+/**
+ * Resources a formula or text template names: merge fields ({!x.y}) in
+ * templates, bare paths in formulas. Processes name the triggering record as
+ * [Account], which is read as $Record.
+ */
+function expressionPaths(text, isTemplate) {
+  const source = (text || '').replace(/\[\w+\]\./g, '$Record.');
+  if (isTemplate) return [...source.matchAll(/\{!\s*(\$?[A-Za-z][\w.]*)\s*\}/g)].map((m) => m[1]);
+  const withoutStrings = source.replace(STRING_LITERAL, ' ').replace(/\{!|\}/g, ' ');
+  return [...withoutStrings.matchAll(/(\$?[A-Za-z]\w*(?:\.[A-Za-z]\w*)*)(\s*\()?/g)]
+    .filter(([, path, call]) => !call && !FORMULA_KEYWORDS.has(path.toLowerCase()))
+    .map(([, path]) => path);
+}
+
+/**
+ * Collects expressions, merging references and literals per element and kind.
+ */
+function createCollector() {
+  const expressions = new Map();
+  const entry = (element, kind) => {
+    const key = `${element}|${kind}`;
+    if (!expressions.has(key)) {
+      expressions.set(key, { element, kind, references: new Map(), hardcodedIds: new Set(), urls: new Set() });
+    }
+    return expressions.get(key);
+  };
+  return {
+    reference(element, kind, path) {
+      if (path) entry(element, kind).references.set(path.toLowerCase(), toReference(path));
+    },
+    // A literal value: an ID when it is one exactly, plus any URLs inside it
+    literal(element, kind, value) {
+      if (typeof value !== 'string') return;
+      if (HARDCODED_ID.test(value.trim())) entry(element, kind).hardcodedIds.add(value.trim());
+      for (const [url] of value.matchAll(URL)) entry(element, kind).urls.add(url);
+    },
+    // Free text: IDs and URLs anywhere in it
+    text(element, kind, value) {
+      for (const [id] of (value || '').matchAll(ID_IN_TEXT)) entry(element, kind).hardcodedIds.add(id);
+      for (const [url] of (value || '').matchAll(URL)) entry(element, kind).urls.add(url);
+    },
+    result: () => [...expressions.values()]
+      .map((e) => ({
+        element: e.element,
+        kind: e.kind,
+        references: [...e.references.values()],
+        ...(e.hardcodedIds.size > 0 && { hardcodedIds: [...e.hardcodedIds] }),
+        ...(e.urls.size > 0 && { urls: [...e.urls] }),
+      }))
+      .filter((e) => e.references.length > 0 || e.hardcodedIds || e.urls),
+  };
+}
+
+// A flow value: { elementReference | stringValue | numberValue | ... }
+function addValue(collector, element, kind, value) {
+  if (!value) return;
+  collector.reference(element, kind, value.elementReference);
+  collector.literal(element, kind, value.stringValue);
+}
+
+/**
+ * Parses a flow's expressions into
+ *   [{ element, kind, references: [{ resource, field }], hardcodedIds?, urls? }]
+ * where kind is formula, textTemplate, assignment, condition, filter or input
+ * (a record element's field value), and element the element it belongs to —
+ * or 'start' for the entry conditions.
+ */
+function flowExpressions(raw) {
+  const collector = createCollector();
+
+  for (const formula of normalizeToArray(raw.formulas)) {
+    for (const path of expressionPaths(formula.expression, false)) collector.reference(formula.name, 'formula', path);
+    for (const [, double, single] of (formula.expression || '').matchAll(STRING_LITERAL)) {
+      collector.literal(formula.name, 'formula', double ?? single);
+    }
+  }
+
+  for (const template of normalizeToArray(raw.textTemplates)) {
+    for (const path of expressionPaths(template.text, true)) collector.reference(template.name, 'textTemplate', path);
+    collector.text(template.name, 'textTemplate', template.text);
+  }
+
+  for (const element of normalizeToArray(raw.assignments)) {
+    for (const item of normalizeToArray(element.assignmentItems)) {
+      collector.reference(element.name, 'assignment', item.assignToReference);
+      addValue(collector, element.name, 'assignment', item.value);
+    }
+  }
+
+  for (const decision of normalizeToArray(raw.decisions)) {
+    for (const rule of normalizeToArray(decision.rules)) {
+      for (const condition of normalizeToArray(rule.conditions)) {
+        collector.reference(decision.name, 'condition', condition.leftValueReference);
+        addValue(collector, decision.name, 'condition', condition.rightValue);
+      }
+    }
+  }
+
+  const start = raw.start || {};
+  for (const filter of normalizeToArray(start.filters)) {
+    collector.reference('start', 'filter', filter.field && `$Record.${filter.field}`);
+    addValue(collector, 'start', 'filter', filter.value);
+  }
+  for (const kind of RECORD_ELEMENT_KINDS) {
+    for (const element of normalizeToArray(raw[kind])) {
+      for (const filter of normalizeToArray(element.filters)) addValue(collector, element.name, 'filter', filter.value);
+      for (const input of normalizeToArray(element.inputAssignments)) addValue(collector, element.name, 'input', input.value);
+    }
+  }
+
+  return collector.result();
+}
+
+module.exports = { flowExpressions };
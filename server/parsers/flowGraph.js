@@ -0,0 +1,164 @@
+// Directed graph of a flow's elements, built by following their connectors.
+// Flow metadata lists elements by kind (decisions, loops, recordUpdates, ...)
+// and links them by name through connector.targetReference; the element
+// arrays alone say nothing about execution order, loops or dead branches.
+
+const { normalizeToArray } = require('./shared');
+
+// Element arrays of Flow metadata that hold connectable elements
+const ELEMENT_KINDS = [
+  'actionCalls', 'apexPluginCalls', 'assignments', 'collectionProcessors',
+  'customErrors', 'decisions', 'loops', 'orchestratedStages', 'recordCreates',
+  'recordDeletes', 'recordLookups', 'recordRollbacks', 'recordUpdates',
+  'screens', 'steps', 'subflows', 'transforms', 'waits',
+];
+
+function targetOf(connector) {
+  return connector && connector.targetReference ? connector.targetReference : null;
+}
+
+/**
+ * Outgoing connectors of one element as [{ to, kind, label? }]. kind is
+ *   next      — connector (screens, assignments, record elements, ...)
+ *   fault     — faultConnector, taken when the element fails
+ *   default   — defaultConnector of a decision or wait
+ *   outcome   — a decision rule's connector (label = rule name)
+ *   event     — a wait event's connector (label = event name)
+ *   loop_body — a loop's nextValueConnector, taken for each item
+ *   loop_end  — a loop's noMoreValuesConnector
+ */
+function connectorsOf(element) {
+  const edges = [];
+  const add = (connector, kind, label) => {
+    const to = targetOf(connector);
+    if (to) edges.push({ to, kind, ...(label && { label }) });
+  };
+  add(element.connector, 'next');
+  add(element.nextValueConnector, 'loop_body');
+  add(element.noMoreValuesConnector, 'loop_end');
+  for (const rule of normalizeToArray(element.rules)) add(rule.connector, 'outcome', rule.name);
+  for (const event of normalizeToArray(element.waitEvents)) add(event.connector, 'event', event.name);
+  // Legacy steps list their connectors as an array
+  for (const connector of normalizeToArray(element.connectors)) add(connector, 'next');
+  add(element.defaultConnector, 'default');
+  add(element.faultConnector, 'fault');
+  return edges;
+}
+
+/**
+ * Builds the element graph of a flow:
+ *   entries — names of the elements the flow starts at: the start element's
+ *             connector (or legacy startElementReference) and each scheduled path
+ *   nodes   — { <name>: { type, label } } where type is the metadata kind
+ *             (e.g. 'recordUpdates')
+ *   edges   — [{ from, to, kind, label? }] (see connectorsOf)
+ * Connectors pointing at elements that don't exist are dropped.
+ */
+function buildFlowGraph(raw) {
+  const nodes = {};
+  const elements = [];
+  for (const kind of ELEMENT_KINDS) {
+    for (const element of normalizeToArray(raw[kind])) {
+      if (!element.name) continue;
+      nodes[element.name] = { type: kind, label: element.label || null };
+      elements.push(element);
+    }
+  }
+
+  const edges = [];
+  for (const element of elements) {
+    for (const edge of connectorsOf(element)) {
+      if (nodes[edge.to]) edges.push({ from: element.name, ...edge });
+    }
+  }
+
+  const start = raw.start || {};
+  const entries = [
+    targetOf(start.connector),
+    raw.startElementReference || null,
+    ...normalizeToArray(start.scheduledPaths).map((path) => targetOf(path.connector)),
+  ].filter((name, i, all) => name && nodes[name] && all.indexOf(name) === i);
+
+  return { entries, nodes, edges };
+}
+
+function adjacency(graph, reverse = false) {
+  const out = new Map(Object.keys(graph.nodes).map((name) => [name, []]));
+  for (const edge of graph.edges) {
+    if (reverse) out.get(edge.to).push(edge.from);
+    else out.get(edge.from).push(edge.to);
+  }
+  return out;
+}
+
+function reachable(from, next, blocked = null) {
+  const seen = new Set();
+  const stack = [...from];
+  while (stack.length > 0) {
+    const name = stack.pop();
+    if (seen.has(name) || name === blocked) continue;
+    seen.add(name);
+    stack.push(...next.get(name));
+  }
+  return seen;
+}
+
+/**
+ * Longest path from the entries, counted in elements. Connectors that lead
+ * back to an element already on the path (loop returns) are not followed.
+ */
+function maxPathDepth(graph, next) {
+  const depth = new Map();
+  const onPath = new Set();
+  const visit = (name) => {
+    if (depth.has(name)) return depth.get(name);
+    onPath.add(name);
+    let deepest = 0;
+    for (const to of next.get(name)) {
+      if (!onPath.has(to)) deepest = Math.max(deepest, visit(to));
+    }
+    onPath.delete(name);
+    depth.set(name, deepest + 1);
+    return deepest + 1;
+  };
+  return graph.entries.reduce((max, name) => Math.max(max, visit(name)), 0);
+}
+
+/**
+ * Derives metrics from a graph built by buildFlowGraph():
+ *   elementCount        — number of elements
+ *   maxPathDepth        — elements on the longest path from the start
+ *   unreachableElements — elements no path from the start leads to
+ *   loopBodies          — [{ loop, elements }] per loop element: the elements
+ *                         run for each item, i.e. those on a path from the
+ *                         loop's body connector back to the loop
+ */
+function analyzeFlowGraph(graph) {
+  const next = adjacency(graph);
+  const previous = adjacency(graph, true);
+  const names = Object.keys(graph.nodes);
+
+  const fromStart = reachable(graph.entries, next);
+  // Legacy flows without a recorded start can't be traversed; don't report
+  // every element of them as unreachable
+  const unreachableElements = graph.entries.length > 0
+    ? names.filter((name) => !fromStart.has(name))
+    : [];
+
+  const loopBodies = [];
+  for (const loop of names.filter((name) => graph.nodes[name].type === 'loops')) {
+    const bodyStart = graph.edges.filter((e) => e.from === loop && e.kind === 'loop_body').map((e) => e.to);
+    const forward = reachable(bodyStart, next, loop);
+    const returnsToLoop = reachable(previous.get(loop), previous, loop);
+    loopBodies.push({ loop, elements: names.filter((name) => forward.has(name) && returnsToLoop.has(name)) });
+  }
+
+  return {
+    elementCount: names.length,
+    maxPathDepth: maxPathDepth(graph, next),
+    unreachableElements,
+    loopBodies,
+  };
+}
+
+module.exports = { buildFlowGraph, analyzeFlowGraph };
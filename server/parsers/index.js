@@ -3,6 +3,13 @@ const { parseFlow } = require('./flow');
 const { parseWorkflowRule } = require('./workflowRule');
 const { parseApexTrigger } = require('./apexTrigger');
 const { parseApexClass } = require('./apexClass');
+const { parseValidationRule } = require('./validationRule');
+const { parseApprovalProcess } = require('./approvalProcess');
+const {
+  parseAssignmentRule,
+  parseAutoResponseRule,
+  parseEscalationRule,
+} = require('./routingRules');
 
 const PARSERS = {
   Flow: parseFlow,
@@ -10,11 +17,26 @@ const PARSERS = {
   WorkflowRule: parseWorkflowRule,
   ApexTrigger: parseApexTrigger,
   ApexClass: parseApexClass,
+  ValidationRule: parseValidationRule,
+  ApprovalProcess: parseApprovalProcess,
+  AssignmentRule: parseAssignmentRule,
+  AutoResponseRule: parseAutoResponseRule,
+  EscalationRule: parseEscalationRule,
 };
 
+// Stored on every inventory row. Bump it whenever a parser change alters what
+// ends up in automation_inventory, so scans parsed with older logic can be
+// found and re-parsed (POST /api/scans/:id/reparse)
+const PARSER_VERSION = 8;
+
 async function parseInventory(scanId, orgId) {
+  // Items copied forward by a delta scan already carry their inventory row
   const result = await pool.query(
-    'SELECT id, type, raw_json FROM metadata_items WHERE scan_id = $1',
+    `SELECT mi.id, mi.type, mi.raw_json,
+            mi.created_by_name, mi.created_date, mi.last_modified_by_name, mi.last_modified_date
+     FROM metadata_items mi
+     WHERE mi.scan_id = $1
+       AND NOT EXISTS (SELECT 1 FROM automation_inventory ai WHERE ai.metadata_item_id = mi.id)`,
     [scanId]
   );
 
@@ -28,8 +50,9 @@ async function parseInventory(scanId, orgId) {
         `INSERT INTO automation_inventory
           (metadata_item_id, org_id, automation_type, api_name, label,
            object_name, trigger_events, is_active, has_description,
-           is_managed_package, parsed_data)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+           is_managed_package, parsed_data,
+           created_by_name, created_date, last_modified_by_name, last_modified_date, parser_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
         [
           item.id,
           orgId,
@@ -42,6 +65,11 @@ async function parseInventory(scanId, orgId) {
           parsed.has_description,
           parsed.is_managed_package,
           JSON.stringify(parsed.parsed_data),
+          item.created_by_name,
+          item.created_date,
+          item.last_modified_by_name,
+          item.last_modified_date,
+          PARSER_VERSION,
         ]
       );
     } catch (err) {
@@ -50,4 +78,61 @@ async function parseInventory(scanId, orgId) {
   }
 }
 
-module.exports = { parseInventory };
+/**
+ * Re-runs the current parsers over the stored raw metadata of a scan's
+ * existing inventory rows and updates them in place, so findings keep pointing
+ * at the same rows. The org enrichment passes can't be repeated without a
+ * connection: their columns are left alone and the parsed_data fields they
+ * wrote (`preservedFields`) are carried over. Items without an inventory row
+ * are left to parseInventory. With outdatedOnly, only rows parsed by an older
+ * PARSER_VERSION are re-parsed (e.g. rows a delta scan copied forward).
+ * Returns { updatedCount, failedCount }.
+ */
+async function reparseInventory(scanId, preservedFields = [], { outdatedOnly = false } = {}) {
+  const result = await pool.query(
+    `SELECT ai.id, ai.parsed_data, mi.type, mi.raw_json
+     FROM automation_inventory ai
+     JOIN metadata_items mi ON mi.id = ai.metadata_item_id
+     WHERE mi.scan_id = $1
+       AND (NOT $2 OR COALESCE(ai.parser_version, 0) < $3)`,
+    [scanId, outdatedOnly, PARSER_VERSION]
+  );
+
+  let updatedCount = 0;
+  let failedCount = 0;
+  for (const item of result.rows) {
+    const parser = PARSERS[item.type];
+    if (!parser) continue;
+
+    try {
+      const parsed = parser(item.raw_json);
+      const preserved = Object.fromEntries(
+        preservedFields.filter((f) => item.parsed_data && f in item.parsed_data).map((f) => [f, item.parsed_data[f]])
+      );
+      // is_managed_package is owned by the installed packages pass once it has run
+      await pool.query(
+        `UPDATE automation_inventory
+         SET automation_type = $2, object_name = $3, trigger_events = $4, is_active = $5,
+             has_description = $6, parsed_data = $7, parser_version = $8
+         WHERE id = $1`,
+        [
+          item.id,
+          parsed.automation_type,
+          parsed.object_name,
+          parsed.trigger_events,
+          parsed.is_active,
+          parsed.has_description,
+          JSON.stringify({ ...parsed.parsed_data, ...preserved }),
+          PARSER_VERSION,
+        ]
+      );
+      updatedCount++;
+    } catch (err) {
+      console.warn(`Failed to re-parse ${item.type} inventory item ${item.id}:`, err.message);
+      failedCount++;
+    }
+  }
+  return { updatedCount, failedCount };
+}
+
+module.exports = { parseInventory, reparseInventory, PARSER_VERSION };
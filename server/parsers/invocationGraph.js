@@ -0,0 +1,179 @@
+// Cross-type invocation graph: which flows and Apex classes run which.
+// Flows name the subflows, flows (process flow actions) and Apex actions they
+// call; Apex names the flows it starts through Flow.Interview. Class-to-class
+// references come from apex_dependencies. Names are resolved to the scan's
+// inventory items case-insensitively.
+
+const { NAMESPACE_PREFIX } = require('./shared');
+
+const APEX_TYPES = ['Apex Class', 'Apex Trigger', 'Platform Event Trigger', 'Change Event Trigger'];
+
+// How each edge kind reads in a path, e.g. "subflow 'B'"
+const EDGE_KIND_LABELS = {
+  subflow: 'subflow',
+  flow_action: 'flow action',
+  apex_action: 'Apex action',
+  flow_interview: 'Flow.Interview',
+  apex_reference: 'class',
+};
+
+// callsSubflows is set by the flow parser for every flow, whatever its type
+const isFlow = (item) => typeof item.parsed_data?.callsSubflows === 'boolean';
+
+function indexByName(items) {
+  const index = new Map(items.map((i) => [i.api_name.toLowerCase(), i]));
+  // Managed actions and subflows are named "ns__Name"; classes are stored without the prefix
+  return (name) => index.get(name.toLowerCase()) || index.get(name.toLowerCase().replace(NAMESPACE_PREFIX, ''));
+}
+
+/**
+ * Builds the graph over a scan's inventory (and its apex_dependencies rows):
+ *   nodes      — Map of item id → item, for every flow and Apex item
+ *   edges      — [{ from, to, kind }] with kind subflow, flow_action,
+ *                apex_action, flow_interview or apex_reference
+ *   unresolved — [{ from, name, kind }] calls to flows or classes the scan
+ *                doesn't contain (deleted, renamed or in another namespace)
+ */
+function buildInvocationGraph(items, dependencies = []) {
+  const flows = items.filter(isFlow);
+  const apex = items.filter((i) => APEX_TYPES.includes(i.automation_type));
+  const findFlow = indexByName(flows);
+  const findClass = indexByName(apex.filter((i) => i.automation_type === 'Apex Class'));
+
+  const nodes = new Map([...flows, ...apex].map((i) => [i.id, i]));
+  const edges = [];
+  const unresolved = [];
+  const seen = new Set();
+  const link = (from, names, find, kind) => {
+    for (const name of names || []) {
+      const target = find(name);
+      if (!target) {
+        unresolved.push({ from: from.id, name, kind });
+        continue;
+      }
+      const key = `${from.id}|${target.id}|${kind}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      edges.push({ from: from.id, to: target.id, kind });
+    }
+  };
+
+  for (const flow of flows) {
+    link(flow, flow.parsed_data.subflowNames, findFlow, 'subflow');
+    link(flow, flow.parsed_data.invokedFlows, findFlow, 'flow_action');
+    link(flow, flow.parsed_data.invokedApexClasses, findClass, 'apex_action');
+  }
+  for (const item of apex) link(item, item.parsed_data?.invokedFlows, findFlow, 'flow_interview');
+  for (const dep of dependencies) {
+    if (nodes.has(dep.from_item_id) && nodes.has(dep.to_item_id)) {
+      edges.push({ from: dep.from_item_id, to: dep.to_item_id, kind: 'apex_reference' });
+    }
+  }
+
+  return { nodes, edges, unresolved };
+}
+
+// Tarjan's strongly connected components, iteratively to survive deep graphs
+function stronglyConnected(ids, next) {
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  for (const root of ids) {
+    if (index.has(root)) continue;
+    const work = [[root, 0]];
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const [id, i] = frame;
+      if (i === 0) {
+        index.set(id, counter);
+        low.set(id, counter);
+        counter++;
+        stack.push(id);
+        onStack.add(id);
+      }
+      const targets = next.get(id) || [];
+      if (i < targets.length) {
+        frame[1]++;
+        const to = targets[i];
+        if (!index.has(to)) work.push([to, 0]);
+        else if (onStack.has(to)) low.set(id, Math.min(low.get(id), index.get(to)));
+        continue;
+      }
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1][0];
+        low.set(parent, Math.min(low.get(parent), low.get(id)));
+      }
+      if (low.get(id) === index.get(id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== id);
+        components.push(component);
+      }
+    }
+  }
+  return components;
+}
+
+/**
+ * Invocation cycles that involve at least one flow — class-only cycles are
+ * ordinary mutual references, not recursion. Returns one entry per cycle:
+ * [{ start, path: [{ id, kind }] }] where path leads from the start flow back
+ * to it, each step with the kind of edge that reached it.
+ */
+function findInvocationCycles(graph) {
+  const next = new Map();
+  for (const edge of graph.edges) {
+    if (!next.has(edge.from)) next.set(edge.from, []);
+    next.get(edge.from).push(edge.to);
+  }
+
+  const cycles = [];
+  for (const component of stronglyConnected([...graph.nodes.keys()], next)) {
+    const members = new Set(component);
+    const componentFlows = component.map((id) => graph.nodes.get(id)).filter(isFlow)
+      .sort((a, b) => a.api_name.localeCompare(b.api_name));
+    if (componentFlows.length === 0) continue;
+    const start = componentFlows[0].id;
+    const selfLoop = graph.edges.find((e) => e.from === start && e.to === start);
+    if (component.length === 1 && !selfLoop) continue;
+
+    // Shortest way back to the start flow within the component
+    const cameFrom = new Map();
+    const queue = [start];
+    while (queue.length > 0 && !cameFrom.has(start)) {
+      const id = queue.shift();
+      for (const edge of graph.edges) {
+        if (edge.from !== id || !members.has(edge.to) || cameFrom.has(edge.to)) continue;
+        cameFrom.set(edge.to, edge);
+        queue.push(edge.to);
+      }
+    }
+    const path = [];
+    for (let id = start; path.length === 0 || id !== start;) {
+      const edge = cameFrom.get(id);
+      path.unshift({ id, kind: edge.kind });
+      id = edge.from;
+    }
+    cycles.push({ start, path });
+  }
+  return cycles;
+}
+
+/**
+ * "'A' → subflow 'B' → Apex action 'X' → Flow.Interview 'A'"
+ */
+function formatInvocationPath(graph, cycle) {
+  const name = (id) => `'${graph.nodes.get(id).api_name}'`;
+  return [name(cycle.start), ...cycle.path.map((step) => `${EDGE_KIND_LABELS[step.kind]} ${name(step.id)}`)].join(' → ');
+}
+
+module.exports = { buildInvocationGraph, findInvocationCycles, formatInvocationPath, isFlow };
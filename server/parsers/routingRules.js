@@ -0,0 +1,86 @@
+// Parsers for the Lead/Case routing rule families: Assignment, Auto-Response and
+// Escalation rules. All three share the same shape — an active flag plus an
+// ordered list of ruleEntry elements, each with its own criteria.
+
+const { createLineage, addCriteriaReads } = require('./fieldLineage');
+const { normalizeToArray, hasNamespacePrefix } = require('./shared');
+
+function summarizeEntry(entry) {
+  const criteriaItems = normalizeToArray(entry.criteriaItems);
+  let criteriaType = 'none';
+  if (entry.formula) criteriaType = 'formula';
+  else if (criteriaItems.length > 0) criteriaType = 'criteriaItems';
+
+  return {
+    criteriaType,
+    criteriaFormula: entry.formula || null,
+    criteriaItems: criteriaItems.map((c) => ({
+      field: c.field || null,
+      operator: c.operator || null,
+      value: c.value || null,
+    })),
+    booleanFilter: entry.booleanFilter || null,
+  };
+}
+
+function parseRoutingRule(raw, automationType, describeEntry) {
+  // fullName format: "ObjectName.RuleName" (Lead or Case)
+  const dotIndex = raw.fullName ? raw.fullName.indexOf('.') : -1;
+  const objectName = dotIndex >= 0 ? raw.fullName.slice(0, dotIndex) : null;
+
+  const entries = normalizeToArray(raw.ruleEntry).map((entry) => ({
+    ...summarizeEntry(entry),
+    ...describeEntry(entry),
+  }));
+
+  const lineage = createLineage();
+  normalizeToArray(raw.ruleEntry).forEach((entry, i) => {
+    addCriteriaReads(lineage, objectName, normalizeToArray(entry.criteriaItems), entry.formula, `rule entry ${i + 1} criteria`);
+  });
+
+  const isManagedPackage =
+    dotIndex >= 0 && hasNamespacePrefix(raw.fullName.slice(dotIndex + 1));
+
+  return {
+    automation_type: automationType,
+    object_name: objectName,
+    trigger_events: null,
+    is_active: raw.active === 'true' || raw.active === true,
+    // These rule types have no description field in the Metadata API
+    has_description: false,
+    is_managed_package: isManagedPackage,
+    parsed_data: {
+      apiVersion: null,
+      active: raw.active,
+      entryCount: entries.length,
+      entries,
+      fieldLineage: lineage.result(),
+    },
+  };
+}
+
+function parseAssignmentRule(raw) {
+  return parseRoutingRule(raw, 'Assignment Rule', (entry) => ({
+    assignedTo: entry.assignedTo || null,
+    assignedToType: entry.assignedToType || null,
+    notifyTemplate: entry.template || null,
+  }));
+}
+
+function parseAutoResponseRule(raw) {
+  return parseRoutingRule(raw, 'Auto-Response Rule', (entry) => ({
+    senderEmail: entry.senderEmail || null,
+    replyToEmail: entry.replyToEmail || null,
+    template: entry.template || null,
+  }));
+}
+
+function parseEscalationRule(raw) {
+  return parseRoutingRule(raw, 'Escalation Rule', (entry) => ({
+    businessHoursSource: entry.businessHoursSource || null,
+    escalationStartTime: entry.escalationStartTime || null,
+    escalationActionCount: normalizeToArray(entry.escalationAction).length,
+  }));
+}
+
+module.exports = { parseAssignmentRule, parseAutoResponseRule, parseEscalationRule };
@@ -0,0 +1,18 @@
+// Helpers shared by the metadata parsers and the archive importer.
+
+// metadata.read() and the XML parser return a lone child element as an object
+// and repeated ones as an array
+function normalizeToArray(val) {
+  if (!val) return [];
+  return Array.isArray(val) ? val : [val];
+}
+
+// Managed-package components carry their namespace in the API name: "ns__Name"
+// (the namespace is the first capture)
+const NAMESPACE_PREFIX = /^([a-zA-Z0-9]+)__/;
+
+function hasNamespacePrefix(name) {
+  return NAMESPACE_PREFIX.test(name || '');
+}
+
+module.exports = { normalizeToArray, NAMESPACE_PREFIX, hasNamespacePrefix };
@@ -0,0 +1,39 @@
+const { createLineage, addCriteriaReads } = require('./fieldLineage');
+const { hasNamespacePrefix } = require('./shared');
+
+function parseValidationRule(raw) {
+  // fullName format: "ObjectName.RuleName"
+  const dotIndex = raw.fullName ? raw.fullName.indexOf('.') : -1;
+  const objectName = dotIndex >= 0 ? raw.fullName.slice(0, dotIndex) : null;
+
+  const formula = raw.errorConditionFormula || '';
+
+  const lineage = createLineage();
+  addCriteriaReads(lineage, objectName, [], formula, 'error condition');
+
+  // Detect managed package: namespace prefix on the rule name itself
+  const isManagedPackage =
+    dotIndex >= 0 && hasNamespacePrefix(raw.fullName.slice(dotIndex + 1));
+
+  return {
+    automation_type: 'Validation Rule',
+    object_name: objectName,
+    trigger_events: null,
+    is_active: raw.active === 'true' || raw.active === true,
+    has_description: !!(raw.description && raw.description.trim()),
+    is_managed_package: isManagedPackage,
+    parsed_data: {
+      apiVersion: null,
+      active: raw.active,
+      errorConditionFormula: formula || null,
+      errorDisplayField: raw.errorDisplayField || null,
+      errorMessage: raw.errorMessage || null,
+      // PRIORVALUE/ISCHANGED rules only evaluate meaningfully on update
+      checksPriorValue: /\b(?:PRIORVALUE|ISCHANGED)\s*\(/i.test(formula),
+      checksIsNew: /\bISNEW\s*\(/i.test(formula),
+      fieldLineage: lineage.result(),
+    },
+  };
+}
+
+module.exports = { parseValidationRule };
@@ -1,3 +1,6 @@
+const { createLineage, addCriteriaReads } = require('./fieldLineage');
+const { normalizeToArray, hasNamespacePrefix } = require('./shared');
+
 const TRIGGER_TYPE_MAP = {
   onCreateOnly: 'on create',
   onAllChanges: 'on every save',
@@ -5,11 +8,6 @@ const TRIGGER_TYPE_MAP = {
   onLogicalEvaluationTrue: 'when criteria met',
 };
 
-function normalizeToArray(val) {
-  if (!val) return [];
-  return Array.isArray(val) ? val : [val];
-}
-
 function parseWorkflowRule(raw) {
   // fullName format: "ObjectName.RuleName"
   const dotIndex = raw.fullName ? raw.fullName.indexOf('.') : -1;
@@ -36,9 +34,15 @@ function parseWorkflowRule(raw) {
   if (raw.formula) criteriaType = 'formula';
   else if (criteriaItems.length > 0) criteriaType = 'criteriaItems';
 
-  // Detect managed package: namespace prefix on either object or rule name
-  const isManagedPackage = /^[a-zA-Z0-9]+__/.test(objectName || '') ||
-    (dotIndex >= 0 && /^[a-zA-Z0-9]+__/.test(raw.fullName.slice(dotIndex + 1)));
+  const lineage = createLineage();
+  addCriteriaReads(lineage, objectName, criteriaItems, raw.formula, 'entry criteria');
+  for (const fu of fieldUpdates) lineage.write(objectName, fu.field, `field update ${fu.name || ''}`.trim());
+
+  // Detect managed package: namespace prefix on the rule name. The object name
+  // says nothing about ownership (Invoice__c, or a packaged object the org
+  // added its own rule to). Confirmed against installed packages after the scan.
+  const isManagedPackage =
+    dotIndex >= 0 && hasNamespacePrefix(raw.fullName.slice(dotIndex + 1));
 
   return {
     automation_type: 'Workflow Rule',
@@ -48,6 +52,7 @@ function parseWorkflowRule(raw) {
     has_description: !!(raw.description && raw.description.trim()),
     is_managed_package: isManagedPackage,
     parsed_data: {
+      apiVersion: null,
       triggerType: raw.triggerType || null,
       active: raw.active,
       actionTypes: [...new Set(actionTypes)],
@@ -65,6 +70,7 @@ function parseWorkflowRule(raw) {
         value: c.value || null,
       })),
       booleanFilter: raw.booleanFilter || null,
+      fieldLineage: lineage.result(),
     },
   };
 }
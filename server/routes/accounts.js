@@ -32,7 +32,7 @@ router.get('/:id', async (req, res) => {
   if (accountResult.rows.length === 0) return res.status(404).json({ error: 'Account not found' });
 
   const orgsResult = await pool.query(
-    'SELECT id, name, instance_url, created_at FROM orgs WHERE account_id = $1 ORDER BY name',
+    'SELECT id, name, instance_url, env, env_label, source, created_at FROM orgs WHERE account_id = $1 ORDER BY name',
     [req.params.id]
   );
   res.json({ account: accountResult.rows[0], orgs: orgsResult.rows });
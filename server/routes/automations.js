@@ -6,6 +6,14 @@ const { summarizeApexCode } = require('../services/claudeService');
 
 const router = express.Router();
 
+const RULE_TYPES = [
+  'Validation Rule',
+  'Approval Process',
+  'Assignment Rule',
+  'Auto-Response Rule',
+  'Escalation Rule',
+];
+
 // POST /api/automations/:id/explain
 // Returns llm_summary from cache or generates on-demand.
 router.post('/:id/explain', async (req, res) => {
@@ -34,7 +42,7 @@ router.post('/:id/explain', async (req, res) => {
   let codeType, codeBody;
   const rawJson = item.raw_json || {};
 
-  if (item.automation_type === 'Apex Trigger') {
+  if (['Apex Trigger', 'Platform Event Trigger', 'Change Event Trigger'].includes(item.automation_type)) {
     codeType = 'trigger';
     codeBody = rawJson.Body || JSON.stringify(item.parsed_data);
   } else if (item.automation_type === 'Apex Class') {
@@ -43,6 +51,10 @@ router.post('/:id/explain', async (req, res) => {
   } else if (item.automation_type === 'Workflow Rule') {
     codeType = 'workflow_rule';
     codeBody = JSON.stringify(item.parsed_data);
+  } else if (RULE_TYPES.includes(item.automation_type)) {
+    // Validation, approval and routing rules — the type name doubles as the prompt label
+    codeType = item.automation_type;
+    codeBody = JSON.stringify(item.parsed_data);
   } else {
     // Record-Triggered Flow, Process Builder, and other Flow types
     codeType = 'flow';
@@ -1,8 +1,10 @@
 const express = require('express');
 const pool = require('../db');
 const { runMetadataScan } = require('../salesforce/scanner');
-const { parseInventory } = require('../parsers/index');
-const { runPostScanLlm } = require('../services/llmBackground');
+const { loadArchive, extractEntries, runArchiveImport } = require('../salesforce/archiveImporter');
+const { createScan, executeScan } = require('../services/scanService');
+const { PARSER_VERSION } = require('../parsers/index');
+const { PROFILE_THRESHOLD_DEFAULTS } = require('../rules/checks');
 const progress = require('../services/progressStore');
 
 const router = express.Router();
@@ -10,7 +12,7 @@ const router = express.Router();
 // List all connected orgs (never expose tokens)
 router.get('/', async (req, res) => {
   const result = await pool.query(
-    'SELECT id, name, instance_url, env, env_label, created_at FROM orgs ORDER BY created_at DESC'
+    'SELECT id, name, instance_url, env, env_label, source, created_at FROM orgs ORDER BY created_at DESC'
   );
   res.json(result.rows);
 });
@@ -29,80 +31,146 @@ router.patch('/:orgId', async (req, res) => {
   values.push(orgId);
   const result = await pool.query(
     `UPDATE orgs SET ${fields.join(', ')} WHERE id = $${values.length}
-     RETURNING id, name, instance_url, env, env_label, created_at`,
+     RETURNING id, name, instance_url, env, env_label, source, created_at`,
     values,
   );
   if (result.rows.length === 0) return res.status(404).json({ error: 'Org not found' });
   res.json(result.rows[0]);
 });
 
-// List all scans for an org (with item count)
+// List all scans for an org (with item count and how many inventory rows an
+// older parser version produced)
 router.get('/:orgId/scans', async (req, res) => {
   const result = await pool.query(
     `SELECT s.id, s.status, s.started_at, s.completed_at, s.error_message,
-            COUNT(m.id)::int AS item_count
+            s.fetched_count, s.reused_count, s.base_scan_id, s.api_call_count,
+            COUNT(m.id)::int AS item_count,
+            COUNT(ai.id) FILTER (WHERE COALESCE(ai.parser_version, 0) < $2)::int AS outdated_item_count
      FROM scans s
      LEFT JOIN metadata_items m ON m.scan_id = s.id
+     LEFT JOIN automation_inventory ai ON ai.metadata_item_id = m.id
      WHERE s.org_id = $1
      GROUP BY s.id
      ORDER BY s.started_at DESC`,
-    [req.params.orgId]
+    [req.params.orgId, PARSER_VERSION]
   );
   res.json(result.rows);
 });
 
-// Trigger a scan for an org — returns immediately, scan runs in background
+/**
+ * Creates a running scan, responds with its id, then runs `retrieve` followed
+ * by inventory parsing in the background. Responds 409 if the org already has
+ * a scan running (manual or scheduled).
+ */
+async function startScan(org, res, retrieve, extra = {}) {
+  const scanId = await createScan(org.id);
+  if (!scanId) {
+    return res.status(409).json({ error: 'A scan is already running for this org' });
+  }
+  const progressId = progress.create();
+
+  // Return immediately so the client can navigate and start polling
+  res.json({ ...extra, id: scanId, status: 'running', progressId });
+
+  setImmediate(async () => {
+    try {
+      await executeScan(org, scanId, retrieve, (label) => progress.step(progressId, label));
+      progress.done(progressId);
+    } catch (err) {
+      progress.fail(progressId, err.message);
+    }
+  });
+}
+
+// Trigger a scan for an org — returns immediately, scan runs in background.
+// Scans are incremental by default; pass { full: true } to re-read everything.
 router.post('/:orgId/scans', async (req, res) => {
   const { orgId } = req.params;
+  const full = req.body?.full === true;
 
   const orgResult = await pool.query('SELECT * FROM orgs WHERE id = $1', [orgId]);
   if (orgResult.rows.length === 0) {
     return res.status(404).json({ error: 'Org not found' });
   }
   const org = orgResult.rows[0];
+  if (org.source === 'file') {
+    return res.status(400).json({ error: 'This org was imported from files — upload a new archive instead' });
+  }
 
-  const scanResult = await pool.query(
-    `INSERT INTO scans (org_id, status, started_at) VALUES ($1, 'running', NOW()) RETURNING id`,
-    [orgId]
-  );
-  const scanId = scanResult.rows[0].id;
-  const progressId = progress.create();
+  await startScan(org, res, (scanId, onStep) => {
+    onStep('Connecting to org');
+    return runMetadataScan(org, scanId, onStep, { full });
+  });
+});
 
-  // Return immediately so the client can navigate and start polling
-  res.json({ id: scanId, status: 'running', progressId });
+// Raw zip upload — the archive is the request body (application/zip)
+const archiveBody = express.raw({ type: () => true, limit: '200mb' });
 
-  setImmediate(async () => {
-    try {
-      progress.step(progressId, 'Connecting to org');
-      await runMetadataScan(org, scanId, (label) => progress.step(progressId, label));
+// The automation metadata entries of the uploaded zip, or null after a 400
+// when the body isn't a zip or holds nothing the importer recognizes
+async function readUploadedArchive(req, res) {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(400).json({ error: 'Upload a .zip archive as the request body' });
+    return null;
+  }
+  let zip;
+  try {
+    zip = await loadArchive(req.body);
+  } catch {
+    res.status(400).json({ error: 'The uploaded file is not a valid zip archive' });
+    return null;
+  }
+  const entries = await extractEntries(zip);
+  if (entries.length === 0) {
+    res.status(400).json({ error: 'The archive contains no supported automation metadata' });
+    return null;
+  }
+  return entries;
+}
+
+// Import an SFDX project or Metadata API retrieve zip as a new file-based org.
+// ?name= names the org; ?accountId= links it to an existing account.
+router.post('/import', archiveBody, async (req, res) => {
+  const name = (req.query.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'name is required' });
+
+  let accountId = null;
+  if (req.query.accountId) {
+    if (!/^\d+$/.test(req.query.accountId)) return res.status(400).json({ error: 'accountId must be a number' });
+    accountId = parseInt(req.query.accountId);
+    const accountResult = await pool.query('SELECT id FROM accounts WHERE id = $1', [accountId]);
+    if (accountResult.rows.length === 0) return res.status(404).json({ error: 'Account not found' });
+  }
 
-      await pool.query(
-        `UPDATE scans SET status = 'completed', completed_at = NOW() WHERE id = $1`,
-        [scanId]
-      );
+  const entries = await readUploadedArchive(req, res);
+  if (!entries) return;
 
-      try {
-        progress.step(progressId, 'Parsing automation inventory');
-        await parseInventory(scanId, orgId);
-      } catch (parseErr) {
-        console.warn('Inventory parse failed (scan data is safe):', parseErr.message);
-      }
+  const orgResult = await pool.query(
+    `INSERT INTO orgs (name, source, account_id, env_label)
+     VALUES ($1, 'file', $2, 'File Import')
+     RETURNING id, name, instance_url, env, env_label, source, created_at`,
+    [name, accountId]
+  );
+  const org = orgResult.rows[0];
 
-      progress.done(progressId);
+  await startScan(org, res, (scanId, onStep) => runArchiveImport(org, scanId, entries, onStep), { org });
+});
 
-      // LLM summarization + conflict detection runs in its own background pass
-      runPostScanLlm(scanId, orgId).catch((err) =>
-        console.error('[LLM] Post-scan background failed:', err.message),
-      );
-    } catch (err) {
-      console.error('Scan failed:', err);
-      await pool.query(
-        `UPDATE scans SET status = 'failed', completed_at = NOW(), error_message = $1 WHERE id = $2`,
-        [err.message, scanId]
-      );
-      progress.fail(progressId, err.message);
-    }
-  });
+// Import a new archive snapshot into an existing file-based org
+router.post('/:orgId/imports', archiveBody, async (req, res) => {
+  const orgResult = await pool.query('SELECT * FROM orgs WHERE id = $1', [req.params.orgId]);
+  if (orgResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Org not found' });
+  }
+  const org = orgResult.rows[0];
+  if (org.source !== 'file') {
+    return res.status(400).json({ error: 'Archives can only be imported into file-based orgs' });
+  }
+
+  const entries = await readUploadedArchive(req, res);
+  if (!entries) return;
+
+  await startScan(org, res, (scanId, onStep) => runArchiveImport(org, scanId, entries, onStep));
 });
 
 const DEFAULT_PROFILE = {
@@ -110,6 +178,7 @@ const DEFAULT_PROFILE = {
   active_rule_layers: ['platform', 'quality', 'risk', 'housekeeping'],
   suppressed_rule_ids: [],
   naming_convention_pattern: null,
+  ...PROFILE_THRESHOLD_DEFAULTS,
 };
 
 // Get customer profile for an org (returns default shape if none saved yet)
@@ -128,18 +197,27 @@ router.get('/:orgId/profile', async (req, res) => {
 router.put('/:orgId/profile', async (req, res) => {
   const { orgId } = req.params;
   const { automation_preference, active_rule_layers, suppressed_rule_ids, naming_convention_pattern } = req.body;
+  // Thresholds left out of the request keep their defaults
+  const thresholds = Object.keys(PROFILE_THRESHOLD_DEFAULTS).map((key) => req.body[key] ?? PROFILE_THRESHOLD_DEFAULTS[key]);
   const result = await pool.query(
     `INSERT INTO customer_profiles
-       (org_id, automation_preference, active_rule_layers, suppressed_rule_ids, naming_convention_pattern)
-     VALUES ($1, $2, $3, $4, $5)
+       (org_id, automation_preference, active_rule_layers, suppressed_rule_ids, naming_convention_pattern,
+        method_complexity_threshold, method_length_threshold, class_length_threshold, nesting_depth_threshold,
+        api_version_releases_behind)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
      ON CONFLICT (org_id) DO UPDATE SET
-       automation_preference     = EXCLUDED.automation_preference,
-       active_rule_layers        = EXCLUDED.active_rule_layers,
-       suppressed_rule_ids       = EXCLUDED.suppressed_rule_ids,
-       naming_convention_pattern = EXCLUDED.naming_convention_pattern,
-       updated_at                = NOW()
+       automation_preference       = EXCLUDED.automation_preference,
+       active_rule_layers          = EXCLUDED.active_rule_layers,
+       suppressed_rule_ids         = EXCLUDED.suppressed_rule_ids,
+       naming_convention_pattern   = EXCLUDED.naming_convention_pattern,
+       method_complexity_threshold = EXCLUDED.method_complexity_threshold,
+       method_length_threshold     = EXCLUDED.method_length_threshold,
+       class_length_threshold      = EXCLUDED.class_length_threshold,
+       nesting_depth_threshold     = EXCLUDED.nesting_depth_threshold,
+       api_version_releases_behind = EXCLUDED.api_version_releases_behind,
+       updated_at                  = NOW()
      RETURNING *`,
-    [orgId, automation_preference, active_rule_layers, suppressed_rule_ids, naming_convention_pattern]
+    [orgId, automation_preference, active_rule_layers, suppressed_rule_ids, naming_convention_pattern, ...thresholds]
   );
   res.json(result.rows[0]);
 });
@@ -1,5 +1,6 @@
 const express = require('express');
 const pool = require('../db');
+const { validateConditions } = require('../rules/evaluator');
 
 const router = express.Router();
 
@@ -17,6 +18,8 @@ router.post('/', async (req, res) => {
   if (!name?.trim()) return res.status(400).json({ error: 'name is required' });
   if (!['error', 'warning', 'info'].includes(severity)) return res.status(400).json({ error: 'Invalid severity' });
   if (!['per_item', 'cross_item'].includes(check_type)) return res.status(400).json({ error: 'Invalid check_type' });
+  const conditionsError = conditions ? validateConditions(conditions) : null;
+  if (conditionsError) return res.status(400).json({ error: conditionsError });
 
   const maxResult = await pool.query('SELECT MAX(sort_order) AS max FROM rules');
   const nextSort = (maxResult.rows[0].max || 0) + 10;
@@ -63,6 +66,9 @@ router.put('/:id', async (req, res) => {
   }
 
   // Custom rules: all fields editable
+  const conditionsError = conditions ? validateConditions(conditions) : null;
+  if (conditionsError) return res.status(400).json({ error: conditionsError });
+
   const result = await pool.query(
     `UPDATE rules SET layer=$1, name=$2, description=$3, severity=$4, check_type=$5,
        applies_to=$6, recommendation_template=$7, conditions=$8, is_active=$9
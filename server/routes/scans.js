@@ -1,9 +1,11 @@
 const express = require('express');
 const pool = require('../db');
-const { runAnalysis } = require('../rules/evaluator');
-const { loadActiveRules, loadAllRulesMap } = require('../rules/loader');
-const { generateRecommendations } = require('../rules/recommendationEngine');
-const { runPostAnalysisLlm, runConflictDetection } = require('../services/llmBackground');
+const { loadAllRulesMap } = require('../rules/loader');
+const { createAnalysisRun, runScanAnalysis, markRunCancelled } = require('../services/analysisService');
+const { markScanCancelled, reparseScan, isScanProcessing } = require('../services/scanService');
+const { loadApexDependencies, dependencyClosure } = require('../parsers/apexDependencies');
+const { buildInvocationGraph, findInvocationCycles } = require('../parsers/invocationGraph');
+const cancellation = require('../services/cancellation');
 const progress = require('../services/progressStore');
 
 const router = express.Router();
@@ -28,7 +30,9 @@ router.get('/:id/inventory', async (req, res) => {
   const rows = await pool.query(
     `SELECT id, automation_type, api_name, label, object_name,
             trigger_events, is_active, has_description, is_managed_package,
-            parsed_data, llm_summary
+            parsed_data, llm_summary,
+            created_by_name, created_date, last_modified_by_name, last_modified_date,
+            package_namespace, package_name, package_version, parser_version
      FROM automation_inventory
      WHERE metadata_item_id IN (
        SELECT id FROM metadata_items WHERE scan_id = $1
@@ -39,6 +43,108 @@ router.get('/:id/inventory', async (req, res) => {
   res.json(rows.rows);
 });
 
+// Every automation that reads or writes a field (parsed_data.fieldLineage).
+// Matches object and field case-insensitively; relationship paths such as
+// Account.Name on Contact are addressed as /fields/Contact/Account.Name.
+router.get('/:id/fields/:object/:field', async (req, res) => {
+  const { id, object, field } = req.params;
+  const rows = await pool.query(
+    `SELECT ai.id, ai.automation_type, ai.api_name, ai.object_name, ai.is_active, ai.is_managed_package,
+            access.kind, entry->>'via' AS via
+     FROM automation_inventory ai
+     JOIN metadata_items mi ON mi.id = ai.metadata_item_id
+     CROSS JOIN LATERAL (VALUES ('reads'), ('writes')) AS access(kind)
+     CROSS JOIN LATERAL jsonb_array_elements(COALESCE(ai.parsed_data->'fieldLineage'->access.kind, '[]'::jsonb)) AS entry
+     WHERE mi.scan_id = $1
+       AND lower(entry->>'object') = lower($2)
+       AND lower(entry->>'field') = lower($3)
+     ORDER BY ai.automation_type, ai.api_name`,
+    [id, object, field],
+  );
+
+  // One entry per automation and access kind, with every place it was seen
+  const byKind = { reads: new Map(), writes: new Map() };
+  for (const row of rows.rows) {
+    const entries = byKind[row.kind];
+    if (!entries.has(row.id)) {
+      const { kind, via, ...item } = row;
+      entries.set(row.id, { ...item, via: [] });
+    }
+    entries.get(row.id).via.push(row.via);
+  }
+  res.json({
+    object,
+    field,
+    readers: [...byKind.reads.values()],
+    writers: [...byKind.writes.values()],
+  });
+});
+
+// Transitive closure of the Apex classes a trigger (or class) depends on —
+// the full code path it can run, breadth first from the item itself
+router.get('/:id/apex/:itemId/dependencies', async (req, res) => {
+  const { id, itemId } = req.params;
+  const items = await pool.query(
+    `SELECT ai.id, ai.automation_type, ai.api_name, ai.object_name, ai.is_active,
+            ai.parsed_data->'coveragePercent' AS coverage_percent
+     FROM automation_inventory ai
+     JOIN metadata_items mi ON mi.id = ai.metadata_item_id
+     WHERE mi.scan_id = $1 AND ai.automation_type = ANY($2)`,
+    [id, ['Apex Class', 'Apex Trigger', 'Platform Event Trigger', 'Change Event Trigger']],
+  );
+  const byId = new Map(items.rows.map((i) => [i.id, i]));
+  const root = byId.get(Number(itemId));
+  if (!root) return res.status(404).json({ error: 'Apex item not found in scan' });
+
+  const edges = await loadApexDependencies(id);
+  const closure = dependencyClosure(edges, root.id);
+  const reached = new Set([root.id, ...closure.map((c) => c.id)]);
+  res.json({
+    root,
+    classes: closure.map((c) => ({
+      ...byId.get(c.id),
+      depth: c.depth,
+      referenced_by: byId.get(c.from).api_name,
+      reference_kinds: c.referenceKinds,
+    })),
+    edges: edges
+      .filter((e) => reached.has(e.from_item_id))
+      .map((e) => ({ from: e.from_item_id, to: e.to_item_id, reference_kinds: e.reference_kinds })),
+  });
+});
+
+// Which flows and Apex invoke which across types (subflows, flow and Apex
+// actions, Flow.Interview, class references), with the cycles among them
+router.get('/:id/invocations', async (req, res) => {
+  const { id } = req.params;
+  const items = await pool.query(
+    `SELECT ai.id, ai.automation_type, ai.api_name, ai.object_name, ai.is_active, ai.is_managed_package,
+            ai.parsed_data
+     FROM automation_inventory ai
+     JOIN metadata_items mi ON mi.id = ai.metadata_item_id
+     WHERE mi.scan_id = $1`,
+    [id],
+  );
+  const graph = buildInvocationGraph(items.rows, await loadApexDependencies(id));
+  const cycles = findInvocationCycles(graph);
+  res.json({
+    nodes: [...graph.nodes.values()].map(({ parsed_data, ...item }) => item),
+    edges: graph.edges,
+    unresolved: graph.unresolved,
+    cycles: cycles.map((c) => [c.start, ...c.path.map((step) => step.id)]),
+  });
+});
+
+// Object schemas (fields, record types) captured for the scan's inventory objects
+router.get('/:id/schemas', async (req, res) => {
+  const rows = await pool.query(
+    `SELECT object_name, found, label, is_custom, fields, record_types
+     FROM object_schemas WHERE scan_id = $1 ORDER BY object_name`,
+    [req.params.id],
+  );
+  res.json(rows.rows);
+});
+
 // Run rule analysis against a scan's inventory — returns immediately, runs in background
 router.post('/:id/analysis', async (req, res) => {
   const { id } = req.params;
@@ -48,89 +154,99 @@ router.post('/:id/analysis', async (req, res) => {
   const scan = scanResult.rows[0];
 
   // Create analysis run record up front so the client has a run_id immediately
-  const runResult = await pool.query(
-    'INSERT INTO analysis_runs (scan_id, org_id, finding_count) VALUES ($1, $2, 0) RETURNING id',
-    [id, scan.org_id],
-  );
-  const runId = runResult.rows[0].id;
+  const runId = await createAnalysisRun(scan);
   const progressId = progress.create();
 
   res.json({ run_id: runId, progressId });
 
   setImmediate(async () => {
     try {
-      progress.step(progressId, 'Loading automation inventory');
-      const inventoryResult = await pool.query(
-        `SELECT id, automation_type, api_name, label, object_name,
-                trigger_events, is_active, has_description, is_managed_package, parsed_data
-         FROM automation_inventory
-         WHERE metadata_item_id IN (SELECT id FROM metadata_items WHERE scan_id = $1)`,
-        [id],
-      );
-
-      const profileResult = await pool.query(
-        'SELECT * FROM customer_profiles WHERE org_id = $1',
-        [scan.org_id],
-      );
-      const profile = profileResult.rows[0] || {
-        automation_preference: 'flow_first',
-        active_rule_layers: ['platform', 'quality', 'risk', 'housekeeping'],
-        suppressed_rule_ids: [],
-        naming_convention_pattern: null,
-      };
-
-      progress.step(progressId, 'Running rule evaluation');
-      const rules = await loadActiveRules();
-      const findings = runAnalysis(inventoryResult.rows, rules, profile);
-
-      for (const f of findings) {
-        await pool.query(
-          `INSERT INTO findings (scan_id, org_id, analysis_run_id, rule_id, severity, automation_inventory_id, api_name, object_name, message)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-          [id, scan.org_id, runId, f.rule_id, f.severity, f.automation_inventory_id, f.api_name, f.object_name, f.message],
-        );
-      }
-
-      // Delete any prior recommendations for this run (idempotent re-run)
-      await pool.query(
-        'DELETE FROM recommendation_items WHERE recommendation_id IN (SELECT id FROM recommendations WHERE analysis_run_id = $1)',
-        [runId],
-      );
-      await pool.query('DELETE FROM recommendations WHERE analysis_run_id = $1', [runId]);
-
-      progress.step(progressId, 'Generating recommendations');
-      const recommendationCount = await generateRecommendations(
-        id, scan.org_id, runId,
-        inventoryResult.rows, findings, profile, pool,
-      );
-
-      await runConflictDetection(
-        id, scan.org_id,
-        (label) => progress.step(progressId, label),
-        runId,
+      const { findingCount, recommendationCount } = await runScanAnalysis(
+        scan, runId, (label) => progress.step(progressId, label),
       );
+      progress.step(progressId, `Complete — ${findingCount} finding${findingCount !== 1 ? 's' : ''}, ${recommendationCount} recommendation${recommendationCount !== 1 ? 's' : ''}`);
+      progress.done(progressId);
+    } catch (err) {
+      console.error('Analysis failed:', err);
+      progress.fail(progressId, err.message);
+    }
+  });
+});
 
-      await pool.query(
-        'UPDATE analysis_runs SET finding_count = $1 WHERE id = $2',
-        [findings.length, runId],
-      );
+// Rebuild a completed scan's inventory from its stored raw metadata with the
+// current parsers — returns immediately, runs in background. Existing analysis
+// runs keep their findings; run a new analysis to apply the updated inventory.
+router.post('/:id/reparse', async (req, res) => {
+  const scanResult = await pool.query('SELECT * FROM scans WHERE id = $1', [req.params.id]);
+  if (scanResult.rows.length === 0) return res.status(404).json({ error: 'Scan not found' });
+  const scan = scanResult.rows[0];
+  if (scan.status !== 'completed') {
+    return res.status(409).json({ error: `Scan is ${scan.status}, not completed` });
+  }
+  // Completed scans are still parsed and enriched for a while after the status flips
+  if (isScanProcessing(scan.id)) {
+    return res.status(409).json({ error: 'Scan is still being processed' });
+  }
 
-      progress.step(progressId, 'Enhancing recommendation narratives');
-      await runPostAnalysisLlm(runId, scan.org_id);
+  const progressId = progress.create();
+  res.json({ progressId });
 
-      progress.step(progressId, `Complete — ${findings.length} finding${findings.length !== 1 ? 's' : ''}, ${recommendationCount} recommendation${recommendationCount !== 1 ? 's' : ''}`);
+  setImmediate(async () => {
+    try {
+      const counts = await reparseScan(scan, (label) => progress.step(progressId, label));
+      if (!counts) throw new Error('Scan is already being processed');
+      const { updatedCount, failedCount } = counts;
+      progress.step(progressId, `Complete — ${updatedCount} item${updatedCount !== 1 ? 's' : ''} re-parsed${failedCount > 0 ? `, ${failedCount} failed` : ''}`);
       progress.done(progressId);
     } catch (err) {
-      console.error('Analysis failed:', err);
+      console.error('Re-parse failed:', err);
       progress.fail(progressId, err.message);
     }
   });
 });
 
+// Cancel a running scan — takes effect at the next batch boundary.
+// Partial metadata is deleted and the scan is marked 'cancelled'.
+router.post('/:id/cancel', async (req, res) => {
+  const { id } = req.params;
+  const scan = await pool.query('SELECT status FROM scans WHERE id = $1', [id]);
+  if (scan.rows.length === 0) return res.status(404).json({ error: 'Scan not found' });
+  if (scan.rows[0].status !== 'running') {
+    return res.status(409).json({ error: `Scan is ${scan.rows[0].status}, not running` });
+  }
+
+  if (cancellation.cancel(`scan:${id}`)) {
+    return res.status(202).json({ status: 'cancelling' });
+  }
+  // Nothing running in this process (e.g. orphaned by a restart) — cancel it directly
+  await markScanCancelled(id);
+  res.json({ status: 'cancelled' });
+});
+
+// Cancel a running analysis run — takes effect at the next phase boundary.
+// Partial findings and recommendations are deleted and the run is marked 'cancelled'.
+router.post('/:id/analysis-runs/:runId/cancel', async (req, res) => {
+  const { id, runId } = req.params;
+  const run = await pool.query(
+    'SELECT status FROM analysis_runs WHERE id = $1 AND scan_id = $2',
+    [runId, id],
+  );
+  if (run.rows.length === 0) return res.status(404).json({ error: 'Analysis run not found' });
+  if (run.rows[0].status !== 'running') {
+    return res.status(409).json({ error: `Analysis run is ${run.rows[0].status}, not running` });
+  }
+
+  if (cancellation.cancel(`analysis:${runId}`)) {
+    return res.status(202).json({ status: 'cancelling' });
+  }
+  await markRunCancelled(runId);
+  res.json({ status: 'cancelled' });
+});
+
 // List all analysis runs for a scan
 router.get('/:id/analysis-runs', async (req, res) => {
   const rows = await pool.query(
-    'SELECT id, scan_id, created_at, finding_count FROM analysis_runs WHERE scan_id = $1 ORDER BY created_at DESC',
+    'SELECT id, scan_id, created_at, finding_count, status FROM analysis_runs WHERE scan_id = $1 ORDER BY created_at DESC',
     [req.params.id]
   );
   res.json(rows.rows);
@@ -182,7 +298,9 @@ router.get('/:id/recommendations', async (req, res) => {
          json_agg(
            json_build_object(
              'id', ai.id, 'api_name', ai.api_name, 'automation_type', ai.automation_type,
-             'object_name', ai.object_name, 'is_active', ai.is_active
+             'object_name', ai.object_name, 'is_active', ai.is_active,
+             'last_modified_by_name', ai.last_modified_by_name,
+             'last_modified_date', ai.last_modified_date
            ) ORDER BY ai.api_name
          ) FILTER (WHERE ai.id IS NOT NULL),
          '[]'
@@ -206,7 +324,7 @@ router.delete('/:id', async (req, res) => {
   if (scan.rows.length === 0) {
     return res.status(404).json({ error: 'Scan not found' });
   }
-  // Cascade order: conflicts → recommendation_items → recommendations → findings → analysis_runs → inventory → metadata_items → scan
+  // Cascade order: conflicts → recommendation_items → recommendations → findings → analysis_runs → schemas → dependencies → inventory → metadata_items → scan
   await pool.query('DELETE FROM automation_conflicts WHERE scan_id = $1', [id]);
   await pool.query(
     'DELETE FROM recommendation_items WHERE recommendation_id IN (SELECT id FROM recommendations WHERE scan_id = $1)',
@@ -215,6 +333,8 @@ router.delete('/:id', async (req, res) => {
   await pool.query('DELETE FROM recommendations WHERE scan_id = $1', [id]);
   await pool.query('DELETE FROM findings WHERE scan_id = $1', [id]);
   await pool.query('DELETE FROM analysis_runs WHERE scan_id = $1', [id]);
+  await pool.query('DELETE FROM object_schemas WHERE scan_id = $1', [id]);
+  await pool.query('DELETE FROM apex_dependencies WHERE scan_id = $1', [id]);
   await pool.query(
     `DELETE FROM automation_inventory
      WHERE metadata_item_id IN (SELECT id FROM metadata_items WHERE scan_id = $1)`,
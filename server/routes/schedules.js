@@ -0,0 +1,108 @@
+const express = require('express');
+const pool = require('../db');
+const { computeNextRun } = require('../services/scheduler');
+
+// Mounted at /api/orgs/:orgId/schedules
+const router = express.Router({ mergeParams: true });
+
+const FREQUENCIES = ['daily', 'weekly'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validates a full schedule (after merging a PATCH body); returns an error message or null
+function validateSchedule(s) {
+  if (!FREQUENCIES.includes(s.frequency)) return `frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  if (!TIME_PATTERN.test(s.time_of_day || '')) return 'time_of_day must be HH:MM (24-hour, UTC)';
+  if (s.frequency === 'weekly' && !(Number.isInteger(s.day_of_week) && s.day_of_week >= 0 && s.day_of_week <= 6)) {
+    return 'day_of_week (0 = Sunday … 6 = Saturday) is required for weekly schedules';
+  }
+  return null;
+}
+
+async function loadOrg(req, res) {
+  const org = await pool.query('SELECT id, source FROM orgs WHERE id = $1', [req.params.orgId]);
+  if (org.rows.length === 0) {
+    res.status(404).json({ error: 'Org not found' });
+    return null;
+  }
+  return org.rows[0];
+}
+
+// List schedules for an org
+router.get('/', async (req, res) => {
+  const rows = await pool.query(
+    'SELECT * FROM scan_schedules WHERE org_id = $1 ORDER BY created_at',
+    [req.params.orgId],
+  );
+  res.json(rows.rows);
+});
+
+// Create a schedule, e.g. { frequency: 'weekly', day_of_week: 0, time_of_day: '02:00' }
+router.post('/', async (req, res) => {
+  const org = await loadOrg(req, res);
+  if (!org) return;
+  if (org.source === 'file') {
+    return res.status(400).json({ error: 'File-based orgs cannot be scanned on a schedule' });
+  }
+
+  const {
+    frequency, day_of_week = null, time_of_day,
+    run_analysis = true, full_scan = false, enabled = true,
+  } = req.body;
+  const schedule = { frequency, day_of_week, time_of_day };
+  const error = validateSchedule(schedule);
+  if (error) return res.status(400).json({ error });
+
+  const result = await pool.query(
+    `INSERT INTO scan_schedules
+       (org_id, frequency, day_of_week, time_of_day, run_analysis, full_scan, enabled, next_run_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      org.id, frequency, frequency === 'weekly' ? day_of_week : null, time_of_day,
+      run_analysis, full_scan, enabled, enabled ? computeNextRun(schedule) : null,
+    ],
+  );
+  res.status(201).json(result.rows[0]);
+});
+
+// Update a schedule; next_run_at is recalculated from the merged settings
+router.patch('/:scheduleId', async (req, res) => {
+  const existing = await pool.query(
+    'SELECT * FROM scan_schedules WHERE id = $1 AND org_id = $2',
+    [req.params.scheduleId, req.params.orgId],
+  );
+  if (existing.rows.length === 0) return res.status(404).json({ error: 'Schedule not found' });
+
+  const allowed = ['frequency', 'day_of_week', 'time_of_day', 'run_analysis', 'full_scan', 'enabled'];
+  const merged = { ...existing.rows[0] };
+  for (const field of allowed) {
+    if (req.body[field] !== undefined) merged[field] = req.body[field];
+  }
+  const error = validateSchedule(merged);
+  if (error) return res.status(400).json({ error });
+
+  const result = await pool.query(
+    `UPDATE scan_schedules
+     SET frequency = $2, day_of_week = $3, time_of_day = $4,
+         run_analysis = $5, full_scan = $6, enabled = $7, next_run_at = $8
+     WHERE id = $1
+     RETURNING *`,
+    [
+      merged.id, merged.frequency, merged.frequency === 'weekly' ? merged.day_of_week : null,
+      merged.time_of_day, merged.run_analysis, merged.full_scan, merged.enabled,
+      merged.enabled ? computeNextRun(merged) : null,
+    ],
+  );
+  res.json(result.rows[0]);
+});
+
+router.delete('/:scheduleId', async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM scan_schedules WHERE id = $1 AND org_id = $2 RETURNING id',
+    [req.params.scheduleId, req.params.orgId],
+  );
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Schedule not found' });
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -1,3 +1,230 @@
+const { EVENT_SUBSCRIBER_TYPES } = require('../parsers/eventChannels');
+const { buildInvocationGraph, findInvocationCycles, formatInvocationPath, isFlow } = require('../parsers/invocationGraph');
+const { dependencyClosure, codePathSafeguards } = require('../parsers/apexDependencies');
+const { apiVersionNumber, releaseName, currentApiVersion } = require('../parsers/apiVersions');
+
+// Obsolete versions a flow may keep before FLOWV001 fires (Salesforce caps a
+// flow at 50 versions in total)
+const OBSOLETE_FLOW_VERSION_THRESHOLD = 10;
+
+// Salesforce's org-wide deployment minimum; per-class coverage below it is flagged
+const LOW_COVERAGE_THRESHOLD = 75;
+
+// coveragePercent is null when the org has no coverage data or for test classes
+function isPoorlyCovered(item) {
+  const percent = item.parsed_data?.coveragePercent;
+  return !item.is_managed_package && percent != null && percent < LOW_COVERAGE_THRESHOLD;
+}
+
+// Defaults for the thresholds set on customer_profiles
+const PROFILE_THRESHOLD_DEFAULTS = {
+  // CPLX rules (PMD's defaults) — a metric at or above its threshold is reported
+  method_complexity_threshold: 10,
+  method_length_threshold: 100,
+  class_length_threshold: 1000,
+  nesting_depth_threshold: 4,
+  // APIV rules — three years of releases
+  api_version_releases_behind: 9,
+};
+
+const threshold = (profile, key) => profile[key] ?? PROFILE_THRESHOLD_DEFAULTS[key];
+
+// ── Data operations inside loops (LOOP rules) ─────────────────────────────────
+
+const APEX_TYPES = ['Apex Class', 'Apex Trigger', 'Platform Event Trigger', 'Change Event Trigger'];
+
+const FLOW_OPERATION_LABELS = {
+  soql: 'Get Records',
+  create: 'Create Records',
+  update: 'Update Records',
+  delete: 'Delete Records',
+};
+
+function describeApexOperation(op) {
+  const statement = op.operation !== 'soql'
+    ? `${op.operation} ${op.target || ''}`.trim()
+    : op.target?.startsWith('Database.') ? `${op.target}()` : `query on ${op.target || 'unknown object'}`;
+  return `${statement} in ${op.method ? `${op.method}() ` : ''}line ${op.line}`;
+}
+
+// One finding per Apex item with loop operations matching `isMatch`, pointing
+// at the first of them
+function apexLoopFindings(items, isMatch, what) {
+  const findings = [];
+  for (const item of items) {
+    if (!APEX_TYPES.includes(item.automation_type) || !item.is_active || item.is_managed_package) continue;
+    const operations = (item.parsed_data?.dataOperationsInLoops || []).filter(isMatch);
+    if (operations.length === 0) continue;
+    findings.push({
+      item,
+      message: `${item.automation_type} '${item.api_name}' runs ${what} inside a loop: ${operations.map(describeApexOperation).join(', ')}`,
+      method_name: operations[0].method,
+      line_number: operations[0].line,
+    });
+  }
+  return findings;
+}
+
+// ── Flow expressions (FLOW002/FLOW003) ───────────────────────────────────────
+
+const EXPRESSION_KIND_LABELS = {
+  formula: 'formula',
+  textTemplate: 'text template',
+  assignment: 'assignment',
+  condition: 'decision',
+  filter: 'filter',
+  input: 'field value',
+};
+
+// One finding per active flow whose expressions hold `key` literals
+function flowLiteralFindings(items, key, what) {
+  const findings = [];
+  for (const item of items) {
+    if (!item.is_active || item.is_managed_package) continue;
+    const expressions = (item.parsed_data?.expressions || []).filter((e) => e[key]);
+    if (expressions.length === 0) continue;
+    const values = expressions.flatMap((e) =>
+      e[key].map((value) => `${value} (${e.element === 'start' ? 'entry conditions' : `${EXPRESSION_KIND_LABELS[e.kind]} ${e.element}`})`));
+    findings.push({
+      item,
+      message: `${item.automation_type} '${item.api_name}' hardcodes ${values.length === 1 ? `a ${what}` : `${values.length} ${what}s`}: ${values.join(', ')}`,
+    });
+  }
+  return findings;
+}
+
+// ── Apex complexity (CPLX rules) ─────────────────────────────────────────────
+
+// One finding per class with methods whose `metric` reaches the profile's
+// threshold, pointing at the worst of them
+function methodMetricFindings(items, profile, metric, key, describe) {
+  const limit = threshold(profile, key);
+  const findings = [];
+  for (const item of items) {
+    if (item.automation_type !== 'Apex Class' || item.is_managed_package || isTestClass(item)) continue;
+    const methods = (item.parsed_data?.methods || [])
+      .filter((m) => m[metric] >= limit)
+      .sort((a, b) => b[metric] - a[metric]);
+    if (methods.length === 0) continue;
+    findings.push({
+      item,
+      message: `Apex Class '${item.api_name}' has ${methods.length} method${methods.length !== 1 ? 's' : ''} ${describe} (threshold ${limit}): ` +
+        methods.map((m) => `${m.name}() ${m[metric]} at line ${m.line}`).join(', '),
+      method_name: methods[0].name,
+      line_number: methods[0].line,
+    });
+  }
+  return findings;
+}
+
+// ── API versions (APIV rules) ────────────────────────────────────────────────
+
+/**
+ * Active, non-managed components saved with an API version more than the
+ * profile's api_version_releases_behind releases older than the scan's current
+ * version (see currentApiVersion), oldest first:
+ *   { current, limit, outdated: [{ item, version, behind }] }
+ * Process Builders are left to the migration rules.
+ */
+function outdatedApiVersions(items, profile) {
+  const current = currentApiVersion(items);
+  const limit = threshold(profile, 'api_version_releases_behind');
+  const outdated = [];
+  for (const item of items) {
+    const version = apiVersionNumber(item.parsed_data?.apiVersion);
+    if (!item.is_active || item.is_managed_package || item.automation_type === 'Process Builder') continue;
+    if (version === null || current - version <= limit) continue;
+    outdated.push({ item, version, behind: current - version });
+  }
+  outdated.sort((a, b) => a.version - b.version || a.item.api_name.localeCompare(b.item.api_name));
+  return { current, limit, outdated };
+}
+
+function apiVersionFindings(items, profile, include) {
+  const { current, outdated } = outdatedApiVersions(items, profile);
+  return outdated
+    .filter(({ item }) => include(item))
+    .map(({ item, version, behind }) => ({
+      item,
+      message: `${item.automation_type} '${item.api_name}' is saved with API ${version}.0 (${releaseName(version)}), ` +
+        `${behind} releases behind ${current}.0 (${releaseName(current)})`,
+    }));
+}
+
+// ── Invocation graph (INV rules) ──────────────────────────────────────────────
+
+// Built once per analysis run and shared by the INV checks
+const invocationGraphs = new WeakMap();
+function invocationGraph(items, context) {
+  if (!invocationGraphs.has(items)) {
+    invocationGraphs.set(items, buildInvocationGraph(items, context.apexDependencies || []));
+  }
+  return invocationGraphs.get(items);
+}
+
+// isTestClass is set by the class parser; rows parsed before that fall back to the methods
+const isTestClass = (item) => item.parsed_data?.isTestClass ||
+  (item.parsed_data?.methods || []).some((m) => m.annotations.includes('istest') || m.modifiers.includes('testmethod'));
+
+// Items with an incoming edge, ignoring calls made only from test classes
+function invokedItemIds(graph) {
+  return new Set(graph.edges.filter((e) => !isTestClass(graph.nodes.get(e.from))).map((e) => e.to));
+}
+
+// ── Field references (FIELD rules) ───────────────────────────────────────────
+
+const ROUTING_RULE_TYPES = ['Assignment Rule', 'Auto-Response Rule', 'Escalation Rule'];
+
+// Criteria items name fields as "Object.Field"; anything that isn't a plain
+// field on the item's own object (cross-object paths, $User…) is skipped.
+function ownFieldName(ref, objectName) {
+  const parts = ref.split('.');
+  if (parts.length === 1) return ref;
+  if (parts.length === 2 && parts[0].toLowerCase() === objectName.toLowerCase()) return parts[1];
+  return null;
+}
+
+/**
+ * Lists the fields an item references on its own object:
+ * [{ field, usage, writes }] — usage describes where the reference appears.
+ */
+function fieldReferences(item) {
+  const pd = item.parsed_data || {};
+  const refs = [];
+  const add = (ref, usage, writes = false) => {
+    const field = ref && item.object_name ? ownFieldName(ref, item.object_name) : null;
+    if (field) refs.push({ field, usage, writes });
+  };
+
+  if (item.automation_type === 'Workflow Rule') {
+    for (const f of pd.fieldUpdateFields || []) add(f, 'field update', true);
+  }
+  if (['Workflow Rule', 'Approval Process'].includes(item.automation_type)) {
+    for (const c of pd.criteriaItems || []) add(c.field, 'entry criteria');
+  }
+  if (ROUTING_RULE_TYPES.includes(item.automation_type)) {
+    for (const entry of pd.entries || []) {
+      for (const c of entry.criteriaItems || []) add(c.field, 'rule entry criteria');
+    }
+  }
+  if (item.automation_type === 'Validation Rule') {
+    add(pd.errorDisplayField, 'error display field');
+  }
+  return refs;
+}
+
+// Yields [item, schema, refs] for items whose object was described and found
+function* describedItems(items, context) {
+  if (!context.schemas || context.schemas.size === 0) return;
+  for (const item of items) {
+    if (!item.object_name) continue;
+    const schema = context.schemas.get(item.object_name.toLowerCase());
+    if (!schema || !schema.found) continue;
+    const refs = fieldReferences(item);
+    if (refs.length > 0) yield [item, schema, refs];
+  }
+}
+
 const CHECKS = {
   // --- Platform ---
 
@@ -110,6 +337,39 @@ const CHECKS = {
     return findings;
   },
 
+  // Multiple active subscribers (Apex triggers and/or flows) on the same
+  // platform event or change event — they run independently, in no set order
+  EVT001: (items) => {
+    const groups = {};
+    for (const item of items) {
+      if (!EVENT_SUBSCRIBER_TYPES.includes(item.automation_type) || !item.is_active || !item.object_name) continue;
+      if (!groups[item.object_name]) groups[item.object_name] = [];
+      groups[item.object_name].push(item);
+    }
+    const findings = [];
+    for (const group of Object.values(groups)) {
+      if (group.length > 1) {
+        const names = group.map((i) => i.api_name).join(', ');
+        for (const item of group) {
+          findings.push({
+            item,
+            message: `Multiple active subscribers to ${item.object_name} run independently in no guaranteed order: ${names}`,
+          });
+        }
+      }
+    }
+    return findings;
+  },
+
+  // Apex event subscriber with no resume checkpoint or retry — an uncaught
+  // error skips the rest of the event batch
+  EVT002: (item) =>
+    ['Platform Event Trigger', 'Change Event Trigger'].includes(item.automation_type) &&
+    item.is_active &&
+    !item.is_managed_package &&
+    !item.parsed_data?.usesResumeCheckpoint &&
+    !item.parsed_data?.throwsRetryableException,
+
   // Active Workflow Rule + active Flow on same object
   MULTI004: (items) => {
     const wfrByObject = {};
@@ -308,11 +568,254 @@ const CHECKS = {
     !item.is_managed_package &&
     item.parsed_data?.hasOpenRedirectRisk === true,
 
+  // --- Test coverage (read from the org's last test runs after the scan) ---
+
+  // Active trigger below the coverage threshold — triggers run on every save of
+  // their object, so untested behavior there is the riskiest to change
+  COV001: (item) =>
+    ['Apex Trigger', 'Platform Event Trigger', 'Change Event Trigger'].includes(item.automation_type) &&
+    item.is_active &&
+    isPoorlyCovered(item),
+
+  COV002: (item) =>
+    item.automation_type === 'Apex Class' && item.is_active && isPoorlyCovered(item),
+
+  // --- Data operations inside loops ---
+
+  // Get/Create/Update/Delete Records element in a flow loop body — one query or
+  // DML statement per item, exhausting the 100 SOQL / 150 DML limits in bulk
+  LOOP001: (items) => {
+    const findings = [];
+    for (const item of items) {
+      // Only flows carry an element graph; Apex items are LOOP002/LOOP003
+      if (!item.parsed_data?.elementGraph || !item.is_active || item.is_managed_package) continue;
+      const operations = item.parsed_data.dataOperationsInLoops || [];
+      if (operations.length === 0) continue;
+      const names = operations.map((o) => `${o.element} (${FLOW_OPERATION_LABELS[o.operation]} in loop ${o.loop})`);
+      findings.push({
+        item,
+        message: `${item.automation_type} '${item.api_name}' runs data elements inside a loop: ${names.join(', ')}`,
+      });
+    }
+    return findings;
+  },
+
+  // SOQL query (inline or Database.query) inside an Apex for/while/do loop
+  LOOP002: (items) => apexLoopFindings(items, (o) => o.operation === 'soql', 'SOQL'),
+
+  // DML statement or Database DML method inside an Apex loop
+  LOOP003: (items) => apexLoopFindings(items, (o) => o.operation !== 'soql', 'DML'),
+
+  // --- Trigger safeguards ---
+
+  // Active trigger with no recursion guard and no bypass switch in the trigger
+  // or any class it calls — WFR/process re-saves and bulk data loads cascade
+  APEX015: (items, profile, context) => {
+    const byId = new Map(items.map((i) => [i.id, i]));
+    const findings = [];
+    for (const item of items) {
+      if (item.automation_type !== 'Apex Trigger' || !item.is_active || item.is_managed_package) continue;
+      const { guardedBy, bypassedBy } = codePathSafeguards(item, context.apexDependencies, byId);
+      if (guardedBy.length > 0 || bypassedBy.length > 0) continue;
+      const classCount = dependencyClosure(context.apexDependencies || [], item.id).length;
+      findings.push({
+        item,
+        message: `Apex Trigger '${item.api_name}'${item.object_name ? ` on ${item.object_name}` : ''} has no recursion guard or bypass check ` +
+          `in the trigger${classCount > 0 ? ` or the ${classCount} class${classCount !== 1 ? 'es' : ''} it calls` : ''}`,
+      });
+    }
+    return findings;
+  },
+
+  // --- Fault handling ---
+
+  // Record-triggered flow with DML/action/subflow elements lacking a fault
+  // connector — a failure rolls back the user's save with an unhandled fault
+  FAULT001: (items) => {
+    const findings = [];
+    for (const item of items) {
+      if (item.automation_type !== 'Record-Triggered Flow' || !item.is_active || item.is_managed_package) continue;
+      const missing = item.parsed_data?.elementsWithoutFaultPath || [];
+      if (missing.length === 0) continue;
+      const names = missing.map((m) => `${m.element} (${m.type})`);
+      findings.push({
+        item,
+        message: `${item.automation_type} '${item.api_name}' has ${missing.length} of ${item.parsed_data.faultableElementCount} ` +
+          `DML/action/subflow element${item.parsed_data.faultableElementCount !== 1 ? 's' : ''} without a fault path: ${names.join(', ')}`,
+      });
+    }
+    return findings;
+  },
+
+  // --- Apex complexity (thresholds from the customer profile) ---
+
+  // Methods with cyclomatic complexity at or above the threshold
+  CPLX001: (items, profile) =>
+    methodMetricFindings(items, profile, 'complexity', 'method_complexity_threshold', 'with cyclomatic complexity'),
+
+  // Methods with as many lines as the threshold or more
+  CPLX002: (items, profile) =>
+    methodMetricFindings(items, profile, 'lineCount', 'method_length_threshold', 'with line count'),
+
+  // Classes with as many lines as the threshold or more
+  CPLX003: (items, profile) => {
+    const limit = threshold(profile, 'class_length_threshold');
+    return items
+      .filter((i) => i.automation_type === 'Apex Class' && !i.is_managed_package && !isTestClass(i) && i.parsed_data?.lineCount >= limit)
+      .map((item) => ({
+        item,
+        message: `Apex Class '${item.api_name}' is ${item.parsed_data.lineCount} lines long (threshold ${limit}) ` +
+          `across ${item.parsed_data.methods.length} methods, total cyclomatic complexity ${item.parsed_data.totalComplexity}`,
+      }));
+  },
+
+  // Methods whose braced blocks nest as deep as the threshold or deeper
+  CPLX004: (items, profile) =>
+    methodMetricFindings(items, profile, 'nestingDepth', 'nesting_depth_threshold', 'with block nesting depth'),
+
+  // --- API versions ---
+
+  // Apex compiled against a version more than the profile's number of releases
+  // behind the org's current one
+  APIV001: (items, profile) =>
+    apiVersionFindings(items, profile, (item) => APEX_TYPES.includes(item.automation_type)),
+
+  // Flows saved with a version more than the profile's number of releases
+  // behind — they keep the old version's runtime behavior
+  APIV002: (items, profile) =>
+    apiVersionFindings(items, profile, isFlow),
+
+  // --- Flow expressions ---
+
+  // Record IDs written into flow formulas, templates, conditions, filters or
+  // values — IDs differ between orgs, so the flow breaks in every other org
+  FLOW002: (items) => flowLiteralFindings(items, 'hardcodedIds', 'record ID'),
+
+  // URLs written into flow formulas, templates or values — instance and My
+  // Domain URLs differ between sandboxes and production
+  FLOW003: (items) => flowLiteralFindings(items, 'urls', 'URL'),
+
+  // --- Invocation graph ---
+
+  // Flows that end up invoking themselves through subflows, flow actions,
+  // Apex actions or Flow.Interview — one finding per cycle, on its first flow
+  INV001: (items, profile, context) => {
+    const graph = invocationGraph(items, context);
+    return findInvocationCycles(graph).map((cycle) => {
+      const item = graph.nodes.get(cycle.start);
+      return {
+        item,
+        message: `${item.automation_type} '${item.api_name}' invokes itself: ${formatInvocationPath(graph, cycle)}`,
+      };
+    });
+  },
+
+  // Active autolaunched flow no flow or Apex in the scan invokes
+  INV002: (items, profile, context) => {
+    const graph = invocationGraph(items, context);
+    const invoked = invokedItemIds(graph);
+    return items
+      .filter((i) => i.automation_type === 'Autolaunched Flow' && i.is_active && !i.is_managed_package && !invoked.has(i.id))
+      .map((item) => ({ item, message: `Autolaunched Flow '${item.api_name}' is not invoked by any flow, process or Apex in this org` }));
+  },
+
+  // Class with an @InvocableMethod that no flow calls as an Apex action and
+  // no other (non-test) class references
+  INV003: (items, profile, context) => {
+    const graph = invocationGraph(items, context);
+    const invoked = invokedItemIds(graph);
+    return items
+      .filter((i) => i.automation_type === 'Apex Class' && i.parsed_data?.isInvocable && !i.is_managed_package && !invoked.has(i.id))
+      .map((item) => ({ item, message: `Invocable Apex class '${item.api_name}' is not called by any flow, process or other class in this org` }));
+  },
+
+  // --- Field-aware (require object schemas captured during the scan) ---
+
+  // Field referenced by criteria, field updates or error display that the
+  // object's describe no longer returns — deleted or renamed.
+  FIELD001: (items, profile, context) => {
+    const findings = [];
+    for (const [item, schema, refs] of describedItems(items, context)) {
+      const missing = refs.filter((r) => !schema.fields.has(r.field.toLowerCase()));
+      const names = [...new Set(missing.map((r) => `${r.field} (${r.usage})`))];
+      if (names.length > 0) {
+        findings.push({
+          item,
+          message: `${item.automation_type} '${item.api_name}' references field${names.length !== 1 ? 's' : ''} that no longer exist on ${schema.objectName}: ${names.join(', ')}`,
+        });
+      }
+    }
+    return findings;
+  },
+
+  // Field update targeting a formula or non-updateable field
+  FIELD002: (items, profile, context) => {
+    const findings = [];
+    for (const [item, schema, refs] of describedItems(items, context)) {
+      const readOnly = refs
+        .filter((r) => r.writes)
+        .map((r) => schema.fields.get(r.field.toLowerCase()))
+        .filter((f) => f && (f.isFormula || !f.updateable));
+      const names = [...new Set(readOnly.map((f) => `${f.name}${f.isFormula ? ' (formula)' : ''}`))];
+      if (names.length > 0) {
+        findings.push({
+          item,
+          message: `${item.automation_type} '${item.api_name}' updates read-only field${names.length !== 1 ? 's' : ''} on ${schema.objectName}: ${names.join(', ')}`,
+        });
+      }
+    }
+    return findings;
+  },
+
   // --- Housekeeping ---
 
+  // Flow versions are read from Tooling after the scan; flows without version
+  // data (archive imports, older scans) never match.
+  FLOWV001: (item) =>
+    !item.is_managed_package &&
+    (item.parsed_data?.obsoleteVersionCount ?? 0) >= OBSOLETE_FLOW_VERSION_THRESHOLD,
+
+  // A draft saved after the active version: either unfinished work that was
+  // never activated, or a fix the org believes is live but isn't.
+  FLOWV002: (item) =>
+    !item.is_managed_package &&
+    item.parsed_data?.hasNewerDraft === true,
+
   INACT001: (item) => !item.is_active && !item.is_managed_package,
 
   PKG001: (item) => !!item.is_managed_package,
 };
 
-module.exports = { CHECKS };
+// Apex rules that report a parser flag, mapped to that flag so findings can
+// point at the first place it was found (parsed_data.locations[flag])
+const FLAG_BY_RULE = {
+  APEX003: 'hasDmlInBody',
+  APEX004: 'hasSoqlInBody',
+  APEX005: 'hasHardcodedIds',
+  APEX006: 'hasFutureMethods',
+  APEX008: 'hasSeeAllDataTrue',
+  APEX009: 'hasTestMethodKeyword',
+  APEX010: 'hasGlobalModifier',
+  APEX011: 'hasDebugWithoutLevel',
+  APEX012: 'isQueueableWithoutFinalizer',
+  APEX013: 'isTestClassWithoutAsserts',
+  APEX014: 'isTestClassWithoutRunAs',
+  SEC001: 'hasInsecureEndpoint',
+  SEC002: 'hasXssFromEscapeFalse',
+  SEC003: 'hasDangerousMethodCall',
+  SEC004: 'missesShareDeclaration',
+  SEC005: 'hasSoqlInjectionRisk',
+  SEC006: 'hasCrudViolationRisk',
+  SEC007: 'hasHardcodedCrypto',
+  SEC008: 'hasHardcodedCredentials',
+  SEC009: 'hasOpenRedirectRisk',
+};
+
+module.exports = {
+  CHECKS,
+  FLAG_BY_RULE,
+  OBSOLETE_FLOW_VERSION_THRESHOLD,
+  LOW_COVERAGE_THRESHOLD,
+  PROFILE_THRESHOLD_DEFAULTS,
+  outdatedApiVersions,
+};
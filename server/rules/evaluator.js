@@ -1,25 +1,185 @@
-const { CHECKS } = require('./checks');
+const { CHECKS, FLAG_BY_RULE } = require('./checks');
 
 function applyTemplate(template, item) {
   return template.replace(/\{\{(\w+)\}\}/g, (_, key) => item[key] ?? '');
 }
 
-// Evaluate JSONB conditions array against an inventory item (AND logic)
-function evaluateConditions(item, conditions) {
-  if (!conditions || conditions.length === 0) return false;
-  return conditions.every(({ field, op, value }) => {
-    const itemVal = item[field];
-    switch (op) {
-      case 'eq': return itemVal === value;
-      case 'ne': return itemVal !== value;
-      case 'in': return Array.isArray(value) && value.includes(itemVal);
-      case 'not_in': return Array.isArray(value) && !value.includes(itemVal);
-      default: return false;
+// Method and line of the first occurrence behind a flag-based finding, when the
+// parser recorded one (Apex items scanned before locations existed have none)
+function findingLocation(ruleId, item) {
+  const flag = FLAG_BY_RULE[ruleId];
+  const first = flag && item.parsed_data?.locations?.[flag]?.[0];
+  return { method_name: first?.method ?? null, line_number: first?.line ?? null };
+}
+
+// ── Custom rule conditions ────────────────────────────────────────────────────
+//
+// A rule's conditions JSONB is a tree of
+//   { field, op, value }   — compares one value of the item
+//   { all: [conditions] }  — every condition matches (AND)
+//   { any: [conditions] }  — at least one matches (OR)
+//   { not: condition }     — the condition doesn't match
+// A top-level array is read as { all: [...] }. field is an inventory column
+// or a dot-path into it, e.g. "parsed_data.timeTriggerCount". Empty groups
+// never match, so a rule without conditions never fires.
+
+const COMPARISON_OPS = ['eq', 'ne', 'in', 'not_in', 'gt', 'gte', 'lt', 'lte', 'contains', 'matches', 'exists', 'array_contains'];
+
+function fieldValue(item, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+}
+
+// Numeric comparison; false unless both sides are numbers
+function compareNumbers(itemVal, value, compare) {
+  if (itemVal == null || value == null || itemVal === '' || value === '') return false;
+  const a = Number(itemVal);
+  const b = Number(value);
+  return Number.isFinite(a) && Number.isFinite(b) && compare(a, b);
+}
+
+// `matches` patterns are written by rule authors and run against every item
+// on the single server thread, so they are globs rather than regular
+// expressions: * matches any run of characters, ? one character, everything
+// else itself, case-insensitively, against the whole value.
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Glob match in O(value × pattern) time: on a mismatch only the most recent *
+ * is retried, one character further along, so no input can backtrack
+ * exponentially.
+ */
+function globMatch(pattern, value) {
+  let p = 0;
+  let v = 0;
+  let star = -1;
+  let starV = 0;
+  while (v < value.length) {
+    if (p < pattern.length && (pattern[p] === '?' || pattern[p] === value[v])) {
+      p++;
+      v++;
+    } else if (p < pattern.length && pattern[p] === '*') {
+      star = p++;
+      starV = v;
+    } else if (star !== -1) {
+      p = star + 1;
+      v = ++starV;
+    } else {
+      return false;
+    }
+  }
+  while (pattern[p] === '*') p++;
+  return p === pattern.length;
+}
+
+/**
+ * Compiles a `matches` pattern. Returns { match } or { error } when the
+ * pattern is too long to run against every item.
+ */
+function compilePattern(value) {
+  const pattern = String(value ?? '').toLowerCase();
+  if (pattern.length > MAX_PATTERN_LENGTH) return { error: `is longer than ${MAX_PATTERN_LENGTH} characters` };
+  return { match: (text) => globMatch(pattern, text.toLowerCase()) };
+}
+
+// One comparison as a predicate over items; a pattern that can't be compiled never matches
+function compileComparison({ field, op, value }) {
+  const valueOf = (item) => fieldValue(item, field || '');
+  switch (op) {
+    case 'eq': return (item) => valueOf(item) === value;
+    case 'ne': return (item) => valueOf(item) !== value;
+    case 'in': return (item) => Array.isArray(value) && value.includes(valueOf(item));
+    case 'not_in': return (item) => Array.isArray(value) && !value.includes(valueOf(item));
+    case 'gt': return (item) => compareNumbers(valueOf(item), value, (a, b) => a > b);
+    case 'gte': return (item) => compareNumbers(valueOf(item), value, (a, b) => a >= b);
+    case 'lt': return (item) => compareNumbers(valueOf(item), value, (a, b) => a < b);
+    case 'lte': return (item) => compareNumbers(valueOf(item), value, (a, b) => a <= b);
+    // Case-insensitive substring of a string value
+    case 'contains': {
+      const needle = String(value ?? '').toLowerCase();
+      return (item) => {
+        const itemVal = valueOf(item);
+        return typeof itemVal === 'string' && itemVal.toLowerCase().includes(needle);
+      };
+    }
+    case 'matches': {
+      const { match } = compilePattern(value);
+      if (!match) return () => false;
+      return (item) => {
+        const itemVal = valueOf(item);
+        return itemVal != null && typeof itemVal !== 'object' && match(String(itemVal));
+      };
     }
-  });
+    // value false asks for the field to be missing or null
+    case 'exists': return (item) => (valueOf(item) != null) === (value !== false);
+    case 'array_contains': return (item) => {
+      const itemVal = valueOf(item);
+      return Array.isArray(itemVal) && itemVal.includes(value);
+    };
+    default: return () => false;
+  }
+}
+
+/**
+ * Compiles a conditions tree into a predicate over inventory items, once per
+ * rule rather than once per item.
+ */
+function compileConditions(conditions) {
+  if (!conditions) return () => false;
+  if (Array.isArray(conditions)) return compileConditions({ all: conditions });
+  if (conditions.all) {
+    const children = conditions.all.map(compileConditions);
+    return (item) => children.length > 0 && children.every((matches) => matches(item));
+  }
+  if (conditions.any) {
+    const children = conditions.any.map(compileConditions);
+    return (item) => children.some((matches) => matches(item));
+  }
+  if (conditions.not) {
+    const negated = compileConditions(conditions.not);
+    return (item) => !negated(item);
+  }
+  return compileComparison(conditions);
+}
+
+/**
+ * Checks a conditions tree before it is saved. Returns an error message, or
+ * null when the tree is valid.
+ */
+function validateConditions(conditions, path = 'conditions') {
+  if (Array.isArray(conditions)) return validateConditions({ all: conditions }, path);
+  if (!conditions || typeof conditions !== 'object') return `${path} must be an object or an array`;
+  for (const group of ['all', 'any']) {
+    if (!(group in conditions)) continue;
+    if (!Array.isArray(conditions[group])) return `${path}.${group} must be an array`;
+    for (const [i, child] of conditions[group].entries()) {
+      const error = validateConditions(child, `${path}.${group}[${i}]`);
+      if (error) return error;
+    }
+    return null;
+  }
+  if ('not' in conditions) return validateConditions(conditions.not, `${path}.not`);
+
+  const { field, op, value } = conditions;
+  if (typeof field !== 'string' || !/^\w+(\.\w+)*$/.test(field)) return `${path}.field must be a column name or dot-path`;
+  if (!COMPARISON_OPS.includes(op)) return `${path}.op '${op}' is not supported`;
+  if (['in', 'not_in'].includes(op) && !Array.isArray(value)) return `${path}.value must be an array for '${op}'`;
+  if (['gt', 'gte', 'lt', 'lte'].includes(op) && (value == null || value === '' || !Number.isFinite(Number(value)))) {
+    return `${path}.value must be a number for '${op}'`;
+  }
+  if (op === 'matches') {
+    const { error } = compilePattern(value);
+    if (error) return `${path}.value ${error}`;
+  }
+  return null;
 }
 
-function runAnalysis(inventory, rules, profile) {
+/**
+ * Applies the active rules to a scan's inventory. `context` carries scan-level
+ * data some checks need beyond the inventory itself:
+ *   schemas          — Map of object schemas from loadObjectSchemas (FIELD rules)
+ *   apexDependencies — the scan's apex_dependencies rows (INV rules)
+ */
+function runAnalysis(inventory, rules, profile, context = {}) {
   const activeRules = rules.filter(
     (r) =>
       profile.active_rule_layers.includes(r.layer) &&
@@ -32,14 +192,15 @@ function runAnalysis(inventory, rules, profile) {
     const check = CHECKS[rule.id];
 
     if (rule.check_type === 'per_item') {
+      const matchesConditions = !check && rule.conditions ? compileConditions(rule.conditions) : null;
       for (const item of inventory) {
         if (rule.applies_to.length > 0 && !rule.applies_to.includes(item.automation_type)) continue;
         try {
           let triggered = false;
           if (check) {
-            triggered = check(item, profile);
-          } else if (rule.conditions) {
-            triggered = evaluateConditions(item, rule.conditions);
+            triggered = check(item, profile, context);
+          } else if (matchesConditions) {
+            triggered = matchesConditions(item);
           }
           if (triggered) {
             findings.push({
@@ -49,6 +210,7 @@ function runAnalysis(inventory, rules, profile) {
               api_name: item.api_name,
               object_name: item.object_name,
               message: applyTemplate(rule.recommendation_template, item),
+              ...findingLocation(rule.id, item),
             });
           }
         } catch (err) {
@@ -58,7 +220,7 @@ function runAnalysis(inventory, rules, profile) {
     } else {
       if (!check) continue; // cross_item rules require a hardcoded check function
       try {
-        const results = check(inventory, profile);
+        const results = check(inventory, profile, context);
         for (const result of results) {
           findings.push({
             rule_id: rule.id,
@@ -67,6 +229,8 @@ function runAnalysis(inventory, rules, profile) {
             api_name: result.item?.api_name ?? null,
             object_name: result.item?.object_name ?? null,
             message: result.message,
+            method_name: result.method_name ?? null,
+            line_number: result.line_number ?? null,
           });
         }
       } catch (err) {
@@ -78,4 +242,4 @@ function runAnalysis(inventory, rules, profile) {
   return findings;
 }
 
-module.exports = { runAnalysis };
+module.exports = { runAnalysis, validateConditions };
@@ -1,5 +1,13 @@
 'use strict';
 
+const {
+  OBSOLETE_FLOW_VERSION_THRESHOLD, LOW_COVERAGE_THRESHOLD, outdatedApiVersions,
+} = require('./checks');
+const { EVENT_SUBSCRIBER_TYPES: EVENT_SUBSCRIBER_TYPE_LIST } = require('../parsers/eventChannels');
+const { loadApexDependencies, dependencyClosure, codePathSafeguards } = require('../parsers/apexDependencies');
+const { releaseName } = require('../parsers/apiVersions');
+const { isFlow } = require('../parsers/invocationGraph');
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Constants
 // ─────────────────────────────────────────────────────────────────────────────
@@ -7,6 +15,11 @@
 const DEPRECATED_TYPES = new Set(['Workflow Rule', 'Process Builder']);
 const MODERN_FLOW_TYPES = new Set(['Record-Triggered Flow']);
 const APEX_TYPES = new Set(['Apex Trigger']);
+const EVENT_SUBSCRIBER_TYPES = new Set(EVENT_SUBSCRIBER_TYPE_LIST);
+
+// Added to the priority score of an object whose triggers or handler classes
+// are below LOW_COVERAGE_THRESHOLD — larger than any effort penalty increase
+const LOW_COVERAGE_PRIORITY_BOOST = 40;
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Order of Execution Audit
@@ -14,30 +27,53 @@ const APEX_TYPES = new Set(['Apex Trigger']);
 // automations and detects specific risks from the static metadata.
 //
 // Phases (lower = fires earlier):
-//   1 Before-save Flow  — RecordBeforeSave; fires before Apex triggers
-//   2 Apex before       — before insert / update / delete
-//   3 Apex after        — after insert / update / delete
-//   4 Workflow Rule     — after-save; field updates re-save → re-fires 1–3
-//   5 Process Builder   — after workflow rules; record updates may re-trigger
-//   6 After-save Flow   — RecordAfterSave; fires last
+//    1 Before-save Flow   — RecordBeforeSave; fires before Apex triggers
+//    2 Apex before        — before insert / update / delete
+//    3 Validation Rule    — custom validation, after before-triggers
+//    4 Apex after         — after insert / update / delete
+//    5 Assignment Rule    — Lead/Case owner assignment
+//    6 Auto-Response Rule — Lead/Case auto-response emails
+//    7 Workflow Rule      — after-save; field updates re-save → re-fires 1, 2, 4
+//    8 Escalation Rule    — Case escalation, after workflow rules
+//    9 Process Builder    — after workflow rules; record updates may re-trigger
+//   10 After-save Flow    — RecordAfterSave; fires last
+//
+// Approval Processes are not part of the save order — they run on submission —
+// so they get no phase here.
 // ─────────────────────────────────────────────────────────────────────────────
 
 const PHASE = {
-  BEFORE_FLOW:     1,
-  APEX_BEFORE:     2,
-  APEX_AFTER:      3,
-  WORKFLOW_RULE:   4,
-  PROCESS_BUILDER: 5,
-  AFTER_FLOW:      6,
+  BEFORE_FLOW:        1,
+  APEX_BEFORE:        2,
+  VALIDATION_RULE:    3,
+  APEX_AFTER:         4,
+  ASSIGNMENT_RULE:    5,
+  AUTO_RESPONSE_RULE: 6,
+  WORKFLOW_RULE:      7,
+  ESCALATION_RULE:    8,
+  PROCESS_BUILDER:    9,
+  AFTER_FLOW:         10,
 };
 
 const PHASE_LABEL = {
-  [PHASE.BEFORE_FLOW]:     'Before-save Flow',
-  [PHASE.APEX_BEFORE]:     'Apex before trigger',
-  [PHASE.APEX_AFTER]:      'Apex after trigger',
-  [PHASE.WORKFLOW_RULE]:   'Workflow Rule (after save)',
-  [PHASE.PROCESS_BUILDER]: 'Process Builder (after save)',
-  [PHASE.AFTER_FLOW]:      'After-save Flow',
+  [PHASE.BEFORE_FLOW]:        'Before-save Flow',
+  [PHASE.APEX_BEFORE]:        'Apex before trigger',
+  [PHASE.VALIDATION_RULE]:    'Validation Rule',
+  [PHASE.APEX_AFTER]:         'Apex after trigger',
+  [PHASE.ASSIGNMENT_RULE]:    'Assignment Rule',
+  [PHASE.AUTO_RESPONSE_RULE]: 'Auto-Response Rule',
+  [PHASE.WORKFLOW_RULE]:      'Workflow Rule (after save)',
+  [PHASE.ESCALATION_RULE]:    'Escalation Rule',
+  [PHASE.PROCESS_BUILDER]:    'Process Builder (after save)',
+  [PHASE.AFTER_FLOW]:         'After-save Flow',
+};
+
+// Declarative rule types that occupy a single fixed phase
+const RULE_TYPE_PHASE = {
+  'Validation Rule':    PHASE.VALIDATION_RULE,
+  'Assignment Rule':    PHASE.ASSIGNMENT_RULE,
+  'Auto-Response Rule': PHASE.AUTO_RESPONSE_RULE,
+  'Escalation Rule':    PHASE.ESCALATION_RULE,
 };
 
 /**
@@ -47,6 +83,7 @@ const PHASE_LABEL = {
 function getExecutionPhases(item) {
   if (item.automation_type === 'Workflow Rule') return [PHASE.WORKFLOW_RULE];
   if (item.automation_type === 'Process Builder') return [PHASE.PROCESS_BUILDER];
+  if (RULE_TYPE_PHASE[item.automation_type]) return [RULE_TYPE_PHASE[item.automation_type]];
   if (MODERN_FLOW_TYPES.has(item.automation_type)) {
     return item.parsed_data?.triggerType === 'RecordBeforeSave'
       ? [PHASE.BEFORE_FLOW]
@@ -62,13 +99,32 @@ function getExecutionPhases(item) {
   return [];
 }
 
+/**
+ * How the Apex re-fired by a re-save defends against recursion: the sentence
+ * that ends a re-trigger risk, and whether every trigger has a guard.
+ */
+function describeRecursionGuards(apexEntries, safeguardsOf) {
+  const triggers = [...new Map(apexEntries.map((e) => [e.item.id, e.item])).values()];
+  const unguarded = triggers.filter((t) => safeguardsOf(t).guardedBy.length === 0);
+  if (unguarded.length === 0) {
+    const guards = [...new Set(triggers.flatMap((t) => safeguardsOf(t).guardedBy))].map((n) => `"${n}"`).join(', ');
+    return { allGuarded: true, text: `Recursion guards found in ${guards} — confirm they cover this re-save.` };
+  }
+  const names = unguarded.map((t) => `"${t.api_name}"`).join(', ');
+  return { allGuarded: false, text: `No recursion guard found in ${names} or the classes ${unguarded.length === 1 ? 'it calls' : 'they call'}.` };
+}
+
 /**
  * Performs a static order-of-execution audit for active automations on one object.
+ * `safeguards` maps Apex item ids to their codePathSafeguards(); items not in
+ * it are judged on their own code alone.
  * Returns { sequence, risks } where:
  *   sequence — ordered array of { name, type, phase, phaseLabel }
  *   risks    — array of { type, severity, text } for specific detected issues
  */
-function auditOrderOfExecution(activeItems) {
+function auditOrderOfExecution(activeItems, safeguards = new Map()) {
+  const safeguardsOf = (item) => safeguards.get(item.id) || codePathSafeguards(item, [], new Map());
+
   // Build one entry per item per phase, sorted phase → api_name
   const entries = [];
   for (const item of activeItems) {
@@ -132,12 +188,28 @@ function auditOrderOfExecution(activeItems) {
     const fieldList =
       fields.slice(0, 3).map((f) => `"${f}"`).join(', ') +
       (fields.length > 3 ? ` and ${fields.length - 3} more` : '');
+    const guards = describeRecursionGuards(apexEntries, safeguardsOf);
     risks.push({
       type: 'retrigger_risk',
-      severity: 'high',
+      severity: guards.allGuarded ? 'warning' : 'high',
       text:
         `⚠ Re-trigger: ${wfrNames} ${wfrWithUpdates.length === 1 ? 'updates' : 'update'} ` +
-        `${fieldList}, re-saving the record and re-firing ${apexNames}. Confirm the trigger has a recursion guard.`,
+        `${fieldList}, re-saving the record and re-firing ${apexNames}. ${guards.text}`,
+    });
+  }
+
+  // Risk: Workflow Rule field updates re-save the record without re-running
+  // custom validation rules, so the values they write are never validated.
+  const validationEntries = byPhase[PHASE.VALIDATION_RULE] || [];
+  if (wfrWithUpdates.length > 0 && validationEntries.length > 0) {
+    const wfrNames = [...new Set(wfrWithUpdates.map((e) => `"${e.item.api_name}"`))].join(', ');
+    const vrNames = validationEntries.map((e) => `"${e.item.api_name}"`).join(', ');
+    risks.push({
+      type: 'validation_bypass',
+      severity: 'warning',
+      text:
+        `⚠ Validation bypass: field updates from ${wfrNames} re-save the record without ` +
+        `re-running ${vrNames} — values written by workflow are never validated.`,
     });
   }
 
@@ -160,7 +232,8 @@ function auditOrderOfExecution(activeItems) {
         type: 'pb_retrigger',
         severity: 'warning',
         text:
-          `⚠ Re-trigger: ${pbNames} updates ${fieldList}, which may re-save the record and re-fire ${apexNames}. Confirm a recursion guard is in place.`,
+          `⚠ Re-trigger: ${pbNames} updates ${fieldList}, which may re-save the record and re-fire ${apexNames}. ` +
+          describeRecursionGuards(apexEntries, safeguardsOf).text,
       });
     } else {
       // PB exists but no field-update data (e.g. scanned before parser enhancement)
@@ -170,7 +243,7 @@ function auditOrderOfExecution(activeItems) {
         severity: 'warning',
         text:
           `⚠ Re-trigger: if ${pbNames} ${pbEntries.length === 1 ? 'updates' : 'update'} ` +
-          `this object's fields, ${apexNames} will re-fire. Confirm a recursion guard is in place.`,
+          `this object's fields, ${apexNames} will re-fire. ${describeRecursionGuards(apexEntries, safeguardsOf).text}`,
       });
     }
   }
@@ -178,7 +251,7 @@ function auditOrderOfExecution(activeItems) {
   // Risk: same field written by automations in different phases → "last wins" conflict
   const fieldPhaseMap = {};
   for (const e of entries) {
-    for (const field of e.item.parsed_data?.fieldUpdateFields || []) {
+    for (const field of writtenFields(e.item)) {
       (fieldPhaseMap[field] = fieldPhaseMap[field] || []).push(e);
     }
   }
@@ -198,6 +271,26 @@ function auditOrderOfExecution(activeItems) {
     });
   }
 
+  // Risk: a field read by an automation that runs before another one writes it
+  // on the same save — the reader acts on the value from before the save
+  for (const [field, writers] of Object.entries(fieldPhaseMap)) {
+    const firstWrite = Math.min(...writers.map((w) => w.phase));
+    const writerNames = new Set(writers.map((w) => w.item.api_name));
+    const earlyReaders = entries.filter((e) =>
+      e.phase < firstWrite && !writerNames.has(e.item.api_name) &&
+      readFields(e.item).some((f) => f.toLowerCase() === field.toLowerCase()));
+    if (earlyReaders.length === 0) continue;
+    const readerList = earlyReaders.map((e) => `"${e.item.api_name}" (${PHASE_LABEL[e.phase]})`).join(', ');
+    const writerList = [...writerNames].map((n) => `"${n}"`).join(', ');
+    risks.push({
+      type: 'stale_read',
+      severity: 'warning',
+      text:
+        `⚠ Stale read of "${field}": ${readerList} ${earlyReaders.length === 1 ? 'reads' : 'read'} it before ${writerList} ` +
+        `${writerNames.size === 1 ? 'writes' : 'write'} it on the same save — keep that order in mind when consolidating.`,
+    });
+  }
+
   const sequence = entries.map((e) => ({
     name: e.item.api_name,
     type: e.item.automation_type,
@@ -208,6 +301,57 @@ function auditOrderOfExecution(activeItems) {
   return { sequence, risks };
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Event Subscriber Audit
+// Platform event and change event subscribers are not part of the save order:
+// each subscriber receives every event on the channel in its own transaction,
+// after the publisher commits, and Salesforce does not order subscribers
+// relative to each other.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Audits the active subscribers of one event channel.
+ * Returns { subscribers, risks } where:
+ *   subscribers — array of { name, type } sorted by api_name
+ *   risks       — array of { type, severity, text }
+ */
+function auditEventSubscribers(subscribers) {
+  const sorted = [...subscribers].sort((a, b) => a.api_name.localeCompare(b.api_name));
+  const risks = [];
+
+  if (sorted.length >= 2) {
+    risks.push({
+      type: 'independent_subscribers',
+      severity: 'warning',
+      text:
+        `⚠ Subscriber order: ${nameList(sorted)} each receive every event independently and in no guaranteed order — ` +
+        `none of them can rely on another subscriber's changes having been made.`,
+    });
+  }
+
+  // Apex subscribers process events in batches; an uncaught error loses the
+  // rest of the batch unless the trigger checkpoints or asks for a retry
+  const unprotected = sorted.filter(
+    (i) => i.automation_type !== 'Platform Event-Triggered Flow' &&
+      !i.parsed_data?.usesResumeCheckpoint &&
+      !i.parsed_data?.throwsRetryableException,
+  );
+  if (unprotected.length > 0) {
+    risks.push({
+      type: 'batch_failure',
+      severity: 'warning',
+      text:
+        `⚠ Batch failure: ${nameList(unprotected)} ${unprotected.length === 1 ? 'neither sets' : 'set neither'} a resume checkpoint ` +
+        `nor ${unprotected.length === 1 ? 'throws' : 'throw'} EventBus.RetryableException — an uncaught error skips every remaining event in the batch.`,
+    });
+  }
+
+  return {
+    subscribers: sorted.map((i) => ({ name: i.api_name, type: i.automation_type })),
+    risks,
+  };
+}
+
 /**
  * Formats an execution sequence as a human-readable multi-line step string.
  * Returns null when there is only one automation (no ordering to describe).
@@ -332,10 +476,21 @@ function plural(n, word) {
   return `${n} ${word}${n !== 1 ? 's' : ''}`;
 }
 
-function computeScore(severity, affectedCount, effort) {
+// "<Package> v1.4" for an item owned by an installed managed package
+function packageLabel(item) {
+  if (!item.package_name) return 'a managed package';
+  return item.package_version ? `${item.package_name} v${item.package_version}` : item.package_name;
+}
+
+function computeScore(severity, affectedCount, effort, lowCoverage = false) {
   const severityScore = { error: 100, warning: 50, info: 10 };
   const effortPenalty = { low: 0, medium: 10, high: 25 };
-  return (severityScore[severity] || 10) + affectedCount * 5 - (effortPenalty[effort] || 10);
+  return (severityScore[severity] || 10) + affectedCount * 5 - (effortPenalty[effort] || 10) +
+    (lowCoverage ? LOW_COVERAGE_PRIORITY_BOOST : 0);
+}
+
+function raiseEffort(effort) {
+  return effort === 'low' ? 'medium' : 'high';
 }
 
 function estimateEffort(pattern, itemCount) {
@@ -384,25 +539,61 @@ function normalizeEvents(item) {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Overlap Detection
-// Detects: (a) field-level write conflicts across WFRs and (b) trigger event
+// Detects: (a) field-level write conflicts (field lineage) and (b) trigger event
 // overlap across all active automation types on the same object.
 // Only runs on active items — inactive automation is not a consolidation concern.
 // ─────────────────────────────────────────────────────────────────────────────
 
+function writtenFields(item) {
+  const lineage = item.parsed_data?.fieldLineage;
+  if (!lineage) return item.parsed_data?.fieldUpdateFields || [];
+  const objectName = (item.object_name || '').toLowerCase();
+  const fields = lineage.writes.filter((w) => w.object.toLowerCase() === objectName).map((w) => w.field);
+  return [...new Map(fields.map((f) => [f.toLowerCase(), f])).values()];
+}
+
+// Fields of the item's own object its criteria, formulas, conditions and
+// queries read (lineage only — older items have no read data)
+function readFields(item) {
+  const lineage = item.parsed_data?.fieldLineage;
+  if (!lineage) return [];
+  const objectName = (item.object_name || '').toLowerCase();
+  const fields = lineage.reads.filter((r) => r.object.toLowerCase() === objectName).map((r) => r.field);
+  return [...new Map(fields.map((f) => [f.toLowerCase(), f])).values()];
+}
+
 function detectOverlaps(activeItems) {
   const fieldOverlaps = [];
+  const readOverlaps = [];
   const eventOverlaps = [];
 
-  // Field update overlap (WFRs with parsed fieldUpdateFields)
+  // Field write overlap on the group's object, from each item's field lineage
+  // (items parsed before lineage existed fall back to fieldUpdateFields)
   const fieldMap = {};
   for (const item of activeItems) {
-    for (const field of item.parsed_data?.fieldUpdateFields || []) {
-      if (!fieldMap[field]) fieldMap[field] = [];
-      fieldMap[field].push(item.api_name);
+    for (const field of writtenFields(item)) {
+      const key = field.toLowerCase();
+      if (!fieldMap[key]) fieldMap[key] = { field, automations: [] };
+      fieldMap[key].automations.push(item.api_name);
     }
   }
-  for (const [field, names] of Object.entries(fieldMap)) {
-    if (names.length > 1) fieldOverlaps.push({ field, automations: names });
+  for (const { field, automations } of Object.values(fieldMap)) {
+    if (automations.length > 1) fieldOverlaps.push({ field, automations });
+  }
+
+  // Fields one automation writes and another reads — their relative order
+  // decides whether the reader sees the old or the new value
+  const readerMap = {};
+  for (const item of activeItems) {
+    for (const field of readFields(item)) {
+      const key = field.toLowerCase();
+      if (!fieldMap[key]) continue;
+      if (!readerMap[key]) readerMap[key] = [];
+      if (!fieldMap[key].automations.includes(item.api_name)) readerMap[key].push(item.api_name);
+    }
+  }
+  for (const [key, readers] of Object.entries(readerMap)) {
+    if (readers.length > 0) readOverlaps.push({ field: fieldMap[key].field, writers: fieldMap[key].automations, readers });
   }
 
   // Trigger event overlap across all types
@@ -417,7 +608,7 @@ function detectOverlaps(activeItems) {
     if (autos.length > 1) eventOverlaps.push({ event, automations: autos });
   }
 
-  return { fieldOverlaps, eventOverlaps };
+  return { fieldOverlaps, readOverlaps, eventOverlaps };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -471,6 +662,13 @@ function buildOverlapWarnings(overlaps) {
         `to the "${field}" field — audit for conflicting values before consolidating.`,
     );
   }
+  for (const { field, writers, readers } of overlaps.readOverlaps) {
+    warnings.push(
+      `⚠ Order dependency: ${readers.map((a) => `"${a}"`).join(' and ')} ${readers.length === 1 ? 'reads' : 'read'} ` +
+        `the "${field}" field that ${writers.map((a) => `"${a}"`).join(' and ')} ${writers.length === 1 ? 'writes' : 'write'} — ` +
+        `keep the write ahead of the read when consolidating.`,
+    );
+  }
   return warnings;
 }
 
@@ -493,6 +691,41 @@ function findHandlerPairs(apexItems, classMap) {
     .filter((p) => p.handlerClass !== null);
 }
 
+/**
+ * Returns the triggers and handler classes whose stored test coverage is below
+ * LOW_COVERAGE_THRESHOLD. Code without coverage data (null) is not counted.
+ */
+function findPoorlyCovered(apexItems, handlerPairs, codePathClasses = []) {
+  const code = [...apexItems, ...handlerPairs.map((p) => p.handlerClass), ...codePathClasses];
+  return [...new Set(code)].filter((i) => {
+    const percent = i.parsed_data?.coveragePercent;
+    return percent != null && percent < LOW_COVERAGE_THRESHOLD;
+  });
+}
+
+/**
+ * The classes each trigger runs, from the scan's Apex dependency graph:
+ * [{ trigger, classes }] where classes are inventory items in breadth-first
+ * order with their depth. Triggers that reference no org classes are omitted.
+ */
+function findCodePaths(apexItems, dependencies, inventoryById) {
+  return apexItems
+    .map((trigger) => ({
+      trigger,
+      classes: dependencyClosure(dependencies, trigger.id)
+        .filter((c) => inventoryById.has(c.id))
+        .map((c) => ({ item: inventoryById.get(c.id), depth: c.depth })),
+    }))
+    .filter((p) => p.classes.length > 0);
+}
+
+// AccountTriggerHandler → AccountService, AccountSelector → QueryUtil
+function formatCodePath(classes) {
+  const levels = [];
+  for (const { item, depth } of classes) (levels[depth - 1] = levels[depth - 1] || []).push(item.api_name);
+  return levels.map((names) => names.join(', ')).join(' → ');
+}
+
 /**
  * Given handler pairs and the full set of active items on an object, returns
  * warning strings for:
@@ -736,7 +969,7 @@ function buildSteps(pattern, objectName, activeItems, overlaps, preference, hand
 // Produces a narrative paragraph describing why this recommendation exists.
 // ─────────────────────────────────────────────────────────────────────────────
 
-function buildRationale(pattern, objectName, activeItems, overlaps, handlerPairs, ooeAudit) {
+function buildRationale(pattern, objectName, activeItems, overlaps, handlerPairs, ooeAudit, poorlyCovered = []) {
   const deprecated = activeItems.filter((i) => DEPRECATED_TYPES.has(i.automation_type));
   const flows = activeItems.filter((i) => MODERN_FLOW_TYPES.has(i.automation_type));
   const apex = activeItems.filter((i) => APEX_TYPES.has(i.automation_type));
@@ -787,6 +1020,20 @@ function buildRationale(pattern, objectName, activeItems, overlaps, handlerPairs
     );
   }
 
+  // Vendor automation can't be edited, so name the package that owns it
+  const vendorItems = activeItems.filter((i) => i.is_managed_package);
+  if (vendorItems.length > 0) {
+    const owned = vendorItems.map((i) => `"${i.api_name}" is owned by ${packageLabel(i)}`).join('; ');
+    parts.push(`${owned} — vendor automation cannot be edited, so plan the consolidation around it.`);
+  }
+
+  if (poorlyCovered.length > 0) {
+    const names = poorlyCovered.map((i) => `"${i.api_name}" (${i.parsed_data.coveragePercent}%)`).join(', ');
+    parts.push(
+      `Test coverage is below ${LOW_COVERAGE_THRESHOLD}% for ${names} — any refactor is riskier until tests cover the current behavior.`,
+    );
+  }
+
   // Check for triggers with DML in body (anti-pattern)
   const triggersWithBodyDml = apex.filter(
     (t) => t.parsed_data?.hasDmlInBody && !t.parsed_data?.handlerClass,
@@ -804,6 +1051,12 @@ function buildRationale(pattern, objectName, activeItems, overlaps, handlerPairs
       `${fields} ${overlaps.fieldOverlaps.length === 1 ? 'is' : 'are'} written by multiple automations — reconcile values before consolidating.`,
     );
   }
+  if (overlaps.readOverlaps.length > 0) {
+    const fields = overlaps.readOverlaps.map((o) => `"${o.field}"`).join(', ');
+    parts.push(
+      `${fields} ${overlaps.readOverlaps.length === 1 ? 'is' : 'are'} written by one automation and read by another — preserve that dependency when consolidating.`,
+    );
+  }
 
   // Mention high-severity OOE findings so the rationale signals urgency
   if (ooeAudit) {
@@ -854,7 +1107,7 @@ function buildTitle(pattern, objectName, activeItems) {
 // Only generated when there are enough items to justify a standalone rec.
 // ─────────────────────────────────────────────────────────────────────────────
 
-function buildGlobalRecs(allItems, byObject) {
+function buildGlobalRecs(allItems, byObject, profile) {
   const recs = [];
 
   const undocumented = allItems.filter(
@@ -899,6 +1152,107 @@ function buildGlobalRecs(allItems, byObject) {
     });
   }
 
+  // Record-triggered flows whose DML/action/subflow elements have no fault path.
+  // One step per flow naming the exact elements that need a fault connector.
+  const missingFaultPaths = allItems.filter(
+    (i) => i.is_active && !i.is_managed_package && MODERN_FLOW_TYPES.has(i.automation_type) &&
+      (i.parsed_data?.elementsWithoutFaultPath || []).length > 0,
+  );
+  if (missingFaultPaths.length > 0) {
+    const elementTotal = missingFaultPaths.reduce((n, i) => n + i.parsed_data.elementsWithoutFaultPath.length, 0);
+    recs.push({
+      object_name: null,
+      pattern: 'global_fault_paths',
+      title: `Add Fault Paths to ${plural(missingFaultPaths.length, 'Record-Triggered Flow')}`,
+      rationale:
+        `${plural(elementTotal, 'DML, action or subflow element')} in ${plural(missingFaultPaths.length, 'record-triggered flow')} ` +
+        `can fail without a fault path. A failure rolls back the user's whole save with a generic "unhandled fault" error.`,
+      steps: [
+        ...missingFaultPaths.map((flow) =>
+          `In "${flow.api_name}"${flow.object_name ? ` (${flow.object_name})` : ''}, add a fault connector to: ` +
+            `${flow.parsed_data.elementsWithoutFaultPath.map((e) => `${e.element} (${e.type})`).join(', ')}.`),
+        `Route each fault connector to an error-handling path that logs the failure ($Flow.FaultMessage) and, where the save can't proceed, shows a readable Custom Error.`,
+      ],
+      recommended_path: 'Add fault connectors with logging to every DML, action and subflow element',
+      alternative_path: null,
+      severity: 'warning',
+      effort_estimate: elementTotal > 10 ? 'medium' : 'low',
+      affected_ids: missingFaultPaths.map((i) => i.id),
+    });
+  }
+
+  // Flows carrying many obsolete versions or a draft newer than the active version
+  const versionClutter = allItems.filter(
+    (i) => !i.is_managed_package && (
+      (i.parsed_data?.obsoleteVersionCount ?? 0) >= OBSOLETE_FLOW_VERSION_THRESHOLD ||
+      i.parsed_data?.hasNewerDraft === true
+    ),
+  );
+  if (versionClutter.length > 0) {
+    const obsoleteTotal = versionClutter.reduce((n, i) => n + (i.parsed_data.obsoleteVersionCount || 0), 0);
+    const newerDrafts = versionClutter.filter((i) => i.parsed_data.hasNewerDraft);
+    const steps = [];
+    if (obsoleteTotal > 0) {
+      steps.push(
+        `Delete obsolete versions of ${nameList(versionClutter.filter((i) => i.parsed_data.obsoleteVersionCount > 0))} from each flow's version list in Setup — keep only the active version and any version you may need to roll back to.`,
+      );
+    }
+    if (newerDrafts.length > 0) {
+      steps.push(
+        `Review the unactivated drafts of ${nameList(newerDrafts)}: activate them if they contain intended changes, otherwise delete them so the next editor starts from the active version.`,
+      );
+    }
+    recs.push({
+      object_name: null,
+      pattern: 'global_flow_versions',
+      title: `Clean Up Version History of ${plural(versionClutter.length, 'Flow')}`,
+      rationale:
+        `${plural(obsoleteTotal, 'obsolete Flow version')} ${obsoleteTotal === 1 ? 'is' : 'are'} kept across ${plural(versionClutter.length, 'flow')}` +
+        (newerDrafts.length > 0 ? `, and ${plural(newerDrafts.length, 'flow')} ${newerDrafts.length === 1 ? 'has' : 'have'} a draft newer than the active version` : '') +
+        `. Every flow is capped at 50 versions, and stale drafts make it unclear which logic is actually running.`,
+      steps,
+      recommended_path: 'Delete obsolete versions and resolve drafts newer than the active version',
+      alternative_path: null,
+      severity: newerDrafts.length > 0 ? 'warning' : 'info',
+      effort_estimate: 'low',
+      affected_ids: versionClutter.map((i) => i.id),
+    });
+  }
+
+  // Flows and Apex saved with old API versions, grouped into one band per
+  // release year so upgrades can be planned band by band, oldest first
+  const { current, limit, outdated } = outdatedApiVersions(allItems, profile);
+  if (outdated.length > 0) {
+    const bands = new Map();
+    for (const entry of outdated) {
+      // First version of its Spring–Summer–Winter run (API 45.0 = Spring '19)
+      const band = 45 + Math.floor((entry.version - 45) / 3) * 3;
+      if (!bands.has(band)) bands.set(band, []);
+      bands.get(band).push(entry);
+    }
+    const apexCount = outdated.filter(({ item }) => !isFlow(item)).length;
+    recs.push({
+      object_name: null,
+      pattern: 'global_api_versions',
+      title: `Upgrade API Version of ${plural(outdated.length, 'Component')}`,
+      rationale:
+        `${plural(outdated.length, 'active component')} ${outdated.length === 1 ? 'is' : 'are'} saved with an API version more than ` +
+        `${limit} releases behind ${current}.0 (${releaseName(current)}), the oldest ` +
+        `${outdated[0].behind} releases behind. Each keeps its version's behavior, and the release notes to review grow with every release.`,
+      steps: [
+        ...[...bands].map(([first, entries]) =>
+          `API ${first}.0–${first + 2}.0 (${releaseName(first)} – ${releaseName(first + 2)}), ${plural(entries.length, 'component')}: ` +
+            entries.map(({ item, version }) => `"${item.api_name}" (${item.automation_type}, ${version}.0)`).join(', ') + '.'),
+        `Work through the bands oldest first: review the versioned behavior changes in the release notes since each band, raise the API versions to ${current}.0 in a sandbox and re-test the upgraded components before deploying.`,
+      ],
+      recommended_path: `Raise every band to API ${current}.0, oldest band first`,
+      alternative_path: null,
+      severity: apexCount > 0 ? 'warning' : 'info',
+      effort_estimate: outdated.length > 20 ? 'high' : outdated.length > 5 ? 'medium' : 'low',
+      affected_ids: outdated.map(({ item }) => item.id),
+    });
+  }
+
   // Active legacy automation (Workflow Rules + Process Builders): error severity.
   // Create one rec per object so each card can reference specific consolidation
   // candidates (Flows, Apex Triggers) that already exist on that object.
@@ -1011,6 +1365,10 @@ function buildGlobalRecs(allItems, byObject) {
 async function generateRecommendations(scanId, orgId, analysisRunId, inventory, findings, profile, pool) {
   const preference = profile.automation_preference || 'flow_first';
 
+  // Class-to-class references resolved after parsing, for trigger code paths
+  const dependencies = await loadApexDependencies(scanId, pool);
+  const inventoryById = new Map(inventory.map((i) => [i.id, i]));
+
   // Build a lookup of Apex Class items by api_name for handler resolution
   const classMap = {};
   for (const item of inventory) {
@@ -1019,10 +1377,18 @@ async function generateRecommendations(scanId, orgId, analysisRunId, inventory,
     }
   }
 
-  // Group all inventory by object_name (exclude Apex Classes — they have no object)
+  // Group all inventory by object_name (exclude Apex Classes — they have no object).
+  // Event subscribers are grouped by channel instead: they are outside the save order.
   const byObject = {};
+  const byEventChannel = {};
   for (const item of inventory) {
     if (item.automation_type === 'Apex Class') continue;
+    if (EVENT_SUBSCRIBER_TYPES.has(item.automation_type)) {
+      if (!item.object_name) continue;
+      if (!byEventChannel[item.object_name]) byEventChannel[item.object_name] = [];
+      byEventChannel[item.object_name].push(item);
+      continue;
+    }
     const key = item.object_name || '__global__';
     if (!byObject[key]) byObject[key] = [];
     byObject[key].push(item);
@@ -1041,10 +1407,12 @@ async function generateRecommendations(scanId, orgId, analysisRunId, inventory,
     if (pattern === 'clean') continue;
 
     const overlaps = detectOverlaps(activeItems);
-    const ooeAudit = auditOrderOfExecution(activeItems);
+    const apexItems = activeItems.filter((i) => APEX_TYPES.has(i.automation_type));
+    // Recursion guards anywhere on each trigger's code path count for the re-trigger risks
+    const apexSafeguards = new Map(apexItems.map((i) => [i.id, codePathSafeguards(i, dependencies, inventoryById)]));
+    const ooeAudit = auditOrderOfExecution(activeItems, apexSafeguards);
 
     // Resolve handler classes for Apex Triggers in this object group
-    const apexItems = activeItems.filter((i) => APEX_TYPES.has(i.automation_type));
     const handlerPairs = findHandlerPairs(apexItems, classMap);
 
     // Other active non-Apex automation on the same object (for handler conflict detection)
@@ -1055,7 +1423,15 @@ async function generateRecommendations(scanId, orgId, analysisRunId, inventory,
     const itemIds = new Set(items.map((i) => i.id));
     const groupFindings = findings.filter((f) => itemIds.has(f.automation_inventory_id));
     const severity = groupFindings.length > 0 ? worstSeverity(groupFindings) : 'info';
-    const effort = estimateEffort(pattern, activeItems.length);
+    // Everything the triggers run, not just the handler they dispatch to
+    const codePaths = findCodePaths(apexItems, dependencies, inventoryById);
+    const codePathClasses = codePaths.flatMap((p) => p.classes.map((c) => c.item));
+
+    // Poorly tested Apex makes consolidation riskier: more effort, higher priority
+    const poorlyCovered = findPoorlyCovered(apexItems, handlerPairs, codePathClasses);
+    const lowCoverage = poorlyCovered.length > 0;
+    const baseEffort = estimateEffort(pattern, activeItems.length);
+    const effort = lowCoverage ? raiseEffort(baseEffort) : baseEffort;
 
     recommendations.push({
       scan_id: scanId,
@@ -1064,14 +1440,61 @@ async function generateRecommendations(scanId, orgId, analysisRunId, inventory,
       object_name: objectKey,
       pattern,
       title: buildTitle(pattern, objectKey, activeItems),
-      rationale: buildRationale(pattern, objectKey, activeItems, overlaps, handlerPairs, ooeAudit),
-      steps: buildSteps(pattern, objectKey, activeItems, overlaps, preference, handlerPairs, handlerWarnings, ooeAudit),
+      rationale: buildRationale(pattern, objectKey, activeItems, overlaps, handlerPairs, ooeAudit, poorlyCovered),
+      steps: [
+        ...(lowCoverage
+          ? [`Raise test coverage of ${nameList(poorlyCovered)} to at least ${LOW_COVERAGE_THRESHOLD}% so the tests capture current behavior before changing it.`]
+          : []),
+        ...codePaths.map((p) =>
+          `Review the code "${p.trigger.api_name}" runs before changing it: ${formatCodePath(p.classes)} ` +
+            `(${p.classes.length} class${p.classes.length !== 1 ? 'es' : ''}).`),
+        ...buildSteps(pattern, objectKey, activeItems, overlaps, preference, handlerPairs, handlerWarnings, ooeAudit),
+      ],
       ...(PATTERN_PATHS[pattern]?.[preference] || {
         recommended: 'Review and consolidate automation',
         alternative_path: null,
       }),
       severity,
       effort_estimate: effort,
+      // Vendor automation can't be changed by the org, so it doesn't add to the score
+      priority_score: computeScore(
+        severity, activeItems.filter((i) => !i.is_managed_package).length, effort, lowCoverage,
+      ),
+      depends_on: [],
+      affected_ids: activeItems.map((i) => i.id),
+    });
+  }
+
+  // Event channel recommendations
+  for (const [channel, items] of Object.entries(byEventChannel)) {
+    const activeItems = items.filter((i) => i.is_active);
+    const audit = auditEventSubscribers(activeItems);
+    if (audit.risks.length === 0) continue;
+
+    const itemIds = new Set(activeItems.map((i) => i.id));
+    const groupFindings = findings.filter((f) => itemIds.has(f.automation_inventory_id));
+    const severity = groupFindings.length > 0 ? worstSeverity(groupFindings) : 'info';
+    const effort = activeItems.length > 2 ? 'medium' : 'low';
+
+    recommendations.push({
+      scan_id: scanId,
+      org_id: orgId,
+      analysis_run_id: analysisRunId,
+      object_name: channel,
+      pattern: 'event_subscribers',
+      title: `Review Event Subscribers on ${channel}`,
+      rationale:
+        `${channel} has ${plural(activeItems.length, 'active subscriber')}. Event subscribers run asynchronously after the ` +
+        `publishing transaction commits, each in its own transaction and outside the record save order.`,
+      steps: [
+        `Subscribers to ${channel}:\n${audit.subscribers.map((s, i) => `  ${i + 1}. ${s.name} (${s.type})`).join('\n')}`,
+        ...audit.risks.map((r) => r.text),
+        `Make each subscriber self-contained: move logic that depends on another subscriber's result into that subscriber, or publish a follow-up event from it.`,
+      ],
+      recommended_path: 'Keep each event subscriber independent and resilient to failures within its batch',
+      alternative_path: null,
+      severity,
+      effort_estimate: effort,
       priority_score: computeScore(severity, activeItems.length, effort),
       depends_on: [],
       affected_ids: activeItems.map((i) => i.id),
@@ -1079,7 +1502,7 @@ async function generateRecommendations(scanId, orgId, analysisRunId, inventory,
   }
 
   // Global recommendations
-  for (const rec of buildGlobalRecs(inventory, byObject)) {
+  for (const rec of buildGlobalRecs(inventory, byObject, profile)) {
     recommendations.push({
       scan_id: scanId,
       org_id: orgId,
@@ -1132,4 +1555,4 @@ async function generateRecommendations(scanId, orgId, analysisRunId, inventory,
   return count;
 }
 
-module.exports = { generateRecommendations, auditOrderOfExecution };
+module.exports = { generateRecommendations, auditOrderOfExecution, auditEventSubscribers };
@@ -0,0 +1,95 @@
+const pool = require('../db');
+const { createConnection } = require('./connection');
+const { createApiTracker } = require('./apiUsage');
+
+const APEX_TYPES = ['Apex Class', 'Apex Trigger', 'Platform Event Trigger', 'Change Event Trigger'];
+// parsed_data fields written for each Apex item
+const COVERAGE_FIELDS = ['coveragePercent', 'linesCovered', 'linesUncovered', 'coveringTestClasses'];
+
+async function queryAll(api, conn, soql) {
+  let result = await api.call(() => conn.tooling.query(soql));
+  const records = [...result.records];
+  while (!result.done) {
+    const { nextRecordsUrl } = result;
+    result = await api.call(() => conn.tooling.queryMore(nextRecordsUrl));
+    records.push(...result.records);
+  }
+  return records;
+}
+
+function coveragePercent(aggregate) {
+  const total = aggregate.NumLinesCovered + aggregate.NumLinesUncovered;
+  return total > 0 ? Math.round((aggregate.NumLinesCovered / total) * 100) : null;
+}
+
+/**
+ * Reads the org's stored test coverage (from its last test runs) through the
+ * Tooling API and merges it into the parsed_data of the scan's Apex classes
+ * and triggers: coveragePercent, linesCovered, linesUncovered and
+ * coveringTestClasses (the test classes that executed the code). Test classes
+ * (parsed_data.isTestClass, set by the class parser) get no coveragePercent.
+ *
+ * Code with no aggregate row was never executed by a test and gets 0%. When
+ * the org has no coverage data at all (tests never run or coverage cleared)
+ * coveragePercent is left null so it isn't reported as untested.
+ * Managed package code is skipped — its coverage is not visible to the org.
+ * Returns { updatedCount, apiCallCount }.
+ */
+async function captureApexCoverage(org, scanId, onStep = () => {}) {
+  const apexItems = await pool.query(
+    `SELECT ai.id, mi.raw_json->>'Id' AS sf_id,
+            COALESCE((ai.parsed_data->>'isTestClass')::boolean, false) AS is_test_class
+     FROM automation_inventory ai
+     JOIN metadata_items mi ON mi.id = ai.metadata_item_id
+     WHERE mi.scan_id = $1 AND ai.automation_type = ANY($2) AND NOT ai.is_managed_package`,
+    [scanId, APEX_TYPES],
+  );
+  if (apexItems.rows.length === 0) return { updatedCount: 0, apiCallCount: 0 };
+
+  const conn = createConnection(org);
+  const api = createApiTracker(conn);
+
+  onStep('Reading Apex test coverage');
+  const aggregates = await queryAll(
+    api, conn,
+    'SELECT ApexClassOrTriggerId, NumLinesCovered, NumLinesUncovered FROM ApexCodeCoverageAggregate',
+  );
+  // One row per test method and covered class/trigger
+  const perTest = await queryAll(
+    api, conn,
+    'SELECT ApexTestClass.Name, ApexClassOrTriggerId FROM ApexCodeCoverage',
+  );
+
+  const aggregateById = new Map(aggregates.map((a) => [a.ApexClassOrTriggerId, a]));
+  const testsById = new Map();
+  for (const row of perTest) {
+    const testName = row.ApexTestClass?.Name;
+    if (!testName) continue;
+    if (!testsById.has(row.ApexClassOrTriggerId)) testsById.set(row.ApexClassOrTriggerId, new Set());
+    testsById.get(row.ApexClassOrTriggerId).add(testName);
+  }
+  const hasCoverageData = aggregates.length > 0;
+
+  let updatedCount = 0;
+  for (const item of apexItems.rows) {
+    if (!item.sf_id) continue;
+    const aggregate = aggregateById.get(item.sf_id);
+    const coverage = {
+      coveragePercent: item.is_test_class || !hasCoverageData
+        ? null
+        : aggregate ? coveragePercent(aggregate) : 0,
+      linesCovered: aggregate?.NumLinesCovered ?? null,
+      linesUncovered: aggregate?.NumLinesUncovered ?? null,
+      coveringTestClasses: [...(testsById.get(item.sf_id) || [])].sort(),
+    };
+    await pool.query(
+      'UPDATE automation_inventory SET parsed_data = parsed_data || $2::jsonb WHERE id = $1',
+      [item.id, JSON.stringify(coverage)],
+    );
+    updatedCount++;
+  }
+
+  return { updatedCount, apiCallCount: api.count };
+}
+
+module.exports = { captureApexCoverage, COVERAGE_FIELDS };
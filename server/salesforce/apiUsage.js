@@ -0,0 +1,131 @@
+// API call accounting, retry and limit checks for scans against a live org.
+// Every Salesforce request a scan makes goes through tracker.call() so the
+// scan can report what it cost and back off on transient failures.
+
+// Salesforce error codes worth retrying — server hiccups and lock contention.
+// REQUEST_LIMIT_EXCEEDED is handled in isRetryable.
+const RETRYABLE_ERROR_CODES = new Set([
+  'SERVER_UNAVAILABLE',
+  'UNABLE_TO_LOCK_ROW',
+  'QUERY_TIMEOUT',
+]);
+// Node/socket level failures
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'ECONNREFUSED',
+  'EAI_AGAIN',
+  'EPIPE',
+]);
+
+const MAX_RETRIES = 4;
+const BASE_DELAY_MS = 1000;
+
+// Stop scanning once the org has less than this share of its daily API
+// allowance left, so a scan never starves the customer's own integrations.
+const API_RESERVE_RATIO = parseFloat(process.env.SCAN_API_RESERVE_RATIO || '0.1');
+
+// Re-check the org's limit after this many calls
+const LIMIT_CHECK_INTERVAL = 100;
+
+class ApiLimitError extends Error {
+  constructor(remaining, max) {
+    super(
+      `Scan stopped: only ${remaining} of ${max} daily API requests remain ` +
+      `(reserve is ${Math.round(API_RESERVE_RATIO * 100)}%)`,
+    );
+    this.name = 'ApiLimitError';
+  }
+}
+
+function isRetryable(err) {
+  const code = (err.errorCode || err.name || '').replace(/^sf:/, '');
+  if (RETRYABLE_ERROR_CODES.has(code)) return true;
+  // Retry the concurrent-request limit only; "TotalRequests Limit exceeded"
+  // means the 24-hour allowance is used up and waiting won't help
+  if (code === 'REQUEST_LIMIT_EXCEEDED') return /concurrent/i.test(err.message || '');
+  if (RETRYABLE_NETWORK_CODES.has(err.code)) return true;
+  if (err.statusCode === 502 || err.statusCode === 503 || err.statusCode === 504) return true;
+  return /socket hang up|timed? ?out/i.test(err.message || '');
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Tracks the API calls a scan makes against one connection.
+ *   call(fn)      — runs fn() as one API request, retrying with exponential
+ *                   backoff on retryable errors (each attempt is counted)
+ *   checkLimit()  — reads the org's DailyApiRequests and throws ApiLimitError
+ *                   when the remaining allowance is below the reserve
+ *   count         — number of API requests made so far
+ */
+function createApiTracker(conn) {
+  const tracker = {
+    count: 0,
+    sinceLimitCheck: 0,
+
+    async call(fn) {
+      if (tracker.sinceLimitCheck >= LIMIT_CHECK_INTERVAL) await tracker.checkLimit();
+
+      for (let attempt = 0; ; attempt++) {
+        tracker.count++;
+        tracker.sinceLimitCheck++;
+        try {
+          return await fn();
+        } catch (err) {
+          if (attempt >= MAX_RETRIES || !isRetryable(err)) throw err;
+          const delay = BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * BASE_DELAY_MS);
+          console.warn(`Retrying Salesforce request in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES}): ${err.message}`);
+          await sleep(delay);
+        }
+      }
+    },
+
+    async checkLimit() {
+      tracker.sinceLimitCheck = 0;
+      tracker.count++;
+      let limits;
+      try {
+        limits = await conn.limits();
+      } catch (err) {
+        // The limits resource needs "View Setup" — don't fail the scan without it
+        console.warn(`Could not read org API limits: ${err.message}`);
+        return;
+      }
+      const daily = limits?.DailyApiRequests;
+      if (!daily || !daily.Max) return;
+      if (daily.Remaining < daily.Max * API_RESERVE_RATIO) {
+        throw new ApiLimitError(daily.Remaining, daily.Max);
+      }
+    },
+  };
+  return tracker;
+}
+
+/**
+ * Maps items through an async fn with at most `limit` calls in flight.
+ * Results are returned in input order. On the first error no new items are
+ * started, and the error is thrown once the in-flight calls have settled.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        next = items.length; // stop the other workers picking up new items
+        throw err;
+      }
+    }
+  });
+  const settled = await Promise.allSettled(workers);
+  const failed = settled.find((s) => s.status === 'rejected');
+  if (failed) throw failed.reason;
+  return results;
+}
+
+module.exports = { createApiTracker, mapWithConcurrency, ApiLimitError };
@@ -0,0 +1,225 @@
+'use strict';
+
+const JSZip = require('jszip');
+const { XMLParser } = require('fast-xml-parser');
+const pool = require('../db');
+const { normalizeToArray } = require('../parsers/shared');
+
+// Keep every value as a string so the result matches what conn.metadata.read()
+// returns — the parsers compare e.g. active === 'true'.
+const xmlParser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false,
+  removeNSPrefix: true,
+  trimValues: true,
+});
+
+function baseName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+// Strips a source-format (".flow-meta.xml") or mdapi-format (".flow") suffix
+function stripSuffix(fileName, suffix) {
+  for (const ext of [`.${suffix}-meta.xml`, `.${suffix}`]) {
+    if (fileName.endsWith(ext)) return fileName.slice(0, -ext.length);
+  }
+  return null;
+}
+
+// ── Per-type extractors ───────────────────────────────────────────────────────
+// Each turns one archive file into zero or more { type, apiName, raw } entries
+// shaped like the corresponding metadata.read() / Tooling query result.
+
+function extractFlow(name, xml) {
+  const flow = xmlParser.parse(xml).Flow;
+  if (!flow) return [];
+  const raw = { ...flow, fullName: name };
+  const type = raw.processType === 'Workflow' ? 'ProcessBuilder' : 'Flow';
+  return [{ type, apiName: name, raw }];
+}
+
+function extractWorkflow(objectName, xml) {
+  const workflow = xmlParser.parse(xml).Workflow;
+  if (!workflow) return [];
+  return normalizeToArray(workflow.rules).map((rule) => {
+    const fullName = `${objectName}.${rule.fullName}`;
+    return { type: 'WorkflowRule', apiName: fullName, raw: { ...rule, fullName } };
+  });
+}
+
+// mdapi-format objects/Account.object embeds its validation rules
+function extractObjectValidationRules(objectName, xml) {
+  const object = xmlParser.parse(xml).CustomObject;
+  if (!object) return [];
+  return normalizeToArray(object.validationRules).map((rule) => {
+    const fullName = `${objectName}.${rule.fullName}`;
+    return { type: 'ValidationRule', apiName: fullName, raw: { ...rule, fullName } };
+  });
+}
+
+// source-format objects/Account/validationRules/Rule.validationRule-meta.xml
+function extractValidationRule(objectName, ruleName, xml) {
+  const rule = xmlParser.parse(xml).ValidationRule;
+  if (!rule) return [];
+  const fullName = `${objectName}.${ruleName}`;
+  return [{ type: 'ValidationRule', apiName: fullName, raw: { ...rule, fullName } }];
+}
+
+function extractApprovalProcess(name, xml) {
+  const process = xmlParser.parse(xml).ApprovalProcess;
+  if (!process) return [];
+  return [{ type: 'ApprovalProcess', apiName: name, raw: { ...process, fullName: name } }];
+}
+
+// Assignment/AutoResponse/Escalation rules live in one container file per object
+const ROUTING_CONTAINERS = {
+  assignmentRules:   { root: 'AssignmentRules',   child: 'assignmentRule',   type: 'AssignmentRule' },
+  autoResponseRules: { root: 'AutoResponseRules', child: 'autoResponseRule', type: 'AutoResponseRule' },
+  escalationRules:   { root: 'EscalationRules',   child: 'escalationRule',   type: 'EscalationRule' },
+};
+
+function extractRoutingRules(container, objectName, xml) {
+  const { root, child, type } = ROUTING_CONTAINERS[container];
+  const parsed = xmlParser.parse(xml)[root];
+  if (!parsed) return [];
+  return normalizeToArray(parsed[child]).map((rule) => {
+    const fullName = `${objectName}.${rule.fullName}`;
+    return { type, apiName: fullName, raw: { ...rule, fullName } };
+  });
+}
+
+function apexMeta(xml, root) {
+  if (!xml) return {};
+  return xmlParser.parse(xml)[root] || {};
+}
+
+function extractApexClass(name, body, metaXml) {
+  const meta = apexMeta(metaXml, 'ApexClass');
+  return [{
+    type: 'ApexClass',
+    apiName: name,
+    raw: {
+      Name: name,
+      ApiVersion: meta.apiVersion || null,
+      Body: body,
+      Status: meta.status || 'Active',
+      NamespacePrefix: null,
+    },
+  }];
+}
+
+function extractApexTrigger(name, body, metaXml) {
+  const meta = apexMeta(metaXml, 'ApexTrigger');
+  const objectMatch = body.match(/trigger\s+\w+\s+on\s+(\w+)/i);
+  return [{
+    type: 'ApexTrigger',
+    apiName: name,
+    raw: {
+      Name: name,
+      ApiVersion: meta.apiVersion || null,
+      Body: body,
+      Status: meta.status || 'Active',
+      TableEnumOrId: objectMatch ? objectMatch[1] : null,
+      NamespacePrefix: null,
+    },
+  }];
+}
+
+// ── Archive walk ──────────────────────────────────────────────────────────────
+
+/**
+ * Loads an uploaded zip into memory. Throws if the buffer is not a valid zip.
+ */
+async function loadArchive(buffer) {
+  return JSZip.loadAsync(buffer);
+}
+
+/**
+ * Walks every file in the archive and returns the metadata entries it contains.
+ * Matching is by file name, so SFDX projects (force-app/main/default/...),
+ * mdapi retrieves (unpackaged/...) and zips with an extra top-level folder
+ * all work the same way.
+ */
+async function extractEntries(zip) {
+  const files = Object.values(zip.files).filter((f) => !f.dir && !f.name.startsWith('__MACOSX/'));
+  const byPath = new Map(files.map((f) => [f.name, f]));
+  const read = (file) => file.async('string');
+  const entries = [];
+
+  for (const file of files) {
+    const path = file.name;
+    const fileName = baseName(path);
+    const segments = path.split('/');
+    const parentDir = segments[segments.length - 2] || '';
+    const routingContainer = Object.keys(ROUTING_CONTAINERS).find(
+      (c) => stripSuffix(fileName, c) !== null,
+    );
+    let name;
+
+    try {
+      if ((name = stripSuffix(fileName, 'flow')) !== null) {
+        entries.push(...extractFlow(name, await read(file)));
+      } else if ((name = stripSuffix(fileName, 'workflow')) !== null) {
+        entries.push(...extractWorkflow(name, await read(file)));
+      } else if ((name = stripSuffix(fileName, 'validationRule')) !== null) {
+        // .../objects/<Object>/validationRules/<Rule>.validationRule-meta.xml
+        const objectName = segments[segments.length - 3];
+        entries.push(...extractValidationRule(objectName, name, await read(file)));
+      } else if (parentDir === 'objects' && fileName.endsWith('.object')) {
+        entries.push(...extractObjectValidationRules(fileName.slice(0, -'.object'.length), await read(file)));
+      } else if ((name = stripSuffix(fileName, 'approvalProcess')) !== null) {
+        entries.push(...extractApprovalProcess(name, await read(file)));
+      } else if (routingContainer) {
+        const objectName = stripSuffix(fileName, routingContainer);
+        entries.push(...extractRoutingRules(routingContainer, objectName, await read(file)));
+      } else if (fileName.endsWith('.cls')) {
+        const meta = byPath.get(`${path}-meta.xml`);
+        entries.push(...extractApexClass(fileName.slice(0, -4), await read(file), meta && await read(meta)));
+      } else if (fileName.endsWith('.trigger')) {
+        const meta = byPath.get(`${path}-meta.xml`);
+        entries.push(...extractApexTrigger(fileName.slice(0, -8), await read(file), meta && await read(meta)));
+      }
+    } catch (err) {
+      console.warn(`Skipping archive file '${path}': ${err.message}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * File-based counterpart to runMetadataScan: writes the archive entries (from
+ * extractEntries) into metadata_items for scanId, in the same shape a live
+ * scan uses.
+ * Returns { fetchedCount, reusedCount, baseScanId, apiCallCount } like runMetadataScan.
+ */
+async function runArchiveImport(org, scanId, entries, onStep = () => {}) {
+  // An SFDX repo can hold the same component in several package directories —
+  // keep the first occurrence so the inventory has one row per component.
+  const seen = new Set();
+  const unique = entries.filter((e) => {
+    const key = `${e.type}:${e.apiName}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  onStep(`Importing ${unique.length} component${unique.length !== 1 ? 's' : ''}`);
+  // One statement, so a failure leaves no partial snapshot behind to analyze
+  await pool.query(
+    `INSERT INTO metadata_items (scan_id, org_id, type, api_name, label, raw_json)
+     SELECT $1, $2, t.type, t.api_name, t.api_name, t.raw_json::jsonb
+     FROM unnest($3::text[], $4::text[], $5::text[]) AS t(type, api_name, raw_json)`,
+    [
+      scanId, org.id,
+      unique.map((e) => e.type),
+      unique.map((e) => e.apiName),
+      unique.map((e) => JSON.stringify(e.raw)),
+    ],
+  );
+
+  console.log(`Imported ${unique.length} components from archive for scan ${scanId}`);
+  return { fetchedCount: unique.length, reusedCount: 0, baseScanId: null, apiCallCount: 0 };
+}
+
+module.exports = { loadArchive, extractEntries, runArchiveImport };
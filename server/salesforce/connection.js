@@ -1,7 +1,13 @@
 const jsforce = require('jsforce');
 const pool = require('../db');
 
+// Salesforce API version every connection reads the org with
+const API_VERSION = '59.0';
+
 function createConnection(org) {
+  if (org.source === 'file') {
+    throw new Error(`Org "${org.name}" was imported from files and has no Salesforce connection`);
+  }
   const conn = new jsforce.Connection({
     oauth2: {
       clientId: process.env.SF_CLIENT_ID,
@@ -11,7 +17,7 @@ function createConnection(org) {
     instanceUrl: org.instance_url,
     accessToken: org.access_token,
     refreshToken: org.refresh_token,
-    version: '59.0',
+    version: API_VERSION,
   });
 
   // Persist refreshed tokens back to DB
@@ -25,4 +31,4 @@ function createConnection(org) {
   return conn;
 }
 
-module.exports = { createConnection };
+module.exports = { createConnection, API_VERSION };
@@ -0,0 +1,103 @@
+const pool = require('../db');
+const { createConnection } = require('./connection');
+const { createApiTracker } = require('./apiUsage');
+
+const FLOW_TYPES = [
+  'Record-Triggered Flow', 'Autolaunched Flow', 'Platform Event-Triggered Flow', 'Screen Flow', 'Process Builder',
+];
+const DRAFT_STATUSES = new Set(['Draft', 'InvalidDraft']);
+// parsed_data fields written by summarizeVersions()
+const VERSION_FIELDS = [
+  'versionCount', 'activeVersionNumber', 'latestVersionNumber',
+  'obsoleteVersionCount', 'draftVersionCount', 'hasNewerDraft',
+];
+
+async function queryAll(api, conn, soql) {
+  let result = await api.call(() => conn.tooling.query(soql));
+  const records = [...result.records];
+  while (!result.done) {
+    const { nextRecordsUrl } = result;
+    result = await api.call(() => conn.tooling.queryMore(nextRecordsUrl));
+    records.push(...result.records);
+  }
+  return records;
+}
+
+/**
+ * Summarizes one flow definition's versions into the parsed_data fields:
+ * versionCount, activeVersionNumber, latestVersionNumber, obsoleteVersionCount,
+ * draftVersionCount and hasNewerDraft (a draft saved after the active version).
+ */
+function summarizeVersions(definition, versions) {
+  const active = versions.find((v) => v.Id === definition.ActiveVersionId);
+  const latest = versions.find((v) => v.Id === definition.LatestVersionId);
+  return {
+    versionCount: versions.length,
+    activeVersionNumber: active?.VersionNumber ?? null,
+    latestVersionNumber: latest?.VersionNumber ?? null,
+    obsoleteVersionCount: versions.filter((v) => v.Status === 'Obsolete').length,
+    draftVersionCount: versions.filter((v) => DRAFT_STATUSES.has(v.Status)).length,
+    hasNewerDraft: !!(
+      active && latest &&
+      DRAFT_STATUSES.has(latest.Status) &&
+      latest.VersionNumber > active.VersionNumber
+    ),
+  };
+}
+
+/**
+ * metadata.list('Flow') only returns the active (or latest) version of each
+ * flow. Reads every version through the Tooling API and merges the version
+ * summary into the parsed_data of the scan's flow inventory items.
+ * Returns { updatedCount, apiCallCount }.
+ */
+async function captureFlowVersions(org, scanId, onStep = () => {}) {
+  const flows = await pool.query(
+    `SELECT ai.id, ai.api_name
+     FROM automation_inventory ai
+     JOIN metadata_items mi ON mi.id = ai.metadata_item_id
+     WHERE mi.scan_id = $1 AND ai.automation_type = ANY($2)`,
+    [scanId, FLOW_TYPES],
+  );
+  if (flows.rows.length === 0) return { updatedCount: 0, apiCallCount: 0 };
+
+  const conn = createConnection(org);
+  const api = createApiTracker(conn);
+
+  onStep('Reading Flow version history');
+  const definitions = await queryAll(
+    api, conn,
+    'SELECT Id, DeveloperName, NamespacePrefix, ActiveVersionId, LatestVersionId FROM FlowDefinition',
+  );
+  const versions = await queryAll(
+    api, conn,
+    'SELECT Id, DefinitionId, VersionNumber, Status FROM Flow',
+  );
+
+  const versionsByDefinition = new Map();
+  for (const v of versions) {
+    if (!versionsByDefinition.has(v.DefinitionId)) versionsByDefinition.set(v.DefinitionId, []);
+    versionsByDefinition.get(v.DefinitionId).push(v);
+  }
+  // Flow fullNames carry the namespace as "ns__Name"
+  const definitionsByName = new Map(definitions.map((d) => [
+    d.NamespacePrefix ? `${d.NamespacePrefix}__${d.DeveloperName}` : d.DeveloperName,
+    d,
+  ]));
+
+  let updatedCount = 0;
+  for (const flow of flows.rows) {
+    const definition = definitionsByName.get(flow.api_name);
+    if (!definition) continue;
+    const summary = summarizeVersions(definition, versionsByDefinition.get(definition.Id) || []);
+    await pool.query(
+      'UPDATE automation_inventory SET parsed_data = parsed_data || $2::jsonb WHERE id = $1',
+      [flow.id, JSON.stringify(summary)],
+    );
+    updatedCount++;
+  }
+
+  return { updatedCount, apiCallCount: api.count };
+}
+
+module.exports = { captureFlowVersions, VERSION_FIELDS };
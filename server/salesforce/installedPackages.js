@@ -0,0 +1,80 @@
+const pool = require('../db');
+const { createConnection } = require('./connection');
+const { createApiTracker } = require('./apiUsage');
+const { NAMESPACE_PREFIX } = require('../parsers/shared');
+
+// Metadata component names carry their namespace as "ns__Name"; rule types are
+// "Object.ns__Name", where the object part says nothing about who owns the rule
+function namespaceCandidate(apiName) {
+  const name = apiName.includes('.') ? apiName.slice(apiName.indexOf('.') + 1) : apiName;
+  const match = name.match(NAMESPACE_PREFIX);
+  return match ? match[1] : null;
+}
+
+function formatVersion(version) {
+  if (!version || version.MajorVersion == null) return null;
+  const parts = [version.MajorVersion, version.MinorVersion ?? 0];
+  if (version.PatchVersion) parts.push(version.PatchVersion);
+  return parts.join('.');
+}
+
+/**
+ * Reads the org's installed packages and resolves each inventory item's
+ * namespace to the package that owns it. Sets is_managed_package from the
+ * installed namespaces (replacing the parse-time "xx__" guess) and stores
+ * package_namespace, package_name and package_version on the inventory rows.
+ * Returns { packageCount, updatedCount, apiCallCount }.
+ */
+async function captureInstalledPackages(org, scanId, onStep = () => {}) {
+  const conn = createConnection(org);
+  const api = createApiTracker(conn);
+
+  onStep('Reading installed packages');
+  const result = await api.call(() => conn.tooling.query(
+    `SELECT SubscriberPackage.NamespacePrefix, SubscriberPackage.Name,
+            SubscriberPackageVersion.MajorVersion, SubscriberPackageVersion.MinorVersion,
+            SubscriberPackageVersion.PatchVersion
+     FROM InstalledSubscriberPackage`,
+  ));
+
+  // Unmanaged packages have no namespace and don't own their components
+  const packages = new Map();
+  for (const record of result.records) {
+    const namespace = record.SubscriberPackage?.NamespacePrefix;
+    if (!namespace) continue;
+    packages.set(namespace.toLowerCase(), {
+      namespace,
+      name: record.SubscriberPackage.Name,
+      version: formatVersion(record.SubscriberPackageVersion),
+    });
+  }
+
+  const items = await pool.query(
+    `SELECT ai.id, ai.api_name, ai.is_managed_package, ai.package_name,
+            mi.raw_json->>'NamespacePrefix' AS namespace_prefix
+     FROM automation_inventory ai
+     JOIN metadata_items mi ON mi.id = ai.metadata_item_id
+     WHERE mi.scan_id = $1`,
+    [scanId],
+  );
+
+  let updatedCount = 0;
+  for (const item of items.rows) {
+    // Apex reports its namespace directly; everything else is read from the name
+    const namespace = item.namespace_prefix?.trim() || namespaceCandidate(item.api_name);
+    const pkg = namespace ? packages.get(namespace.toLowerCase()) : null;
+    if (!pkg && !item.is_managed_package && !item.package_name) continue;
+
+    await pool.query(
+      `UPDATE automation_inventory
+       SET is_managed_package = $2, package_namespace = $3, package_name = $4, package_version = $5
+       WHERE id = $1`,
+      [item.id, !!pkg, pkg?.namespace ?? null, pkg?.name ?? null, pkg?.version ?? null],
+    );
+    updatedCount++;
+  }
+
+  return { packageCount: packages.size, updatedCount, apiCallCount: api.count };
+}
+
+module.exports = { captureInstalledPackages };
@@ -0,0 +1,117 @@
+const pool = require('../db');
+const { createConnection } = require('./connection');
+const { createApiTracker, mapWithConcurrency } = require('./apiUsage');
+
+// describe() calls in flight at once
+const DESCRIBE_CONCURRENCY = 3;
+
+// Describe errors that mean the object itself does not exist (deleted/renamed)
+const MISSING_OBJECT_CODES = new Set(['NOT_FOUND', 'INVALID_TYPE']);
+
+function summarizeField(field) {
+  const isPicklist = field.type === 'picklist' || field.type === 'multipicklist';
+  return {
+    name: field.name,
+    label: field.label,
+    type: field.type,
+    isCustom: !!field.custom,
+    isFormula: !!field.calculated,
+    formula: field.calculatedFormula || null,
+    updateable: !!field.updateable,
+    nillable: !!field.nillable,
+    length: field.length || null,
+    referenceTo: field.referenceTo || [],
+    ...(isPicklist && {
+      picklistValues: (field.picklistValues || []).filter((v) => v.active).map((v) => v.value),
+    }),
+  };
+}
+
+function summarizeRecordType(recordType) {
+  return {
+    id: recordType.recordTypeId,
+    name: recordType.name,
+    developerName: recordType.developerName,
+    active: !!recordType.active,
+    isMaster: !!recordType.master,
+  };
+}
+
+/**
+ * Describes every object referenced by the scan's inventory and stores its
+ * fields and record types in object_schemas. Objects the org no longer has are
+ * stored with found = false. Returns { describedCount, apiCallCount }.
+ */
+async function captureObjectSchemas(org, scanId, onStep = () => {}) {
+  const objects = await pool.query(
+    `SELECT DISTINCT ai.object_name
+     FROM automation_inventory ai
+     JOIN metadata_items mi ON mi.id = ai.metadata_item_id
+     WHERE mi.scan_id = $1 AND ai.object_name IS NOT NULL
+     ORDER BY ai.object_name`,
+    [scanId],
+  );
+  const objectNames = objects.rows.map((r) => r.object_name);
+  if (objectNames.length === 0) return { describedCount: 0, apiCallCount: 0 };
+
+  const conn = createConnection(org);
+  const api = createApiTracker(conn);
+  let describedCount = 0;
+
+  onStep(`Describing ${objectNames.length} object${objectNames.length !== 1 ? 's' : ''}`);
+  await mapWithConcurrency(objectNames, DESCRIBE_CONCURRENCY, async (objectName) => {
+    let describe;
+    try {
+      describe = await api.call(() => conn.describe(objectName));
+    } catch (err) {
+      if (!MISSING_OBJECT_CODES.has(err.errorCode)) {
+        console.warn(`Skipping describe of '${objectName}': ${err.message}`);
+        return;
+      }
+      describe = null;
+    }
+
+    await pool.query(
+      `INSERT INTO object_schemas
+         (scan_id, org_id, object_name, found, label, is_custom, fields, record_types)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (scan_id, object_name) DO NOTHING`,
+      [
+        scanId, org.id, objectName, !!describe,
+        describe?.label ?? null,
+        describe ? !!describe.custom : null,
+        JSON.stringify(describe ? describe.fields.map(summarizeField) : []),
+        JSON.stringify(describe ? (describe.recordTypeInfos || []).map(summarizeRecordType) : []),
+      ],
+    );
+    describedCount++;
+  });
+
+  return { describedCount, apiCallCount: api.count };
+}
+
+/**
+ * Loads a scan's object schemas for field-aware rules and generators.
+ * Returns a Map keyed by lower-cased object name (API names are
+ * case-insensitive) of { objectName, found, label, fields, recordTypes },
+ * where fields is itself a Map keyed by lower-cased field name.
+ */
+async function loadObjectSchemas(scanId) {
+  const rows = await pool.query(
+    `SELECT object_name, found, label, fields, record_types
+     FROM object_schemas WHERE scan_id = $1`,
+    [scanId],
+  );
+  return new Map(rows.rows.map((r) => [
+    r.object_name.toLowerCase(),
+    {
+      objectName: r.object_name,
+      found: r.found,
+      label: r.label,
+      fields: new Map(r.fields.map((f) => [f.name.toLowerCase(), f])),
+      recordTypes: r.record_types,
+    },
+  ]));
+}
+
+module.exports = { captureObjectSchemas, loadObjectSchemas };
@@ -1,29 +1,203 @@
 const pool = require('../db');
 const { createConnection } = require('./connection');
+const { createApiTracker, mapWithConcurrency, ApiLimitError } = require('./apiUsage');
+const { CancelledError } = require('../services/cancellation');
 
-const METADATA_TYPES = ['Flow', 'WorkflowRule'];
+// Everything that participates in the record save order. The rule types are
+// child components ("Object.RuleName"), read individually like WorkflowRule.
+const METADATA_TYPES = [
+  'Flow',
+  'WorkflowRule',
+  'ValidationRule',
+  'ApprovalProcess',
+  'AssignmentRule',
+  'AutoResponseRule',
+  'EscalationRule',
+];
 const READ_BATCH_SIZE = 10;
+// metadata.read() batches in flight at once — kept low to stay well under the
+// org's concurrent request limit
+const READ_CONCURRENCY = 3;
+
+// Max Ids per "WHERE Id IN (...)" Tooling query when fetching changed bodies
+const TOOLING_ID_BATCH_SIZE = 200;
 
 const TOOLING_QUERIES = [
   {
     type: 'ApexClass',
-    soql: 'SELECT Id, Name, ApiVersion, Body, Status, NamespacePrefix FROM ApexClass ORDER BY Name',
+    fields: 'Id, Name, ApiVersion, Body, Status, NamespacePrefix, '
+      + 'CreatedDate, CreatedBy.Name, LastModifiedDate, LastModifiedBy.Name',
   },
   {
     type: 'ApexTrigger',
-    soql: 'SELECT Id, Name, ApiVersion, Body, Status, TableEnumOrId, NamespacePrefix FROM ApexTrigger ORDER BY Name',
+    fields: 'Id, Name, ApiVersion, Body, Status, TableEnumOrId, NamespacePrefix, '
+      + 'CreatedDate, CreatedBy.Name, LastModifiedDate, LastModifiedBy.Name',
   },
 ];
 
-async function runMetadataScan(org, scanId, onStep = () => {}) {
+// ── Delta scan helpers ────────────────────────────────────────────────────────
+
+// Flows are listed as 'Flow' but Process Builders are stored under their own type
+function storedTypesFor(type) {
+  return type === 'Flow' ? ['Flow', 'ProcessBuilder'] : [type];
+}
+
+function toTimestamp(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  // Some child types (e.g. WorkflowRule) report the epoch instead of a real date —
+  // treat that as unknown so the component is always re-read.
+  return Number.isNaN(time) || time <= 0 ? null : time;
+}
+
+// ── Ownership ─────────────────────────────────────────────────────────────────
+
+// Who created/last changed a component, from a metadata.list() FileProperties entry
+function ownershipFromListing(c) {
+  return {
+    createdByName: c.createdByName || null,
+    createdDate: toTimestamp(c.createdDate) === null ? null : c.createdDate,
+    lastModifiedByName: c.lastModifiedByName || null,
+    lastModifiedDate: toTimestamp(c.lastModifiedDate) === null ? null : c.lastModifiedDate,
+  };
+}
+
+function ownershipFromTooling(record) {
+  return {
+    createdByName: record.CreatedBy?.Name || null,
+    createdDate: record.CreatedDate || null,
+    lastModifiedByName: record.LastModifiedBy?.Name || null,
+    lastModifiedDate: record.LastModifiedDate || null,
+  };
+}
+
+/**
+ * Loads the metadata items of the org's most recent completed scan, keyed by
+ * "type:api_name", so unchanged components can be copied forward.
+ * Returns { baseScanId, items } — baseScanId is null when there is no prior scan.
+ */
+async function loadPriorItems(orgId, scanId) {
+  const prior = await pool.query(
+    `SELECT id FROM scans
+     WHERE org_id = $1 AND status = 'completed' AND id <> $2
+     ORDER BY completed_at DESC LIMIT 1`,
+    [orgId, scanId],
+  );
+  if (prior.rows.length === 0) return { baseScanId: null, items: new Map() };
+
+  const baseScanId = prior.rows[0].id;
+  const rows = await pool.query(
+    'SELECT id, type, api_name, last_modified_date FROM metadata_items WHERE scan_id = $1',
+    [baseScanId],
+  );
+  const items = new Map(rows.rows.map((r) => [`${r.type}:${r.api_name}`, r]));
+  return { baseScanId, items };
+}
+
+function findUnchanged(priorItems, type, apiName, lastModifiedDate) {
+  const current = toTimestamp(lastModifiedDate);
+  if (current === null) return null;
+  for (const storedType of storedTypesFor(type)) {
+    const prior = priorItems.get(`${storedType}:${apiName}`);
+    if (prior && toTimestamp(prior.last_modified_date) === current) return prior;
+  }
+  return null;
+}
+
+/**
+ * Copies a metadata item and its parsed inventory row from a prior scan into
+ * the current scan. parseInventory skips items that already have inventory;
+ * rows parsed by an older PARSER_VERSION are re-parsed after it (executeScan).
+ */
+async function copyForward(priorItem, scanId) {
+  const copied = await pool.query(
+    `INSERT INTO metadata_items
+       (scan_id, org_id, type, api_name, label, raw_json,
+        created_by_name, created_date, last_modified_by_name, last_modified_date)
+     SELECT $1, org_id, type, api_name, label, raw_json,
+            created_by_name, created_date, last_modified_by_name, last_modified_date
+     FROM metadata_items WHERE id = $2
+     RETURNING id`,
+    [scanId, priorItem.id],
+  );
+  await pool.query(
+    `INSERT INTO automation_inventory
+       (metadata_item_id, org_id, automation_type, api_name, label,
+        object_name, trigger_events, is_active, has_description,
+        is_managed_package, parsed_data, llm_summary, llm_summary_generated_at,
+        created_by_name, created_date, last_modified_by_name, last_modified_date,
+        package_namespace, package_name, package_version, parser_version)
+     SELECT $1, org_id, automation_type, api_name, label,
+            object_name, trigger_events, is_active, has_description,
+            is_managed_package, parsed_data, llm_summary, llm_summary_generated_at,
+            created_by_name, created_date, last_modified_by_name, last_modified_date,
+            package_namespace, package_name, package_version, parser_version
+     FROM automation_inventory WHERE metadata_item_id = $2`,
+    [copied.rows[0].id, priorItem.id],
+  );
+}
+
+async function insertItem(org, scanId, type, apiName, raw, ownership = {}) {
+  await pool.query(
+    `INSERT INTO metadata_items
+       (scan_id, org_id, type, api_name, label, raw_json,
+        created_by_name, created_date, last_modified_by_name, last_modified_date)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      scanId, org.id, type, apiName, apiName, JSON.stringify(raw),
+      ownership.createdByName || null, ownership.createdDate || null,
+      ownership.lastModifiedByName || null, ownership.lastModifiedDate || null,
+    ],
+  );
+}
+
+async function queryAllTooling(api, conn, soql) {
+  let result = await api.call(() => conn.tooling.query(soql));
+  const records = [...result.records];
+  while (!result.done) {
+    const { nextRecordsUrl } = result;
+    result = await api.call(() => conn.tooling.queryMore(nextRecordsUrl));
+    records.push(...result.records);
+  }
+  return records;
+}
+
+// ── Scan ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Retrieves automation metadata from the org into metadata_items for scanId.
+ * Unless options.full is set, components whose last-modified date matches the
+ * org's previous completed scan are copied forward instead of re-read.
+ * Returns { fetchedCount, reusedCount, baseScanId, apiCallCount }. Errors
+ * thrown carry apiCallCount too, so failed scans can still be costed.
+ */
+async function runMetadataScan(org, scanId, onStep = () => {}, options = {}) {
   const conn = createConnection(org);
+  const api = createApiTracker(conn);
+  try {
+    return await scanOrg(org, scanId, onStep, options, conn, api);
+  } catch (err) {
+    err.apiCallCount = api.count;
+    throw err;
+  }
+}
+
+async function scanOrg(org, scanId, onStep, options, conn, api) {
+  onStep('Checking org API limits');
+  await api.checkLimit();
+
+  const { baseScanId, items: priorItems } = options.full
+    ? { baseScanId: null, items: new Map() }
+    : await loadPriorItems(org.id, scanId);
+  let fetchedCount = 0;
+  let reusedCount = 0;
 
-  // Metadata API types (Flow, WorkflowRule)
+  // Metadata API types (Flow, WorkflowRule, validation/approval/routing rules)
   for (const type of METADATA_TYPES) {
     onStep(`Listing ${type} metadata`);
     let listResult;
     try {
-      listResult = await conn.metadata.list([{ type }]);
+      listResult = await api.call(() => conn.metadata.list([{ type }]));
     } catch (err) {
       if (err.errorCode === 'sf:INVALID_TYPE') {
         console.warn(`Skipping metadata type '${type}': list() failed — not available in this org`);
@@ -46,74 +220,126 @@ async function runMetadataScan(org, scanId, onStep = () => {}) {
 
     console.log(`Found ${components.length} components for type '${type}'`);
 
-    // Read full metadata in batches of 10 (Salesforce API limit)
-    const fullNames = components.map((c) => c.fullName);
-    const totalBatches = Math.ceil(fullNames.length / READ_BATCH_SIZE);
+    // Split into components unchanged since the base scan and ones that need a read
+    const ownershipByName = new Map(components.map((c) => [c.fullName, ownershipFromListing(c)]));
+    const changed = [];
+    const unchanged = [];
+    for (const c of components) {
+      const prior = findUnchanged(priorItems, type, c.fullName, c.lastModifiedDate);
+      if (prior) unchanged.push(prior);
+      else changed.push(c.fullName);
+    }
 
-    for (let i = 0; i < fullNames.length; i += READ_BATCH_SIZE) {
-      const batchNum = Math.floor(i / READ_BATCH_SIZE) + 1;
-      if (totalBatches > 1) {
-        onStep(`Reading ${type} (batch ${batchNum}/${totalBatches})`);
-      } else {
-        onStep(`Reading ${components.length} ${type} item${components.length !== 1 ? 's' : ''}`);
-      }
+    if (unchanged.length > 0) {
+      onStep(`Reusing ${unchanged.length} unchanged ${type} item${unchanged.length !== 1 ? 's' : ''}`);
+      for (const prior of unchanged) await copyForward(prior, scanId);
+      reusedCount += unchanged.length;
+    }
+
+    // Read full metadata in batches of 10 (Salesforce API limit), a few batches at a time
+    const batches = [];
+    for (let i = 0; i < changed.length; i += READ_BATCH_SIZE) {
+      batches.push(changed.slice(i, i + READ_BATCH_SIZE));
+    }
+    let invalidType = false;
+    let batchesDone = 0;
 
-      const batch = fullNames.slice(i, i + READ_BATCH_SIZE);
+    await mapWithConcurrency(batches, READ_CONCURRENCY, async (batch) => {
+      if (invalidType) return;
       let readResult;
       try {
-        readResult = await conn.metadata.read(type, batch);
+        readResult = await api.call(() => conn.metadata.read(type, batch));
       } catch (err) {
         if (err.errorCode === 'sf:INVALID_TYPE') {
-          console.warn(`Skipping metadata type '${type}': read() failed — not available in this org`);
-          break;
+          if (!invalidType) {
+            console.warn(`Skipping metadata type '${type}': read() failed — not available in this org`);
+          }
+          invalidType = true;
+          return;
         }
         throw err;
       }
+      batchesDone++;
+      if (batches.length > 1) {
+        onStep(`Reading ${type} (batch ${batchesDone}/${batches.length})`);
+      } else {
+        onStep(`Reading ${changed.length} ${type} item${changed.length !== 1 ? 's' : ''}`);
+      }
       const items = Array.isArray(readResult) ? readResult : [readResult];
 
       for (const item of items) {
         const storedType = type === 'Flow' && item.processType === 'Workflow'
           ? 'ProcessBuilder'
           : type;
-        await pool.query(
-          `INSERT INTO metadata_items (scan_id, org_id, type, api_name, label, raw_json)
-           VALUES ($1, $2, $3, $4, $5, $6)`,
-          [scanId, org.id, storedType, item.fullName, item.fullName, JSON.stringify(item)]
+        await insertItem(
+          org, scanId, storedType, item.fullName, item,
+          ownershipByName.get(item.fullName),
         );
+        fetchedCount++;
       }
-    }
+    });
   }
 
   // Tooling API types (ApexClass, ApexTrigger)
-  for (const { type, soql } of TOOLING_QUERIES) {
+  for (const { type, fields } of TOOLING_QUERIES) {
     onStep(`Querying ${type}`);
     try {
-      let result = await conn.tooling.query(soql);
-      const records = [...result.records];
+      const hasPrior = [...priorItems.values()].some((p) => p.type === type);
+
+      let records;
+      if (!hasPrior) {
+        records = await queryAllTooling(api, conn, `SELECT ${fields} FROM ${type} ORDER BY Name`);
+      } else {
+        // List first without Body, then fetch full records only for what changed
+        const listed = await queryAllTooling(
+          api,
+          conn,
+          `SELECT Id, Name, LastModifiedDate FROM ${type} ORDER BY Name`,
+        );
+        const changedIds = [];
+        const unchanged = [];
+        for (const record of listed) {
+          const prior = findUnchanged(priorItems, type, record.Name, record.LastModifiedDate);
+          if (prior) unchanged.push(prior);
+          else changedIds.push(record.Id);
+        }
+
+        if (unchanged.length > 0) {
+          onStep(`Reusing ${unchanged.length} unchanged ${type} item${unchanged.length !== 1 ? 's' : ''}`);
+          for (const prior of unchanged) await copyForward(prior, scanId);
+          reusedCount += unchanged.length;
+        }
 
-      while (!result.done) {
-        result = await conn.tooling.queryMore(result.nextRecordsUrl);
-        records.push(...result.records);
+        records = [];
+        for (let i = 0; i < changedIds.length; i += TOOLING_ID_BATCH_SIZE) {
+          const idList = changedIds
+            .slice(i, i + TOOLING_ID_BATCH_SIZE)
+            .map((id) => `'${id}'`)
+            .join(', ');
+          records.push(
+            ...(await queryAllTooling(api, conn, `SELECT ${fields} FROM ${type} WHERE Id IN (${idList})`)),
+          );
+        }
       }
 
       if (records.length === 0) {
-        console.log(`No components found for type '${type}'`);
+        console.log(`No new or changed components found for type '${type}'`);
         continue;
       }
 
-      console.log(`Found ${records.length} components for type '${type}'`);
+      console.log(`Fetched ${records.length} components for type '${type}'`);
 
       for (const record of records) {
-        await pool.query(
-          `INSERT INTO metadata_items (scan_id, org_id, type, api_name, label, raw_json)
-           VALUES ($1, $2, $3, $4, $5, $6)`,
-          [scanId, org.id, type, record.Name, record.Name, JSON.stringify(record)]
-        );
+        await insertItem(org, scanId, type, record.Name, record, ownershipFromTooling(record));
+        fetchedCount++;
       }
     } catch (err) {
+      if (err instanceof ApiLimitError || err instanceof CancelledError) throw err;
       console.warn(`Skipping type '${type}': ${err.message}`);
     }
   }
+
+  return { fetchedCount, reusedCount, baseScanId, apiCallCount: api.count };
 }
 
 module.exports = { runMetadataScan };
@@ -0,0 +1,143 @@
+'use strict';
+
+const pool = require('../db');
+const { runAnalysis } = require('../rules/evaluator');
+const { loadActiveRules } = require('../rules/loader');
+const { generateRecommendations } = require('../rules/recommendationEngine');
+const { loadObjectSchemas } = require('../salesforce/objectSchema');
+const { loadApexDependencies } = require('../parsers/apexDependencies');
+const { runPostAnalysisLlm, runConflictDetection } = require('./llmBackground');
+const cancellation = require('./cancellation');
+
+const DEFAULT_PROFILE = {
+  automation_preference: 'flow_first',
+  active_rule_layers: ['platform', 'quality', 'risk', 'housekeeping'],
+  suppressed_rule_ids: [],
+  naming_convention_pattern: null,
+};
+
+// ── Analysis run ──────────────────────────────────────────────────────────────
+// Shared by POST /api/scans/:id/analysis and the scheduler.
+
+async function createAnalysisRun(scan) {
+  const result = await pool.query(
+    `INSERT INTO analysis_runs (scan_id, org_id, finding_count, status)
+     VALUES ($1, $2, 0, 'running') RETURNING id`,
+    [scan.id, scan.org_id],
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Removes everything a cancelled analysis run wrote so far and marks it cancelled.
+ */
+async function markRunCancelled(runId) {
+  await pool.query('DELETE FROM automation_conflicts WHERE analysis_run_id = $1', [runId]);
+  await pool.query(
+    'DELETE FROM recommendation_items WHERE recommendation_id IN (SELECT id FROM recommendations WHERE analysis_run_id = $1)',
+    [runId],
+  );
+  await pool.query('DELETE FROM recommendations WHERE analysis_run_id = $1', [runId]);
+  await pool.query('DELETE FROM findings WHERE analysis_run_id = $1', [runId]);
+  await pool.query(
+    `UPDATE analysis_runs SET status = 'cancelled', finding_count = 0 WHERE id = $1`,
+    [runId],
+  );
+}
+
+/**
+ * Evaluates the org's active rules against a scan's inventory using its
+ * customer profile, then generates recommendations, conflict records and the
+ * LLM narratives for analysis run runId. The run's status is set to
+ * completed/failed/cancelled; errors are rethrown.
+ * Returns { findingCount, recommendationCount }.
+ */
+async function runScanAnalysis(scan, runId, onStep = () => {}) {
+  const key = `analysis:${runId}`;
+  const token = cancellation.register(key);
+  try {
+    const result = await analyze(scan, runId, cancellation.checkedStep(token, onStep), token);
+    await pool.query(`UPDATE analysis_runs SET status = 'completed' WHERE id = $1`, [runId]);
+    return result;
+  } catch (err) {
+    if (err instanceof cancellation.CancelledError) {
+      console.log(`Analysis run ${runId} cancelled`);
+      await markRunCancelled(runId);
+    } else {
+      await pool.query(`UPDATE analysis_runs SET status = 'failed' WHERE id = $1`, [runId]);
+    }
+    throw err;
+  } finally {
+    cancellation.release(key);
+  }
+}
+
+async function analyze(scan, runId, onStep, token) {
+  const scanId = scan.id;
+
+  onStep('Loading automation inventory');
+  const inventoryResult = await pool.query(
+    `SELECT id, automation_type, api_name, label, object_name,
+            trigger_events, is_active, has_description, is_managed_package, parsed_data,
+            last_modified_by_name, last_modified_date,
+            package_namespace, package_name, package_version,
+            COALESCE(package_name || COALESCE(' v' || package_version, ''), 'a managed package') AS package_owner
+     FROM automation_inventory
+     WHERE metadata_item_id IN (SELECT id FROM metadata_items WHERE scan_id = $1)`,
+    [scanId],
+  );
+
+  const profileResult = await pool.query(
+    'SELECT * FROM customer_profiles WHERE org_id = $1',
+    [scan.org_id],
+  );
+  const profile = profileResult.rows[0] || DEFAULT_PROFILE;
+
+  onStep('Running rule evaluation');
+  const rules = await loadActiveRules();
+  const schemas = await loadObjectSchemas(scanId);
+  const apexDependencies = await loadApexDependencies(scanId);
+  const findings = runAnalysis(inventoryResult.rows, rules, profile, { schemas, apexDependencies });
+
+  for (const [i, f] of findings.entries()) {
+    if (i % 100 === 0) token.throwIfCancelled();
+    await pool.query(
+      `INSERT INTO findings (scan_id, org_id, analysis_run_id, rule_id, severity, automation_inventory_id, api_name, object_name, message, method_name, line_number)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [scanId, scan.org_id, runId, f.rule_id, f.severity, f.automation_inventory_id, f.api_name, f.object_name, f.message, f.method_name, f.line_number],
+    );
+  }
+
+  // Delete any prior recommendations for this run (idempotent re-run)
+  await pool.query(
+    'DELETE FROM recommendation_items WHERE recommendation_id IN (SELECT id FROM recommendations WHERE analysis_run_id = $1)',
+    [runId],
+  );
+  await pool.query('DELETE FROM recommendations WHERE analysis_run_id = $1', [runId]);
+
+  onStep('Generating recommendations');
+  const recommendationCount = await generateRecommendations(
+    scanId, scan.org_id, runId,
+    inventoryResult.rows, findings, profile, pool,
+  );
+
+  await runConflictDetection(scanId, scan.org_id, onStep, runId);
+
+  await pool.query(
+    'UPDATE analysis_runs SET finding_count = $1 WHERE id = $2',
+    [findings.length, runId],
+  );
+
+  onStep('Enhancing recommendation narratives');
+  await runPostAnalysisLlm(runId, scan.org_id);
+  token.throwIfCancelled();
+
+  return { findingCount: findings.length, recommendationCount };
+}
+
+// Analysis runs left 'running' by a previous server process can never finish
+async function failInterruptedRuns() {
+  await pool.query(`UPDATE analysis_runs SET status = 'failed' WHERE status = 'running'`);
+}
+
+module.exports = { createAnalysisRun, runScanAnalysis, markRunCancelled, failInterruptedRuns };
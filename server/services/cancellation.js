@@ -0,0 +1,50 @@
+'use strict';
+
+// In-process cancellation for background scans and analysis runs. A running
+// job registers a token under a key ("scan:12", "analysis:34"); the cancel
+// endpoints flip it and the job throws CancelledError at its next progress
+// step, i.e. the next batch or phase boundary.
+
+class CancelledError extends Error {
+  constructor() {
+    super('Cancelled by user');
+    this.name = 'CancelledError';
+  }
+}
+
+const tokens = new Map();
+
+function register(key) {
+  const token = {
+    cancelled: false,
+    throwIfCancelled() {
+      if (token.cancelled) throw new CancelledError();
+    },
+  };
+  tokens.set(key, token);
+  return token;
+}
+
+// Returns false when no job with this key is running in this process
+function cancel(key) {
+  const token = tokens.get(key);
+  if (!token) return false;
+  token.cancelled = true;
+  return true;
+}
+
+function release(key) {
+  tokens.delete(key);
+}
+
+/**
+ * Wraps a progress callback so every step doubles as a cancellation check.
+ */
+function checkedStep(token, onStep) {
+  return (label) => {
+    token.throwIfCancelled();
+    onStep(label);
+  };
+}
+
+module.exports = { CancelledError, register, cancel, release, checkedStep };
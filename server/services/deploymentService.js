@@ -18,6 +18,7 @@ async function getConnection(orgId) {
   const result = await pool.query('SELECT * FROM orgs WHERE id = $1', [orgId]);
   if (result.rows.length === 0) throw new Error(`Org ${orgId} not found`);
   const org = result.rows[0];
+  if (org.source === 'file') throw new Error('File-based orgs cannot be deployed to.');
   assertSandbox(org);
   return new jsforce.Connection({
     instanceUrl: org.instance_url,
@@ -29,9 +29,30 @@ function mapOperator(op) {
   return WFR_OPERATOR_MAP[op] || 'EqualTo';
 }
 
+// ── Typed values ──────────────────────────────────────────────────────────────
+
+const NUMBER_TYPES = new Set(['double', 'currency', 'percent', 'int', 'long']);
+
+// Flow value element for a literal assigned to/compared with a field. Typed from
+// the object's describe (captured during the scan) when available, otherwise
+// falls back to a string as before.
+function typedValue(fieldRef, rawValue, objectSchema) {
+  const fieldName = String(fieldRef || '').split('.').pop().toLowerCase();
+  const field = objectSchema?.fields.get(fieldName);
+  const value = rawValue ?? '';
+
+  if (field?.type === 'boolean') return { booleanValue: String(value).toLowerCase() === 'true' };
+  if (NUMBER_TYPES.has(field?.type) && value !== '' && !Number.isNaN(Number(value))) {
+    return { numberValue: Number(value) };
+  }
+  if (field?.type === 'date' && value) return { dateValue: value };
+  if (field?.type === 'datetime' && value) return { dateTimeValue: value };
+  return { stringValue: value };
+}
+
 // ── Entry conditions from WFR criteria ───────────────────────────────────────
 
-function buildConditions(criteriaItems = []) {
+function buildConditions(criteriaItems = [], objectSchema = null) {
   if (!criteriaItems || criteriaItems.length === 0) return [];
   const items = Array.isArray(criteriaItems) ? criteriaItems : [criteriaItems];
   return items.map((c, idx) => ({
@@ -39,14 +60,14 @@ function buildConditions(criteriaItems = []) {
     conditions: {
       leftValueReference: c.field || '',
       operator: mapOperator(c.operator),
-      rightValue: { stringValue: c.value || '' },
+      rightValue: typedValue(c.field, c.value, objectSchema),
     },
   }));
 }
 
 // ── recordUpdates from FieldUpdate actions ────────────────────────────────────
 
-function buildRecordUpdate(action, objectName) {
+function buildRecordUpdate(action, objectName, objectSchema = null) {
   return {
     name: `Update_${(action.name || 'Field').replace(/\W/g, '_')}`,
     label: action.name || 'Update Field',
@@ -55,7 +76,7 @@ function buildRecordUpdate(action, objectName) {
     filterLogic: 'no_conditions',
     inputAssignments: {
       field: action.field || '',
-      value: { stringValue: action.newValue || '' },
+      value: typedValue(action.field, action.newValue, objectSchema),
     },
     object: objectName || '',
   };
@@ -63,9 +84,11 @@ function buildRecordUpdate(action, objectName) {
 
 // ── Main generator ────────────────────────────────────────────────────────────
 
-function generate(item) {
+// schemas: optional Map from loadObjectSchemas for the item's scan
+function generate(item, profile, schemas = null) {
   const raw = item.raw_json || {};
   const objectName = item.object_name || raw.object || raw.tableName || '';
+  const objectSchema = schemas?.get(objectName.toLowerCase()) || null;
   const apiName = item.api_name || '';
   const isActive = item.is_active !== false;
 
@@ -89,8 +112,8 @@ function generate(item) {
       ? `The following action types were not migrated and require manual implementation: ${skippedTypes.join(', ')}.`
       : null;
 
-  const conditions = buildConditions(raw.criteriaItems);
-  const recordUpdates = fieldUpdates.map((a) => buildRecordUpdate(a, objectName));
+  const conditions = buildConditions(raw.criteriaItems, objectSchema);
+  const recordUpdates = fieldUpdates.map((a) => buildRecordUpdate(a, objectName, objectSchema));
 
   // Determine trigger type: field-only updates → RecordBeforeSave; otherwise RecordAfterSave
   const triggerType = fieldUpdates.length > 0 && skippedActions.length === 0
@@ -7,8 +7,10 @@ const {
   analyzeObjectAutomations,
 } = require('./claudeService');
 const { auditOrderOfExecution } = require('../rules/recommendationEngine');
+const { EVENT_SUBSCRIBER_TYPES } = require('../parsers/eventChannels');
+const { loadApexDependencies, codePathSafeguards } = require('../parsers/apexDependencies');
 
-const APEX_TYPES = ['Apex Trigger', 'Apex Class'];
+const APEX_TYPES = ['Apex Trigger', 'Apex Class', 'Platform Event Trigger', 'Change Event Trigger'];
 const OBJECT_CAP = 20; // max number of objects analyzed per scan
 
 function sleep(ms) {
@@ -51,7 +53,7 @@ async function runPostScanLlm(scanId, orgId) {
     for (const item of apexItems.rows) {
       const rawJson = item.raw_json || {};
       const codeBody = rawJson.Body || JSON.stringify(item.parsed_data);
-      const codeType = item.automation_type === 'Apex Trigger' ? 'trigger' : 'class';
+      const codeType = item.automation_type === 'Apex Class' ? 'class' : 'trigger';
 
       const summary = await summarizeApexCode(item.api_name, codeBody, codeType);
       if (summary !== null) {
@@ -131,8 +133,9 @@ async function runConflictDetection(scanId, orgId, onStep = () => {}, analysisRu
      FROM automation_inventory ai
      WHERE ai.metadata_item_id IN (SELECT id FROM metadata_items WHERE scan_id = $1)
        AND ai.is_active = true
-       AND ai.object_name IS NOT NULL`,
-    [scanId],
+       AND ai.object_name IS NOT NULL
+       AND NOT ai.automation_type = ANY($2)`,
+    [scanId, EVENT_SUBSCRIBER_TYPES],
   );
 
   // Group active automations by object
@@ -160,6 +163,19 @@ async function runConflictDetection(scanId, orgId, onStep = () => {}, analysisRu
   }
   const capped = conflictingObjects.slice(0, OBJECT_CAP);
 
+  // Recursion guards anywhere on a trigger's code path count for the re-trigger risks
+  const dependencies = await loadApexDependencies(scanId);
+  const apexResult = await pool.query(
+    `SELECT ai.id, ai.api_name,
+            jsonb_build_object('recursionGuards', ai.parsed_data->'recursionGuards',
+                               'bypassChecks', ai.parsed_data->'bypassChecks') AS parsed_data
+     FROM automation_inventory ai
+     WHERE ai.metadata_item_id IN (SELECT id FROM metadata_items WHERE scan_id = $1)
+       AND ai.automation_type = ANY($2)`,
+    [scanId, APEX_TYPES],
+  );
+  const apexById = new Map(apexResult.rows.map((i) => [i.id, i]));
+
   // Clear any existing conflicts for this scan before inserting fresh results
   await pool.query('DELETE FROM automation_conflicts WHERE scan_id = $1', [scanId]);
 
@@ -170,7 +186,10 @@ async function runConflictDetection(scanId, orgId, onStep = () => {}, analysisRu
 
     // Static order-of-execution audit — provides structured context to the LLM
     // and generates the fallback text when the LLM is unavailable.
-    const ooeAudit = auditOrderOfExecution(automations);
+    const safeguards = new Map(automations
+      .filter((a) => apexById.has(a.id))
+      .map((a) => [a.id, codePathSafeguards(a, dependencies, apexById)]));
+    const ooeAudit = auditOrderOfExecution(automations, safeguards);
     const seqLines = ooeAudit.sequence
       .map((s, i) => `  ${i + 1}. ${s.name} (${s.phaseLabel})`)
       .join('\n');
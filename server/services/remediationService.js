@@ -2,6 +2,7 @@
 
 const pool = require('../db');
 const { retrieveMetadata, deployMetadata } = require('./deploymentService');
+const { loadObjectSchemas } = require('../salesforce/objectSchema');
 
 const generators = {
   wfrToFlow: require('./generators/wfrToFlow'),
@@ -13,14 +14,18 @@ const generators = {
 
 // ── Generator routing ─────────────────────────────────────────────────────────
 
+// Generators that take a single item rather than the recommendation's items
+const SINGLE_ITEM_GENERATORS = new Set(['wfrToFlow', 'pbToFlow']);
+
 function resolveGenerator(pattern, items, profile) {
   const types = items.map((i) => i.automation_type);
   const apexFirst = profile?.automation_preference === 'apex_first';
 
   if (pattern === 'flow_and_apex' || pattern === 'apex_fragmented') return 'apexFlowConsolidate';
   if (apexFirst) return 'legacyToApex';
-  if (types.every((t) => t === 'Workflow Rule')) return 'wfrToFlow';
-  if (types.every((t) => t === 'Process Builder')) return 'pbToFlow';
+  // wfrToFlow and pbToFlow convert one component; several go through consolidation
+  if (items.length === 1 && types[0] === 'Workflow Rule') return 'wfrToFlow';
+  if (items.length === 1 && types[0] === 'Process Builder') return 'pbToFlow';
   return 'consolidateToFlow';
 }
 
@@ -28,6 +33,7 @@ function resolveGenerator(pattern, items, profile) {
 
 function sfMetadataType(automationType) {
   if (automationType === 'Apex Trigger') return 'ApexTrigger';
+  if (automationType === 'Platform Event Trigger' || automationType === 'Change Event Trigger') return 'ApexTrigger';
   if (automationType === 'Apex Class') return 'ApexClass';
   if (automationType === 'Workflow Rule') return 'WorkflowRule';
   return 'Flow'; // Record-Triggered Flow, Process Builder, etc.
@@ -79,7 +85,10 @@ async function initiateRemediation(recommendationId) {
   // 5. Run generator
   let genResult;
   try {
-    genResult = await generator.generate(items, profile);
+    const schemas = await loadObjectSchemas(rec.scan_id);
+    genResult = SINGLE_ITEM_GENERATORS.has(generatorKey)
+      ? await generator.generate(items[0], profile, schemas)
+      : await generator.generate(items, profile, schemas);
   } catch (err) {
     await pool.query(
       "UPDATE remediation_jobs SET status = 'failed', error_message = $1, updated_at = NOW() WHERE id = $2",
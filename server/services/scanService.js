@@ -0,0 +1,198 @@
+'use strict';
+
+const pool = require('../db');
+const { parseInventory, reparseInventory } = require('../parsers/index');
+const { buildApexDependencies } = require('../parsers/apexDependencies');
+const { captureObjectSchemas } = require('../salesforce/objectSchema');
+const { captureFlowVersions, VERSION_FIELDS } = require('../salesforce/flowVersions');
+const { captureApexCoverage, COVERAGE_FIELDS } = require('../salesforce/apexCoverage');
+const { captureInstalledPackages } = require('../salesforce/installedPackages');
+const { runPostScanLlm } = require('./llmBackground');
+const cancellation = require('./cancellation');
+
+// Post-parse passes that read more from the live org to enrich the scan.
+// Each resolves to an object with apiCallCount; a failure is logged and skipped.
+// Installed packages run first: the later passes skip managed package items.
+const ORG_ENRICHMENTS = [
+  ['Installed packages', captureInstalledPackages],
+  ['Object describe', captureObjectSchemas],
+  ['Flow version history', captureFlowVersions],
+  ['Apex test coverage', captureApexCoverage],
+];
+// parsed_data fields those passes add, which a re-parse has to keep
+const ENRICHED_FIELDS = [...VERSION_FIELDS, ...COVERAGE_FIELDS];
+
+// ── Scan lifecycle ────────────────────────────────────────────────────────────
+// Shared by the manual scan/import routes and the scheduler. An org has at most
+// one running scan at a time (enforced by a partial unique index on scans).
+
+// Scans whose inventory this process is still writing: retrieving, parsing and
+// enriching (the scan is already 'completed' for the last two) or re-parsing
+const processing = new Set();
+
+const isScanProcessing = (scanId) => processing.has(scanId);
+
+/**
+ * Creates a running scan row for the org.
+ * Returns the new scan id, or null when the org already has a scan running.
+ */
+async function createScan(orgId) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO scans (org_id, status, started_at) VALUES ($1, 'running', NOW()) RETURNING id`,
+      [orgId],
+    );
+    return result.rows[0].id;
+  } catch (err) {
+    if (err.code === '23505') return null;
+    throw err;
+  }
+}
+
+/**
+ * Drops the partial metadata and inventory of a cancelled scan and marks it
+ * cancelled.
+ */
+async function markScanCancelled(scanId, apiCallCount = null) {
+  await pool.query(
+    `DELETE FROM automation_inventory
+     WHERE metadata_item_id IN (SELECT id FROM metadata_items WHERE scan_id = $1)`,
+    [scanId],
+  );
+  await pool.query('DELETE FROM metadata_items WHERE scan_id = $1', [scanId]);
+  await pool.query(
+    `UPDATE scans
+     SET status = 'cancelled', completed_at = NOW(), error_message = 'Cancelled by user',
+         api_call_count = COALESCE($2, api_call_count)
+     WHERE id = $1`,
+    [scanId, apiCallCount],
+  );
+}
+
+/**
+ * Runs `retrieve` for a scan created by createScan, then parses the inventory
+ * and kicks off the post-scan LLM pass. A failure or cancellation is recorded
+ * on the scan row and then rethrown. retrieve(scanId, onStep) must resolve to
+ * { fetchedCount, reusedCount, baseScanId, apiCallCount }; each onStep call is
+ * also where a pending cancel request takes effect.
+ */
+async function executeScan(org, scanId, retrieve, onStep = () => {}) {
+  const key = `scan:${scanId}`;
+  const token = cancellation.register(key);
+  processing.add(scanId);
+  try {
+    const { fetchedCount, reusedCount, baseScanId, apiCallCount } = await retrieve(
+      scanId, cancellation.checkedStep(token, onStep),
+    );
+    token.throwIfCancelled();
+
+    await pool.query(
+      `UPDATE scans
+       SET status = 'completed', completed_at = NOW(),
+           fetched_count = $2, reused_count = $3, base_scan_id = $4, api_call_count = $5
+       WHERE id = $1`,
+      [scanId, fetchedCount, reusedCount, baseScanId, apiCallCount],
+    );
+    // Past this point the scan is complete and can no longer be cancelled
+    cancellation.release(key);
+
+    try {
+      onStep('Parsing automation inventory');
+      await parseInventory(scanId, org.id);
+      // Rows a delta scan copied forward from a scan parsed by older parsers
+      await reparseInventory(scanId, ENRICHED_FIELDS, { outdatedOnly: true });
+    } catch (parseErr) {
+      console.warn('Inventory parse failed (scan data is safe):', parseErr.message);
+    }
+
+    try {
+      onStep('Resolving Apex class dependencies');
+      await buildApexDependencies(scanId);
+    } catch (depErr) {
+      console.warn('Apex dependency resolution failed (scan data is safe):', depErr.message);
+    }
+
+    // Archives carry no org to query — rules that need this data don't fire for them
+    if (org.source !== 'file') {
+      for (const [label, enrich] of ORG_ENRICHMENTS) {
+        try {
+          const { apiCallCount } = await enrich(org, scanId, onStep);
+          await pool.query(
+            'UPDATE scans SET api_call_count = COALESCE(api_call_count, 0) + $2 WHERE id = $1',
+            [scanId, apiCallCount],
+          );
+        } catch (enrichErr) {
+          console.warn(`${label} failed (scan data is safe):`, enrichErr.message);
+        }
+      }
+    }
+
+    // LLM summarization + conflict detection runs in its own background pass
+    runPostScanLlm(scanId, org.id).catch((err) =>
+      console.error('[LLM] Post-scan background failed:', err.message),
+    );
+  } catch (err) {
+    cancellation.release(key);
+    if (err instanceof cancellation.CancelledError) {
+      console.log(`Scan ${scanId} cancelled`);
+      await markScanCancelled(scanId, err.apiCallCount ?? null);
+      throw err;
+    }
+    console.error('Scan failed:', err);
+    await pool.query(
+      `UPDATE scans
+       SET status = 'failed', completed_at = NOW(), error_message = $1, api_call_count = $3
+       WHERE id = $2`,
+      [err.message, scanId, err.apiCallCount ?? null],
+    );
+    throw err;
+  } finally {
+    processing.delete(scanId);
+  }
+}
+
+// ── Re-parse ──────────────────────────────────────────────────────────────────
+// Rebuilds a completed scan's inventory from its stored raw metadata with the
+// current parsers — no Salesforce connection involved.
+
+/**
+ * Re-parses the scan's inventory rows in place, parses any metadata items that
+ * have no row yet (types a newer parser supports) and re-resolves the Apex
+ * class dependencies. Returns { updatedCount, failedCount }, or null when the
+ * scan is still being processed or re-parsed.
+ */
+async function reparseScan(scan, onStep = () => {}) {
+  if (processing.has(scan.id)) return null;
+  processing.add(scan.id);
+  try {
+    onStep('Re-parsing automation inventory');
+    const counts = await reparseInventory(scan.id, ENRICHED_FIELDS);
+    await parseInventory(scan.id, scan.org_id);
+
+    onStep('Resolving Apex class dependencies');
+    await buildApexDependencies(scan.id);
+    return counts;
+  } finally {
+    processing.delete(scan.id);
+  }
+}
+
+/**
+ * Marks scans left 'running' by a previous server process as failed, so they
+ * don't block new scans for their org. Called once at startup.
+ */
+async function failInterruptedScans() {
+  const result = await pool.query(
+    `UPDATE scans
+     SET status = 'failed', completed_at = NOW(), error_message = 'Interrupted by a server restart'
+     WHERE status = 'running'
+     RETURNING id`,
+  );
+  if (result.rows.length > 0) {
+    console.warn(`Marked ${result.rows.length} interrupted scan(s) as failed`);
+  }
+}
+
+module.exports = {
+  createScan, executeScan, markScanCancelled, reparseScan, isScanProcessing, failInterruptedScans,
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+const pool = require('../db');
+const { runMetadataScan } = require('../salesforce/scanner');
+const { createScan, executeScan, failInterruptedScans } = require('./scanService');
+const { createAnalysisRun, runScanAnalysis, failInterruptedRuns } = require('./analysisService');
+const { CancelledError } = require('./cancellation');
+
+// How often due schedules are checked
+const TICK_INTERVAL_MS = 60_000;
+
+// A run skipped because a scan was already in progress is retried this much later
+const SKIP_RETRY_MS = 15 * 60_000;
+
+// ── Next-run calculation ──────────────────────────────────────────────────────
+
+/**
+ * Returns the first run time strictly after `after` for a schedule
+ * ({ frequency, day_of_week, time_of_day }). All times are UTC.
+ */
+function computeNextRun(schedule, after = new Date()) {
+  const [hours, minutes] = schedule.time_of_day.split(':').map(Number);
+  const next = new Date(Date.UTC(
+    after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate(), hours, minutes,
+  ));
+  const stepDays = schedule.frequency === 'weekly' ? 7 : 1;
+
+  if (schedule.frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + ((schedule.day_of_week - next.getUTCDay() + 7) % 7));
+  }
+  while (next <= after) next.setUTCDate(next.getUTCDate() + stepDays);
+  return next;
+}
+
+// ── Running a schedule ────────────────────────────────────────────────────────
+
+async function recordRun(scheduleId, status, { error = null, scanId = null, runId = null, nextRunAt = null } = {}) {
+  await pool.query(
+    `UPDATE scan_schedules
+     SET last_run_at = NOW(), last_status = $2, last_error = $3,
+         last_scan_id = COALESCE($4, last_scan_id),
+         last_analysis_run_id = COALESCE($5, last_analysis_run_id),
+         next_run_at = COALESCE($6, next_run_at)
+     WHERE id = $1`,
+    [scheduleId, status, error, scanId, runId, nextRunAt],
+  );
+}
+
+async function runSchedule(schedule) {
+  const orgResult = await pool.query('SELECT * FROM orgs WHERE id = $1', [schedule.org_id]);
+  const org = orgResult.rows[0];
+  if (!org || org.source === 'file') {
+    await recordRun(schedule.id, 'failed', { error: 'Org cannot be scanned' });
+    return;
+  }
+
+  const scanId = await createScan(org.id);
+  if (!scanId) {
+    console.log(`[Scheduler] Schedule ${schedule.id}: org ${org.id} already has a scan running — retrying later`);
+    await recordRun(schedule.id, 'skipped', {
+      error: 'A scan was already running for this org',
+      nextRunAt: new Date(Date.now() + SKIP_RETRY_MS),
+    });
+    return;
+  }
+
+  console.log(`[Scheduler] Schedule ${schedule.id}: starting scan ${scanId} for org ${org.id}`);
+  try {
+    await executeScan(org, scanId, (id, onStep) =>
+      runMetadataScan(org, id, onStep, { full: schedule.full_scan }),
+    );
+  } catch (err) {
+    const status = err instanceof CancelledError ? 'cancelled' : 'failed';
+    await recordRun(schedule.id, status, { error: err.message, scanId });
+    return;
+  }
+
+  let runId = null;
+  if (schedule.run_analysis) {
+    try {
+      runId = await createAnalysisRun({ id: scanId, org_id: org.id });
+      await runScanAnalysis({ id: scanId, org_id: org.id }, runId);
+    } catch (err) {
+      if (err instanceof CancelledError) {
+        await recordRun(schedule.id, 'cancelled', { error: err.message, scanId, runId });
+        return;
+      }
+      console.error(`[Scheduler] Schedule ${schedule.id}: analysis failed:`, err);
+      await recordRun(schedule.id, 'failed', { error: `Analysis failed: ${err.message}`, scanId, runId });
+      return;
+    }
+  }
+
+  await recordRun(schedule.id, 'completed', { scanId, runId });
+}
+
+// ── Tick loop ─────────────────────────────────────────────────────────────────
+
+let ticking = false;
+// Schedules whose scan or analysis is still in progress, by id
+const running = new Set();
+
+// Runs one claimed schedule in the background; errors are logged, not thrown
+function startSchedule(schedule) {
+  running.add(schedule.id);
+  runSchedule(schedule)
+    .catch((err) => console.error(`[Scheduler] Schedule ${schedule.id} failed:`, err))
+    .finally(() => running.delete(schedule.id));
+}
+
+async function tick() {
+  // Ticks only claim and start due schedules, but the queries can still outlast
+  // the interval when the database is slow — never run two at once
+  if (ticking) return;
+  ticking = true;
+  try {
+    const due = await pool.query(
+      `SELECT * FROM scan_schedules
+       WHERE enabled AND next_run_at <= NOW()
+       ORDER BY next_run_at`,
+    );
+
+    for (const schedule of due.rows) {
+      // Still running from an earlier tick (e.g. a run longer than a daily interval)
+      if (running.has(schedule.id)) continue;
+
+      // Advance next_run_at before running so a crash mid-run doesn't re-run it in a loop
+      const claimed = await pool.query(
+        `UPDATE scan_schedules SET next_run_at = $2
+         WHERE id = $1 AND next_run_at = $3
+         RETURNING id`,
+        [schedule.id, computeNextRun(schedule), schedule.next_run_at],
+      );
+      if (claimed.rows.length === 0) continue;
+
+      // Schedules run side by side, so one large org doesn't hold up the others;
+      // createScan refuses a second scan of the same org
+      startSchedule(schedule);
+    }
+  } catch (err) {
+    console.error('[Scheduler] Tick failed:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Starts the in-process scheduler. Clears scans and analysis runs orphaned by
+ * a previous process first so they don't block their org's next scan.
+ */
+async function start() {
+  try {
+    await failInterruptedScans();
+    await failInterruptedRuns();
+  } catch (err) {
+    console.error('[Scheduler] Could not clear interrupted scans:', err.message);
+  }
+  setInterval(tick, TICK_INTERVAL_MS);
+  tick();
+}
+
+module.exports = { start, computeNextRun };
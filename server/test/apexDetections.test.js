@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseApex } = require('../parsers/apexLexer');
+const { detectApex } = require('../parsers/apexDetections');
+const { parseApexClass } = require('../parsers/apexClass');
+
+const BATCH_CLASS = `public class ContactSync implements Database.Batchable<SObject>, Database.Stateful {
+  public Database.QueryLocator start(Database.BatchableContext bc) {
+    return Database.getQueryLocator([SELECT Id FROM Account]);
+  }
+
+  public void execute(Database.BatchableContext bc, List<SObject> scope) {
+    for (SObject record : scope) {
+      List<Contact> contacts = [SELECT Id FROM Contact WHERE AccountId = :record.Id];
+      for (Contact c : contacts) {
+        c.Description = 'synced';
+      }
+      update contacts;
+      Database.insert(new Task(WhatId = record.Id), false);
+    }
+  }
+
+  public void finish(Database.BatchableContext bc) {}
+}`;
+
+test('data operations inside a Batchable execute loop are reported', () => {
+  const detected = detectApex(parseApex(BATCH_CLASS));
+  assert.deepEqual(detected.dataOperationsInLoops, [
+    { operation: 'soql', target: 'Contact', method: 'execute', line: 8 },
+    { operation: 'update', target: 'Contact', method: 'execute', line: 12 },
+    { operation: 'insert', target: 'Task', method: 'execute', line: 13 },
+  ]);
+  assert.equal(detected.flags.hasSoqlInLoop, true);
+  assert.equal(detected.flags.hasDmlInLoop, true);
+});
+
+test('parseApexClass flags the Batchable class', () => {
+  const { parsed_data: data } = parseApexClass({ Name: 'ContactSync', Body: BATCH_CLASS, Status: 'Active' });
+  assert.equal(data.hasSoqlInLoop, true);
+  assert.equal(data.hasDmlInLoop, true);
+  assert.equal(data.hasCrudViolationRisk, true);
+  assert.equal(data.missesShareDeclaration, true);
+  assert.deepEqual(data.dmlObjects.sort(), ['Contact', 'Task']);
+  assert.deepEqual(data.locations.hasSoqlInLoop, [{ method: 'execute', line: 8 }]);
+});
+
+test('operations after the loop are not in it', () => {
+  const detected = detectApex(parseApex(`public class C {
+    void run(List<Account> accounts) {
+      for (Account a : accounts) {
+        a.Name = 'x';
+      }
+      update accounts;
+      List<Contact> c = [SELECT Id FROM Contact];
+    }
+  }`));
+  assert.deepEqual(detected.dataOperationsInLoops, []);
+  assert.equal(detected.flags.hasDmlInLoop, false);
+});
+
+test('commented-out and quoted operations are ignored', () => {
+  const detected = detectApex(parseApex(`public class C {
+    void run(List<Account> accounts) {
+      for (Account a : accounts) {
+        // update a;
+        String s = 'insert a;';
+        /* Contact c = [SELECT Id FROM Contact]; */
+      }
+    }
+  }`));
+  assert.deepEqual(detected.dataOperationsInLoops, []);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, parseApex, findCalls, findDml, findQueries } = require('../parsers/apexLexer');
+
+const BATCH_CLASS = `public with sharing class AccountCleanup implements Database.Batchable<SObject> {
+  public Database.QueryLocator start(Database.BatchableContext bc) {
+    return Database.getQueryLocator([SELECT Id FROM Account]);
+  }
+
+  public void execute(Database.BatchableContext bc, List<SObject> scope) {
+    for (SObject record : scope) {
+      Contact c = [SELECT Id FROM Contact WHERE AccountId = :record.Id LIMIT 1];
+      update c;
+    }
+  }
+
+  public void finish(Database.BatchableContext bc) {}
+}`;
+
+const names = (parsed) => parsed.methods.map((m) => m.name);
+
+test('a header ending in a generic type opens the class body', () => {
+  const parsed = parseApex(BATCH_CLASS);
+  assert.equal(parsed.types.length, 1);
+  assert.equal(parsed.types[0].name, 'AccountCleanup');
+  assert.deepEqual(parsed.types[0].implements, ['Database.Batchable']);
+  assert.deepEqual(names(parsed), ['start', 'execute', 'finish']);
+});
+
+test('generic interfaces and superclasses keep their members', () => {
+  const parsed = parseApex(`public class Ranked extends Base<Account> implements Comparable, Iterable<Account> {
+    public Integer compareTo(Object other) { return 0; }
+    public Iterator<Account> iterator() { return null; }
+  }`);
+  assert.deepEqual(names(parsed), ['compareTo', 'iterator']);
+  assert.deepEqual(parsed.types[0].implements, ['Comparable', 'Iterable']);
+});
+
+test('a property with a generic type is not read as an initializer', () => {
+  const parsed = parseApex(`public class Holder {
+    public List<String> names { get; set; }
+    public void run() { update new Account(); }
+  }`);
+  assert.deepEqual(names(parsed), ['run']);
+  assert.equal(findDml(parsed)[0].method, 'run');
+});
+
+test('collection initializers stay inside their statement', () => {
+  const parsed = parseApex(`public class C {
+    void run() {
+      List<String> a = new List<String>{ 'x', 'y' };
+      String[] b = new String[]{ 'z' };
+      insert new Account();
+    }
+  }`);
+  const run = parsed.statements.filter((s) => s.method === 'run');
+  assert.equal(run.length, 3);
+  assert.equal(run[2].line, 5);
+});
+
+test('methods with a qualified return type are declarations', () => {
+  const parsed = parseApex(BATCH_CLASS);
+  const start = parsed.methods.find((m) => m.name === 'start');
+  assert.equal(start.returnType, 'Database.QueryLocator');
+  assert.equal(start.paramCount, 1);
+  assert.deepEqual([start.line, start.endLine], [2, 4]);
+
+  const typed = parseApex('public class T { public static Schema.SObjectType getType() { return Account.SObjectType; } }');
+  assert.deepEqual(names(typed), ['getType']);
+  assert.equal(typed.methods[0].returnType, 'Schema.SObjectType');
+});
+
+test('statements are attributed to their method', () => {
+  const parsed = parseApex(BATCH_CLASS);
+  const queries = findQueries(parsed);
+  assert.deepEqual(queries.map((q) => [q.objectName, q.method, q.loopDepth]), [
+    ['Account', 'start', 0],
+    ['Contact', 'execute', 1],
+  ]);
+});
+
+test('inline SOQL is one token, brackets in strings included', () => {
+  const tokens = tokenize("List<Account> a = [ SELECT Id FROM Account WHERE Name = 'a]b' ]; Integer[] n = new Integer[2]; n[0] = 1;");
+  const soql = tokens.filter((t) => t.type === 'soql');
+  assert.equal(soql.length, 1);
+  assert.equal(soql[0].value, "SELECT Id FROM Account WHERE Name = 'a]b'");
+  assert.equal(tokens.filter((t) => t.value === '[').length, 3);
+});
+
+test('SOSL and subqueries are read from their outer query', () => {
+  const parsed = parseApex(`public class Q {
+    void run() {
+      List<Account> a = [SELECT Id, (SELECT Id FROM Contacts) FROM Account];
+      List<List<SObject>> r = [FIND 'acme' IN ALL FIELDS RETURNING Account];
+    }
+  }`);
+  assert.deepEqual(findQueries(parsed).map((q) => q.objectName), ['Account', null]);
+});
+
+test('comments and strings produce no code tokens', () => {
+  const tokens = tokenize("// insert a;\n/* [SELECT Id FROM Account] */ String s = 'update b;';");
+  assert.deepEqual(tokens.map((t) => t.type), ['word', 'word', 'punct', 'string', 'punct']);
+  assert.equal(tokens[0].line, 2);
+});
+
+test('multi-line statements keep their first line and loop depth', () => {
+  const parsed = parseApex(`trigger T on Account (before insert) {
+    for (Account a : Trigger.new)
+      insert
+        new Contact(
+          LastName = a.Name
+        );
+    while (true) {
+      Database.update(
+        Trigger.new,
+        false
+      );
+    }
+  }`);
+  const dml = findDml(parsed);
+  assert.deepEqual(dml.map((d) => [d.operation, d.line, d.loopDepth]), [
+    ['insert', 3, 1],
+    ['update', 8, 1],
+  ]);
+});
+
+test('Database DML methods are calls, bare DML keywords are not', () => {
+  const parsed = parseApex('public class D { void run(List<Account> a) { update a; Database.insert(a, false); } }');
+  const calls = findCalls(parsed);
+  assert.deepEqual(calls.map((c) => `${c.receiver}.${c.name}`), ['Database.insert']);
+  assert.equal(calls[0].args.length, 2);
+});
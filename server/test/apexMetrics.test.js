@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseApex } = require('../parsers/apexLexer');
+const { apexMetrics } = require('../parsers/apexMetrics');
+const { parseApexClass } = require('../parsers/apexClass');
+
+const BATCH_CLASS = `public with sharing class AccountCleanup implements Database.Batchable<SObject> {
+  public Database.QueryLocator start(Database.BatchableContext bc) {
+    return Database.getQueryLocator([SELECT Id, Name FROM Account]);
+  }
+
+  public void execute(Database.BatchableContext bc, List<SObject> scope) {
+    for (SObject record : scope) {
+      Account a = (Account) record;
+      if (a.Name == null || a.Name == '') {
+        a.Name = 'Unknown';
+      } else if (a.Name.length() > 80) {
+        a.Name = a.Name.left(80);
+      }
+    }
+    try {
+      update scope;
+    } catch (DmlException e) {
+      System.debug(LoggingLevel.ERROR, e);
+    }
+  }
+
+  public void finish(Database.BatchableContext bc) {}
+}`;
+
+test('a Batchable class reports per-method complexity', () => {
+  const metrics = apexMetrics(parseApex(BATCH_CLASS));
+  assert.equal(metrics.lineCount, 23);
+  assert.deepEqual(metrics.methods.map((m) => m.complexity), [1, 6, 1]);
+  assert.equal(metrics.totalComplexity, 8);
+
+  const [start, execute] = metrics.methods;
+  assert.deepEqual(start, { complexity: 1, nestingDepth: 0, lineCount: 3, soqlCount: 1, dmlCount: 0 });
+  assert.equal(execute.nestingDepth, 2);
+  assert.equal(execute.lineCount, 15);
+  assert.equal(execute.dmlCount, 1);
+});
+
+test('parseApexClass carries the metrics into parsed_data', () => {
+  const { parsed_data: data } = parseApexClass({ Name: 'AccountCleanup', Body: BATCH_CLASS, Status: 'Active' });
+  assert.deepEqual(data.methods.map((m) => m.name), ['start', 'execute', 'finish']);
+  assert.equal(data.lineCount, 23);
+  assert.equal(data.totalComplexity, 8);
+  assert.equal(data.maxMethodComplexity, 6);
+  assert.equal(data.maxNestingDepth, 2);
+});
+
+test('ternaries, ?? and boolean operators add decision points; ?. does not', () => {
+  const metrics = apexMetrics(parseApex(`public class C {
+    Integer pick(Account a) {
+      String n = a?.Name ?? 'x';
+      return a != null && a.Name != null ? 1 : 0;
+    }
+  }`));
+  assert.equal(metrics.methods[0].complexity, 4);
+});
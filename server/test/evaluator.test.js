@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runAnalysis, validateConditions } = require('../rules/evaluator');
+
+const PROFILE = { active_rule_layers: ['custom'], suppressed_rule_ids: [] };
+
+const ITEMS = [
+  {
+    id: 1, api_name: 'Account_Before_Save', automation_type: 'Record-Triggered Flow', object_name: 'Account',
+    is_active: true, parsed_data: { timeTriggerCount: 3, entryObjects: ['Account', 'Contact'], trigger: { type: 'RecordBeforeSave' } },
+  },
+  {
+    id: 2, api_name: 'Contact_Sync', automation_type: 'Record-Triggered Flow', object_name: 'Contact',
+    is_active: false, parsed_data: { timeTriggerCount: 0, entryObjects: ['Contact'], trigger: null },
+  },
+  {
+    id: 3, api_name: 'LeadHandler', automation_type: 'Apex Class', object_name: null,
+    is_active: true, parsed_data: { timeTriggerCount: '12' },
+  },
+];
+
+// api_names of the items a custom per-item rule with these conditions fires on
+function matching(conditions) {
+  const rule = {
+    id: 'CUSTOM_TEST', layer: 'custom', check_type: 'per_item', applies_to: [],
+    severity: 'info', recommendation_template: '{{api_name}}', conditions,
+  };
+  return runAnalysis(ITEMS, [rule], PROFILE).map((f) => f.api_name);
+}
+
+test('a top-level array is an AND group', () => {
+  assert.deepEqual(matching([
+    { field: 'automation_type', op: 'eq', value: 'Record-Triggered Flow' },
+    { field: 'is_active', op: 'eq', value: true },
+  ]), ['Account_Before_Save']);
+});
+
+test('nested all/any/not groups', () => {
+  assert.deepEqual(matching({
+    any: [
+      { all: [{ field: 'object_name', op: 'eq', value: 'Contact' }, { not: { field: 'is_active', op: 'eq', value: true } }] },
+      { field: 'automation_type', op: 'in', value: ['Apex Class'] },
+    ],
+  }), ['Contact_Sync', 'LeadHandler']);
+  assert.deepEqual(matching({ not: { any: [{ field: 'object_name', op: 'exists' }] } }), ['LeadHandler']);
+});
+
+test('empty groups and missing conditions never match', () => {
+  assert.deepEqual(matching({ all: [] }), []);
+  assert.deepEqual(matching({ any: [] }), []);
+  assert.deepEqual(matching([]), []);
+  assert.deepEqual(matching(null), []);
+});
+
+test('dot-paths read into parsed_data', () => {
+  assert.deepEqual(matching({ field: 'parsed_data.timeTriggerCount', op: 'gte', value: 3 }), ['Account_Before_Save', 'LeadHandler']);
+  assert.deepEqual(matching({ field: 'parsed_data.trigger.type', op: 'eq', value: 'RecordBeforeSave' }), ['Account_Before_Save']);
+  assert.deepEqual(matching({ field: 'parsed_data.entryObjects', op: 'array_contains', value: 'Contact' }), ['Account_Before_Save', 'Contact_Sync']);
+  assert.deepEqual(matching({ field: 'parsed_data.trigger.type', op: 'exists', value: false }), ['Contact_Sync', 'LeadHandler']);
+  assert.deepEqual(matching({ field: 'parsed_data.missing.deeper', op: 'lt', value: 1 }), []);
+});
+
+test('contains and matches are case-insensitive', () => {
+  assert.deepEqual(matching({ field: 'api_name', op: 'contains', value: 'SYNC' }), ['Contact_Sync']);
+  assert.deepEqual(matching({ field: 'api_name', op: 'matches', value: '*_before_*' }), ['Account_Before_Save']);
+  assert.deepEqual(matching({ field: 'api_name', op: 'matches', value: '?ead*' }), ['LeadHandler']);
+  assert.deepEqual(matching({ field: 'api_name', op: 'matches', value: 'Contact' }), []);
+});
+
+test('matches patterns are globs, not regular expressions', () => {
+  assert.deepEqual(matching({ field: 'api_name', op: 'matches', value: 'Lead.*' }), []);
+  assert.deepEqual(matching({ field: 'api_name', op: 'matches', value: '^LeadHandler$' }), []);
+});
+
+test('patterns that backtrack catastrophically as regexes run in linear time', () => {
+  const items = [{ id: 9, api_name: `${'a'.repeat(5000)}!`, automation_type: 'Apex Class', parsed_data: {} }];
+  for (const value of ['((a+))+', '(?:(a+))+', '(a|aa)+$', '(a|a)+$', '(a+)+', `${'*a'.repeat(50)}b`]) {
+    assert.equal(validateConditions({ field: 'api_name', op: 'matches', value }), null);
+    const rule = {
+      id: 'CUSTOM_TEST', layer: 'custom', check_type: 'per_item', applies_to: [],
+      severity: 'info', recommendation_template: '', conditions: { field: 'api_name', op: 'matches', value },
+    };
+    const started = Date.now();
+    assert.deepEqual(runAnalysis(items, [rule], PROFILE), []);
+    assert.ok(Date.now() - started < 500, `${value} took ${Date.now() - started} ms`);
+  }
+});
+
+test('validateConditions rejects malformed trees', () => {
+  assert.equal(validateConditions([{ field: 'api_name', op: 'eq', value: 'x' }]), null);
+  assert.match(validateConditions('x'), /must be an object or an array/);
+  assert.match(validateConditions({ any: {} }), /conditions\.any must be an array/);
+  assert.match(validateConditions({ all: [{ not: { field: 'a b', op: 'eq' } }] }), /conditions\.all\[0\]\.not\.field/);
+  assert.match(validateConditions({ field: 'api_name', op: 'like' }), /'like' is not supported/);
+  assert.match(validateConditions({ field: 'api_name', op: 'in', value: 'x' }), /must be an array/);
+  assert.match(validateConditions({ field: 'parsed_data.n', op: 'gt', value: 'many' }), /must be a number/);
+  assert.match(validateConditions({ field: 'api_name', op: 'matches', value: '*'.repeat(201) }), /longer than 200/);
+});
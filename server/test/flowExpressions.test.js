@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { flowExpressions } = require('../parsers/flowExpressions');
+
+const byElement = (expressions, element, kind) => expressions.find((e) => e.element === element && e.kind === kind);
+
+test('formulas reference resources but not functions or string contents', () => {
+  const [formula] = flowExpressions({
+    formulas: { name: 'Label', expression: 'IF(ISBLANK({!$Record.Account.Name}), "Status.None", varPrefix & TEXT($Record__Prior.Amount))' },
+  });
+  assert.deepEqual(formula.references, [
+    { resource: '$Record', field: 'Account.Name' },
+    { resource: 'varPrefix', field: null },
+    { resource: '$Record__Prior', field: 'Amount' },
+  ]);
+});
+
+test('process [Object] references read as $Record', () => {
+  const [formula] = flowExpressions({ formulas: { name: 'F', expression: '[Account].Owner.Email' } });
+  assert.deepEqual(formula.references, [{ resource: '$Record', field: 'Owner.Email' }]);
+});
+
+test('text templates read merge fields and hardcoded IDs and URLs', () => {
+  const [template] = flowExpressions({
+    textTemplates: { name: 'Body', text: 'Hi {!$Record.Name}, see https://example.com/x?id=1 or record 001000000000001AAA.' },
+  });
+  assert.deepEqual(template.references, [{ resource: '$Record', field: 'Name' }]);
+  assert.deepEqual(template.hardcodedIds, ['001000000000001AAA']);
+  assert.deepEqual(template.urls, ['https://example.com/x?id=1']);
+});
+
+test('assignments, decisions, entry filters and record inputs', () => {
+  const expressions = flowExpressions({
+    assignments: { name: 'Set', assignmentItems: [{ assignToReference: 'varOwner', value: { elementReference: 'Get_User.Id' } }] },
+    decisions: {
+      name: 'Route',
+      rules: { name: 'R', conditions: [{ leftValueReference: '$Record.OwnerId', rightValue: { stringValue: '005000000000001' } }] },
+    },
+    start: { filters: { field: 'Status', value: { stringValue: 'Closed' } } },
+    recordUpdates: { name: 'Update', inputAssignments: { field: 'OwnerId', value: { elementReference: 'varOwner' } } },
+  });
+  assert.deepEqual(byElement(expressions, 'Set', 'assignment').references.map((r) => r.resource), ['varOwner', 'Get_User']);
+  assert.deepEqual(byElement(expressions, 'Route', 'condition').hardcodedIds, ['005000000000001']);
+  assert.deepEqual(byElement(expressions, 'start', 'filter').references, [{ resource: '$Record', field: 'Status' }]);
+  assert.deepEqual(byElement(expressions, 'Update', 'input').references, [{ resource: 'varOwner', field: null }]);
+});
+
+test('expressions with nothing to report are left out', () => {
+  assert.deepEqual(flowExpressions({ formulas: { name: 'F', expression: 'TODAY() + 1' } }), []);
+});
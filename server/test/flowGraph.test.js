@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFlowGraph, analyzeFlowGraph } = require('../parsers/flowGraph');
+
+const to = (targetReference) => ({ targetReference });
+
+// Start → Get_Contacts → Each_Contact ⟲ (Set_Title → Add_To_List) → Update_All,
+// with a fault path off Update_All and an element nothing connects to
+const FLOW = {
+  start: { connector: to('Get_Contacts') },
+  recordLookups: { name: 'Get_Contacts', connector: to('Each_Contact') },
+  loops: { name: 'Each_Contact', nextValueConnector: to('Set_Title'), noMoreValuesConnector: to('Update_All') },
+  assignments: [
+    { name: 'Set_Title', connector: to('Add_To_List') },
+    { name: 'Add_To_List', connector: to('Each_Contact') },
+    { name: 'Orphan' },
+  ],
+  recordUpdates: { name: 'Update_All', faultConnector: to('Log_Error') },
+  actionCalls: { name: 'Log_Error', connector: to('Deleted_Element') },
+};
+
+test('buildFlowGraph links elements through their connectors', () => {
+  const graph = buildFlowGraph(FLOW);
+  assert.deepEqual(graph.entries, ['Get_Contacts']);
+  assert.equal(graph.nodes.Each_Contact.type, 'loops');
+  assert.deepEqual(
+    graph.edges.filter((e) => e.from === 'Each_Contact').map((e) => [e.to, e.kind]),
+    [['Set_Title', 'loop_body'], ['Update_All', 'loop_end']],
+  );
+  assert.deepEqual(graph.edges.find((e) => e.from === 'Update_All'), { from: 'Update_All', to: 'Log_Error', kind: 'fault' });
+  // Connectors to elements that don't exist are dropped
+  assert.equal(graph.edges.some((e) => e.to === 'Deleted_Element'), false);
+});
+
+test('decision outcomes and scheduled paths', () => {
+  const graph = buildFlowGraph({
+    start: { connector: to('Check'), scheduledPaths: [{ connector: to('Later') }, { connector: to('Check') }] },
+    decisions: {
+      name: 'Check',
+      rules: [{ name: 'Is_Big', connector: to('Big') }],
+      defaultConnector: to('Small'),
+    },
+    assignments: [{ name: 'Big' }, { name: 'Small' }, { name: 'Later' }],
+  });
+  assert.deepEqual(graph.entries, ['Check', 'Later']);
+  assert.deepEqual(graph.edges.map((e) => [e.to, e.kind, e.label]), [
+    ['Big', 'outcome', 'Is_Big'],
+    ['Small', 'default', undefined],
+  ]);
+});
+
+test('analyzeFlowGraph finds loop bodies, unreachable elements and path depth', () => {
+  const analysis = analyzeFlowGraph(buildFlowGraph(FLOW));
+  assert.equal(analysis.elementCount, 7);
+  assert.deepEqual(analysis.unreachableElements, ['Orphan']);
+  assert.deepEqual(analysis.loopBodies, [{ loop: 'Each_Contact', elements: ['Set_Title', 'Add_To_List'] }]);
+  // Get_Contacts → Each_Contact → Update_All → Log_Error; the loop return isn't followed
+  assert.equal(analysis.maxPathDepth, 4);
+});
+
+test('flows without a recorded start report nothing as unreachable', () => {
+  const analysis = analyzeFlowGraph(buildFlowGraph({ assignments: [{ name: 'A', connector: to('B') }, { name: 'B' }] }));
+  assert.deepEqual(analysis.unreachableElements, []);
+  assert.equal(analysis.maxPathDepth, 0);
+});
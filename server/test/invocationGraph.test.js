@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildInvocationGraph, findInvocationCycles, formatInvocationPath } = require('../parsers/invocationGraph');
+
+const flow = (id, apiName, data = {}) => ({
+  id, api_name: apiName, automation_type: 'Autolaunched Flow',
+  parsed_data: { callsSubflows: !!data.subflowNames, ...data },
+});
+const apexClass = (id, apiName, invokedFlows = []) => ({
+  id, api_name: apiName, automation_type: 'Apex Class', parsed_data: { invokedFlows },
+});
+
+test('flows and classes are linked by name, case-insensitively and without a namespace', () => {
+  const graph = buildInvocationGraph([
+    flow(1, 'Parent', { subflowNames: ['child'], invokedApexClasses: ['acme__Router', 'Missing'] }),
+    flow(2, 'Child'),
+    apexClass(3, 'Router', ['Parent']),
+  ]);
+  assert.deepEqual(graph.edges, [
+    { from: 1, to: 2, kind: 'subflow' },
+    { from: 1, to: 3, kind: 'apex_action' },
+    { from: 3, to: 1, kind: 'flow_interview' },
+  ]);
+  assert.deepEqual(graph.unresolved, [{ from: 1, name: 'Missing', kind: 'apex_action' }]);
+});
+
+test('a cycle through Apex is reported once, from its first flow', () => {
+  const graph = buildInvocationGraph([
+    flow(1, 'B_Flow', { invokedApexClasses: ['Starter'] }),
+    flow(2, 'A_Flow', { subflowNames: ['B_Flow'] }),
+    apexClass(3, 'Starter', ['A_Flow']),
+    flow(4, 'Unrelated'),
+  ]);
+  const cycles = findInvocationCycles(graph);
+  assert.equal(cycles.length, 1);
+  assert.equal(cycles[0].start, 2);
+  assert.equal(formatInvocationPath(graph, cycles[0]), "'A_Flow' → subflow 'B_Flow' → Apex action 'Starter' → Flow.Interview 'A_Flow'");
+});
+
+test('a flow calling itself is a cycle; class-only cycles are not', () => {
+  const graph = buildInvocationGraph(
+    [flow(1, 'Recursive', { subflowNames: ['Recursive'] }), apexClass(2, 'A'), apexClass(3, 'B')],
+    [{ from_item_id: 2, to_item_id: 3 }, { from_item_id: 3, to_item_id: 2 }],
+  );
+  const cycles = findInvocationCycles(graph);
+  assert.deepEqual(cycles, [{ start: 1, path: [{ id: 1, kind: 'subflow' }] }]);
+});
+
+test('deep call chains do not overflow the stack', () => {
+  const items = Array.from({ length: 5000 }, (_, i) => flow(i, `F${i}`, { subflowNames: [`F${i + 1}`] }));
+  items[items.length - 1].parsed_data.subflowNames = ['F0'];
+  const cycles = findInvocationCycles(buildInvocationGraph(items));
+  assert.equal(cycles.length, 1);
+  assert.equal(cycles[0].path.length, 5000);
+});